@@ -15,19 +15,35 @@ import * as dat from 'lil-gui'
 
 THREE.ColorManagement.enabled = false
 
-import { DriveState, SoloState, SoloBtnColors, EmitterVolMults, ConeEmitterSettings, ThrottleMap, LightingDefaults, EnvironmentPresets } from './systems/constants.js'
-import { colorToHex, disposeObject, disposeTexture, disposeAudioEmitter, disposeAudioAnalyser, checkWebGLSupport, checkWebAudioSupport, showErrorUI, showLoadingUI, loadGLTFModel, loadAudioFile, loadHDRTexture } from './systems/helpers.js'
-
-/** @type {string} Current driving state (STOP, DRIVE, ACCEL, DECEL) */
-var driveState = DriveState.STOP
+import { EngineSettings, GearboxSettings, SessionSettings, SoloState, SoloBtnColors, EmitterVolMults, ConeEmitterSettings, CameraPresets, CameraSettings, DriveBySettings, ShowroomSettings, SpectrumSettings, MasterBusSettings, ReverbSettings, ImpulseSettings, RenderSettings, RenderTimeline, VideoSettings, ThrottleMap, KeyActionLabels, LightingDefaults, EnvironmentPresets } from './systems/constants.js'
+import { colorToHex, disposeObject, disposeTexture, disposeAudioEmitter, disposeAudioAnalyser, checkWebGLSupport, checkWebAudioSupport, showErrorUI, showLoadingUI, loadGLTFModel, loadAudioFile, loadHDRTexture, downloadBlob, timestampedFileName, createRandom } from './systems/helpers.js'
 
 /** @type {string} Current audio solo state (MIX, INTAKE, EXHAUST, INTERIOR) */
 var soloState = SoloState.MIX
 
 import { particleSystem } from './systems/exhaust.js'
 import { createDirectionalLights, createHeadlightSpots, playPositionalAudio, createLineButton, createAudioEmitterDebugger } from './systems/helpers.js'
-import { createMixer } from './systems/meters.js'
+import { createMixer, createSpectrum } from './systems/meters.js'
 import { createControls } from './systems/controls.js'
+import { createKeyboardControls, formatKey } from './systems/keyboard.js'
+import { createGamepadInput } from './systems/gamepad.js'
+import { createEngine } from './systems/engine.js'
+import { createGearbox } from './systems/gearbox.js'
+import { createEngineSound } from './systems/enginesound.js'
+import { createBoost } from './systems/boost.js'
+import { createBoostGauge } from './systems/gauges.js'
+import { createDashboard } from './systems/dashboard.js'
+import { createCockpitCamera, createCameraPresets } from './systems/camera.js'
+import { createDriveBy } from './systems/driveby.js'
+import { createShowroom } from './systems/showroom.js'
+import { createMasterBus } from './systems/masterbus.js'
+import { createReverbBus } from './systems/reverb.js'
+import { createImpulseLoader } from './systems/impulses.js'
+import { createSpatialAudio } from './systems/spatial.js'
+import { renderSession, sessionToTimeline, encodeWav } from './systems/render.js'
+import { createAudioRecorder } from './systems/recorder.js'
+import { createVideoCapture } from './systems/video.js'
+import { createSessionRecorder } from './systems/session.js'
 import { createPerformanceMonitor } from './systems/stats.js'
 import { resumeAudioContext } from './systems/helpers.js'
 
@@ -79,7 +95,8 @@ const dbg = new dat.GUI()
 /** @type {Object} Audio debug settings */
 const dbgAudioSettings = {
     'Meters': true,
-    'Emitters': false
+    'Emitters': false,
+    'Turbo': false
 }
 /** @type {dat.GUI} Audio folder in debug UI */
 const dbgAudio = dbg.addFolder('Audio')
@@ -108,6 +125,19 @@ const dbgPerfSettings = {
 /** @type {dat.Controller|null} Stats display controller */
 let dbgPerfStats = null
 
+/** @type {dat.GUI} Keyboard bindings folder in debug UI */
+const dbgKeyboard = dbg.addFolder('Keyboard')
+dbgKeyboard.close()
+
+/** @type {dat.GUI} Camera folder in debug UI */
+const dbgCamera = dbg.addFolder('Camera')
+/** @type {dat.Controller|null} Camera preset selector */
+let dbgCameraPreset = null
+
+/** @type {dat.GUI} Session recording and replay folder in debug UI */
+const dbgSession = dbg.addFolder('Session')
+dbgSession.close()
+
 // Axes
 // const axes = new THREE.AxesHelper(1)
 // axes.visible = false
@@ -157,7 +187,14 @@ const hdrOptions = ['None', ...Object.keys(EnvironmentPresets)]
 
 /** @type {Object} Current HDR selection parameter */
 const hdrParams = { HDR: 'None' }
-dbgVehLevelSelect = dbgVehicle.add(hdrParams, 'HDR', hdrOptions).name('Level Select').onChange(name => {
+
+/**
+ * Switches the level: HDR environment, lighting and the reverb that goes with it
+ * @param {string} name - Environment preset name, 'None' for the studio backdrop
+ */
+function selectLevel(name) {
+    session.record('level', name)
+
     if (name === 'None') {
         // Dispose previously loaded HDR texture and restore defaults
         if (currentHDRTexture) {
@@ -226,25 +263,15 @@ dbgVehLevelSelect = dbgVehicle.add(hdrParams, 'HDR', hdrOptions).name('Level Sel
             reverbParams.Reverb = reverbPreset
             if (dbgAudioReverb) {
                 dbgAudioReverb.updateDisplay()
-                const reverbMapEntry = reverbMap[reverbPreset]
-                if (reverbMapEntry) {
-                    const { path: reverbPath, blend = 0.5, scalingFactor = 1.0 } = reverbMapEntry
-                    soundEngine.currentReverbBlend = blend
-                    soundEngine.currentReverbScalingFactor = scalingFactor
-                    loadAudioFile(new THREE.AudioLoader(), reverbPath).then((buffer) => {
-                        soundEngine.applyConvolutionReverb(buffer)
-                    }).catch(err => {
-                        console.error('Failed to load reverb:', err)
-                        showErrorUI('Reverb Load Failed', `Could not load reverb: ${err.message}`, false)
-                    })
-                }
+                selectReverb(reverbPreset)
             }
         }
     }).catch(err => {
         console.error('Failed to load HDR:', err)
         showErrorUI('HDR Load Failed', `Could not load environment: ${err.message}`, false)
     })
-})
+}
+dbgVehLevelSelect = dbgVehicle.add(hdrParams, 'HDR', hdrOptions).name('Level Select').onChange(selectLevel)
 
 
 /**
@@ -431,51 +458,8 @@ function setupSoloButtons(carScene) {
         lineButtons.push(btn)
 
         btn.button.addEventListener('click', () => {
-            if (SoloState[btn.button.textContent.toUpperCase()] === soloState) {
-                soloState = SoloState.MIX
-
-                // Reset all button styles
-                lineButtons.forEach(otherBtn => {
-                    if (otherBtn !== btn) {
-                        otherBtn.button.style.backgroundColor = colorToHex(SoloBtnColors[otherBtn.button.textContent.toUpperCase()])
-                        otherBtn.button.style.color = `#272727ff`
-                        otherBtn.line.visible = true
-                        otherBtn.button.dimmed = false
-                    }
-                })
-
-                // If emitter debuggers are visible, ensure emitterDebuggers are all visible
-                if (dbgAudioSettings['Emitters']) {
-                    emitterDebuggers.forEach(helper => helper.visible = true)
-                }
-            } else {
-                soloState = SoloState[btn.button.textContent.toUpperCase()]
-
-                lineButtons.forEach(otherBtn => {
-                    if (otherBtn !== btn) {
-                        otherBtn.button.style.backgroundColor = `#444444`
-                        otherBtn.button.style.color = `#888888`
-                        otherBtn.line.visible = false
-                        otherBtn.button.dimmed = true
-
-                        if (dbgAudioSettings['Emitters']) {
-                            const posKey = otherBtn.button.textContent.toLowerCase()
-                            const helper = emitterDebuggers.get(posKey)
-                            if (helper) helper.visible = false
-                        }
-                    } else {
-                        otherBtn.button.style.color = `#272727ff`
-                        otherBtn.line.visible = true
-                        otherBtn.button.dimmed = false
-
-                        if (dbgAudioSettings['Emitters']) {
-                            const posKey = otherBtn.button.textContent.toLowerCase()
-                            const helper = emitterDebuggers.get(posKey)
-                            if (helper) helper.visible = true
-                        }
-                    }
-                })
-            }
+            const btnState = SoloState[btn.button.textContent.toUpperCase()]
+            setSoloState(btnState === soloState ? SoloState.MIX : btnState)
         })
     })
 
@@ -488,6 +472,68 @@ function setupSoloButtons(carScene) {
     })
 }
 
+/**
+ * Flies the camera into the driver's seat, or back out to the view it left
+ */
+function toggleCockpit() {
+    session.record('cockpit', !cockpit.isActive())
+    if (driveBy.isActive()) stopDriveBy()
+    if (cockpit.isActive()) cameraPresets.exitCockpit()
+    else cameraPresets.flyTo('cockpit')
+}
+
+/**
+ * Switches the audio perspective and updates the solo button and emitter debugger styling
+ * Shared by the solo buttons and other inputs (keyboard, etc.)
+ * @param {string} state - Solo state to select (MIX, INTAKE, EXHAUST, INTERIOR)
+ */
+function setSoloState(state) {
+    soloState = state
+    session.record('solo', state)
+
+    // Match the visual perspective to the audio perspective
+    if (cameraParams['Follow Solo']) {
+        cameraPresets.flyTo(CameraSettings.soloPresets[state])
+    }
+
+    if (state === SoloState.MIX) {
+        // Reset all button styles
+        lineButtons.forEach(otherBtn => {
+            otherBtn.button.style.backgroundColor = colorToHex(SoloBtnColors[otherBtn.button.textContent.toUpperCase()])
+            otherBtn.button.style.color = `#272727ff`
+            otherBtn.line.visible = true
+            otherBtn.button.dimmed = false
+        })
+
+        // If emitter debuggers are visible, ensure emitterDebuggers are all visible
+        if (dbgAudioSettings['Emitters']) {
+            emitterDebuggers.forEach(helper => helper.visible = true)
+        }
+        return
+    }
+
+    lineButtons.forEach(otherBtn => {
+        const soloed = SoloState[otherBtn.button.textContent.toUpperCase()] === state
+        if (!soloed) {
+            otherBtn.button.style.backgroundColor = `#444444`
+            otherBtn.button.style.color = `#888888`
+            otherBtn.line.visible = false
+            otherBtn.button.dimmed = true
+        } else {
+            otherBtn.button.style.backgroundColor = colorToHex(SoloBtnColors[otherBtn.button.textContent.toUpperCase()])
+            otherBtn.button.style.color = `#272727ff`
+            otherBtn.line.visible = true
+            otherBtn.button.dimmed = false
+        }
+
+        if (dbgAudioSettings['Emitters']) {
+            const posKey = otherBtn.button.textContent.toLowerCase()
+            const helper = emitterDebuggers.get(posKey)
+            if (helper) helper.visible = soloed
+        }
+    })
+}
+
 // Call the new async initialization
 initializeModels().then(() => {
     // Check if everything is ready
@@ -628,19 +674,31 @@ const sizes = {
     height: window.innerHeight
 }
 
+/** @type {Array<number>|null} Fixed render size [width, height] while capturing video, null to follow the window */
+let captureSize = null
+
 /**
  * Handles window resize events
  * Updates camera aspect ratio, renderer size, and pixel ratio
+ * A fixed capture size renders at exactly that size, letterboxed into the window
  */
 const handleResize = () => {
     sizes.width = window.innerWidth
     sizes.height = window.innerHeight
 
-    camera.aspect = sizes.width / sizes.height
+    const [width, height] = captureSize ?? [sizes.width, sizes.height]
+    camera.aspect = width / height
     camera.updateProjectionMatrix()
 
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
+    if (captureSize) {
+        renderer.setPixelRatio(1)
+        renderer.setSize(width, height, false)
+        Object.assign(canvas.style, { width: `${sizes.width}px`, height: `${sizes.height}px`, objectFit: 'contain' })
+    } else {
+        canvas.style.objectFit = ''
+        renderer.setSize(width, height)
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
+    }
 }
 
 window.addEventListener('resize', handleResize)
@@ -659,6 +717,12 @@ const controls = new OrbitControls(camera, canvas)
 controls.target.set(0, 0.75, 0)
 controls.enableDamping = true
 
+/** @type {Object} Driver's-seat camera mode with head-look, takes over the camera and listener */
+const cockpit = createCockpitCamera({ camera, controls, domElement: canvas, anchor: carGroup })
+
+/** @type {Object} Named viewpoints the camera flies between */
+const cameraPresets = createCameraPresets({ camera, controls, cockpit, anchor: carGroup })
+
 /**
  * WebGL Renderer
  * Configured with shadow mapping and linear color space
@@ -690,6 +754,15 @@ camera.add(listener);
 /** @type {AudioContext} Web Audio API context */
 const audioContext = listener.context
 
+/**
+ * Master bus - EQ, compressor and limiter between the listener and the speakers
+ * Everything the listener hears, reverb returns included, passes through it
+ * @type {Object}
+ */
+const masterBus = createMasterBus({ context: audioContext })
+listener.getInput().disconnect()
+listener.getInput().connect(masterBus.input)
+
 /** @type {boolean} Audio enabled state flag */
 let audioEnabled = false
 
@@ -746,11 +819,63 @@ Object.entries(audioEmitters).forEach(([pos, emitter]) => {
     }
 });
 
+/**
+ * Spatial rendering - the emitters' usual distances for speakers, tuned distances for headphones
+ * @type {Object}
+ */
+const spatialAudio = createSpatialAudio({ emitters: audioEmitters })
+
+/**
+ * Reverb bus - one shared convolution reverb fed by a post-fader send from each emitter
+ * Direct emitter outputs reach the listener through its dry gain
+ * @type {Object}
+ */
+const reverbBus = createReverbBus({ context: audioContext, destination: listener.getInput() })
+Object.entries(audioEmitters).forEach(([pos, emitter]) => {
+    emitter.gain.disconnect()
+    emitter.gain.connect(reverbBus.dry)
+    reverbBus.addSend(pos, emitter.gain)
+})
+
+/**
+ * Engine simulation - RPM, throttle, inertia and rev limiter
+ * Single source of engine speed for audio, particles, wheels and meters
+ * @type {Object}
+ */
+const engine = createEngine()
+engine.registerLimiterCallback(() => {
+    particleSystem.triggerBackfire(0.2)
+})
+
+/**
+ * Gearbox and vehicle model - loads the engine through the clutch and tracks road speed
+ * Road speed drives the wheel animation
+ * @type {Object}
+ */
+const gearbox = createGearbox({ engine })
+gearbox.registerShiftCallback((gear, previousGear, info) => {
+    console.log('Shift:', previousGear === 0 ? 'N' : previousGear, '->', gearbox.getGearLabel(), Math.round(info.rpm), '->', Math.round(info.targetRpm), 'rpm')
+    controlsPanel.setGearDisplay(gearbox.getGearLabel())
+    soundEngine.shift(gear, previousGear, info)
+})
+
+/**
+ * Turbo boost model - spools with exhaust flow, vents through the blow-off valve on lift
+ * @type {Object}
+ */
+const boost = createBoost()
+boost.registerBlowOffCallback(amount => {
+    if (soundEngine.turbo) soundEngine.turbo.blowOff(amount)
+})
+
 /**
  * Sound engine - manages audio playback, buffers, and state transitions
- * Handles ignition sequences, emitter volume mixing, and convolution reverb
+ * Handles ignition sequences, RPM-following engine synthesis, emitter volume mixing, and convolution reverb
  * @type {Object}
  */
+/** @type {Function} Randomness behind synth grains and turbo noise, reseeded for each recorded or replayed session */
+let soundRandom = Math.random
+
 const soundEngine = {
     /**
      * Audio buffer storage organized by microphone position and sound type
@@ -766,12 +891,38 @@ const soundEngine = {
     /** @type {THREE.PositionalAudio|null} Currently active audio emitter */
     currentEmitter: null,
 
+    /**
+     * Engine sound chain (synths, turbo, body filters, shift dips and pops), the offline render builds the same
+     * @type {Object|null}
+     */
+    chain: null,
+
+    /**
+     * Granular RPM synths per microphone position
+     * @type {Object<string, Object>}
+     */
+    synths: {},
+
+    /**
+     * Procedural turbo layer on the intake emitter
+     * @type {Object|null}
+     */
+    turbo: null,
+
+    /**
+     * Whether aggressive downshifts pop a small backfire from the exhaust
+     * @type {boolean}
+     */
+    downshiftPops: true,
+
     /**
      * Sets volume levels for all positional audio emitters based on solo state
-     * Handles smooth volume transitions and applies global multipliers from constants
+     * Handles smooth volume transitions and applies the mixer's channel gains (fader, mute and solo),
+     * falling back to the global multipliers from constants without a mixer
      * @param {string} currSoloState - Current solo state (MIX, INTAKE, EXHAUST, INTERIOR)
+     * @param {Object|null} [mixer=null] - Mixer panel providing per-emitter channel gains
      */
-    setEmitterVolumes(currSoloState) {
+    setEmitterVolumes(currSoloState, mixer = null) {
         const individualEmitters = ['intake', 'exhaust', 'interior'];
 
         individualEmitters.forEach(pos => {
@@ -784,8 +935,10 @@ const soundEngine = {
                     ? 1.0
                     : 0.0;
 
-            // Apply global multiplier
-            const multiplier = EmitterVolMults[pos.toUpperCase()] !== undefined ? EmitterVolMults[pos.toUpperCase()] : 1.0
+            // Apply mixer channel gain, or the global multiplier
+            const multiplier = mixer
+                ? mixer.getChannelGain(pos)
+                : EmitterVolMults[pos.toUpperCase()] !== undefined ? EmitterVolMults[pos.toUpperCase()] : 1.0
             const targetVolume = Math.max(0, Math.min(1, baseTarget * multiplier))
 
             // Smooth volume transition
@@ -801,21 +954,77 @@ const soundEngine = {
     },
 
     /**
-     * Transitions to engine idle (for use after ignition, revs, etc.)
+     * Creates the engine sound chain: a granular synth per microphone position plus the turbo layer
+     * Each output feeds its emitter's panner, so solo volumes, analysers and reverb taps
+     * all follow the synthesized engine just like buffer playback
      */
-    idle: (audioLoader, emitter, pos) => {
-        playPositionalAudio(audioLoader, emitter, `./audio/${pos}/idle.ogg`, {
-            store: soundEngine.buffers[pos],
-            storeKey: 'idle',
-            loop: true,
-            onEnded: () => { }
-        });
+    createSynths() {
+        this.chain = createEngineSound({ context: audioContext, buffers: this.buffers, random: () => soundRandom() })
+        this.synths = this.chain.synths
+        this.turbo = this.chain.turbo
+        Object.entries(this.chain.outputs).forEach(([pos, output]) => output.connect(audioEmitters[pos].getOutput()))
+        this.turbo.setEnabled(dbgAudioSettings['Turbo'])
+    },
+
+    /**
+     * Routes the emitters' direct sound to the listener through the chain's body filters
+     * Filters start fully open, so they are inaudible until the listener moves into the cabin
+     */
+    createBodyFilters() {
+        ['intake', 'exhaust'].forEach(pos => {
+            const emitter = audioEmitters[pos]
+            // Only the direct path is muffled, the reverb send stays on the emitter
+            emitter.gain.disconnect(reverbBus.dry)
+            this.chain.addBodyFilter(pos, emitter.gain, reverbBus.dry)
+        })
+    },
+
+    /**
+     * Muffles the intake and exhaust as heard through the body while the listener is in the cabin
+     * @param {boolean} inCabin - Whether the listener sits inside the car
+     */
+    setCabinListening(inCabin) {
+        this.chain.setCabinListening(inCabin)
+    },
+
+    /**
+     * Hands over from the ignition recording to the RPM-following synth
+     * @param {string} pos - Microphone position
+     */
+    idle: (pos) => {
+        const synth = soundEngine.synths[pos]
+        if (synth && engine.isRunning()) synth.start()
+    },
+
+    /**
+     * Handles a gear change across all perspectives
+     * Upshifts lift off the throttle and downshifts blip it (see gearbox), so the synths follow
+     * the RPM on their own; the chain dips them while the clutch is open and pops the exhaust on
+     * an aggressive downshift, which also shoots flames
+     * @param {number} gear - New gear (0 = neutral)
+     * @param {number} previousGear - Gear shifted out of
+     * @param {Object} info - Shift details from the gearbox
+     */
+    shift(gear, previousGear, info) {
+        if (this.chain.shift(gear, previousGear, info, { running: engine.isRunning(), pops: this.downshiftPops })) {
+            particleSystem.triggerBackfire(0.15)
+        }
+    },
+
+    /**
+     * Schedules synth grains for the current engine state and glides the turbo layer
+     * @param {Object} engineState - Engine state snapshot from the engine model
+     * @param {Object} boostState - Boost state snapshot from the boost model
+     */
+    update(engineState, boostState) {
+        // Each emitter takes its own Doppler shift during a drive-by (1 otherwise)
+        this.chain.update(engineState, boostState, { getPitchScale: pos => driveBy.getDopplerFactor(pos) })
     },
 
     /**
      * Starts engine ignition sequence across all audio emitters
      * Resumes audio context on first user interaction (handles browser autoplay policy)
-     * Plays ignition sound followed by idle loop, starts wheel animations
+     * Plays ignition sound then hands over to the engine synth, starts the engine model and wheel animations
      */
     ignitionOn: () => {
         if (audioContext.state === 'suspended') {
@@ -835,29 +1044,32 @@ const soundEngine = {
                 storeKey: 'ignitionOn',
                 loop: false,
                 onEnded: () => {
-                    soundEngine.idle(audioLoader, emitter, pos);
+                    soundEngine.idle(pos);
                 }
             });
         });
 
-        driveState = DriveState.ACCEL;
-        
+        engine.start()
+        if (soundEngine.turbo) soundEngine.turbo.start()
+
         if (anims.mixerWheels) {
             anims.mixerWheels.stopAllAction();
             anims.actWheelsRot.play();
             anims.actTiresRot.play();
-            anims.mixerWheels.timeScale = 0.01;
+            anims.mixerWheels.timeScale = 0;
         }
     },
 
     /**
      * Stops engine and plays ignition off sequence
-     * Triggers shutdown sound then stops all audio playback
+     * Fades out the engine synth, triggers shutdown sound then stops all audio playback
      */
     ignitionOff: () => {
         Object.entries(audioEmitters).forEach(([pos, emitter]) => {
             if (pos === 'mix') return;
 
+            if (soundEngine.synths[pos]) soundEngine.synths[pos].stop();
+
             playPositionalAudio(audioLoader, emitter, `./audio/${pos}/ignitionOff.ogg`, {
                 store: soundEngine.buffers[pos],
                 storeKey: 'ignitionOff',
@@ -868,36 +1080,12 @@ const soundEngine = {
             });
         });
 
-        driveState = DriveState.DECEL;
-    },
-
-    /**
-     * Revs engine based on throttle input duration
-     * @param {number} duration - The duration the throttle is pressed
-     */
-    revEngine(duration) {
-        const revType = duration >= ThrottleMap.long ? 'revLong' : duration >= ThrottleMap.medium ? 'revMedium' : 'revShort';
-        Object.entries(audioEmitters).forEach(([pos, emitter]) => {
-            if (pos === 'mix') return;
-
-            playPositionalAudio(audioLoader, emitter, `./audio/${pos}/${revType}.ogg`, {
-                store: soundEngine.buffers[pos],
-                storeKey: revType,
-                loop: false,
-                onEnded: () => {
-                    soundEngine.idle(audioLoader, emitter, pos);
-                }
-            });
-        });
-        // Shoot flames!!!
-        if (duration >= ThrottleMap.long) {
-            particleSystem.triggerBackfire();
-        }
+        engine.stop()
     },
 
     /**
      * Preloads all audio files into buffers
-     * Caches audio for ignitionOn, idle, and ignitionOff for each microphone position
+     * Caches ignition recordings plus the idle and rev layers used by the engine synth
      * Updates initialization state when complete
      */
     load() {
@@ -933,108 +1121,245 @@ const soundEngine = {
     },
 
     /**
-     * Applies convolution reverb to all audio emitters with wet/dry mixing
-     * Creates parallel signal path: dry gain + (convolver -> wet gain)
+     * Loads an impulse response into the shared reverb bus and sets its dry/wet levels
      * @param {AudioBuffer} reverbBuffer - Impulse response buffer for convolution
      */
     applyConvolutionReverb(reverbBuffer) {
-        const blend = this.currentReverbBlend ?? 0.5
-        Object.values(audioEmitters).forEach(emitter => {
-            if (emitter._reverbNodes) {
-                try {
-                    const { dryGain, wetGain, convolver } = emitter._reverbNodes
-                    dryGain.disconnect()
-                    wetGain.disconnect()
-                    convolver.disconnect()
-                } catch(_) {}
-                emitter._reverbNodes = null
-            }
-
-            const ctx = listener.context
-            const convolver = ctx.createConvolver()
-            convolver.buffer = reverbBuffer
-
-            const wetGain = ctx.createGain()
-            const dryGain = ctx.createGain()
-            wetGain.gain.value = blend * this.currentReverbScalingFactor
-            dryGain.gain.value = (1.0 - blend) * this.currentReverbScalingFactor
-
-            const sourceNode = emitter.panner
-            if (!sourceNode) {
-                console.warn('PositionalAudio panner node missing; cannot apply reverb graph')
-                return
-            }
-
-            sourceNode.connect(dryGain)
-            dryGain.connect(ctx.destination)
-            sourceNode.connect(convolver)
-            convolver.connect(wetGain)
-            wetGain.connect(ctx.destination)
+        reverbBus.setImpulse(reverbBuffer)
+        this.setReverbLevel()
+    },
 
-            emitter._reverbNodes = { convolver, wetGain, dryGain }
-        })
+    /**
+     * Sets the dry and wet levels from the current blend and scaling factor
+     * The blend is the share of reverb in the mix, the scaling factor evens out loudness
+     * between impulse responses
+     */
+    setReverbLevel() {
+        const blend = this.currentReverbBlend ?? 0.5
+        const scalingFactor = this.currentReverbScalingFactor ?? 1.0
+        reverbBus.setMix({ dry: (1.0 - blend) * scalingFactor, wet: blend * scalingFactor })
     },
 
     /**
-     * Removes convolution reverb by disconnecting custom filter graph
-     * Restores direct audio path without reverb processing
+     * Fades the shared reverb bus out, leaving only the direct sound at its full level
      */
     removeConvolutionReverb() {
-        Object.values(audioEmitters).forEach(em => {
-            if (em._reverbNodes) {
-                try {
-                    const { dryGain, wetGain, convolver } = em._reverbNodes
-                    dryGain.disconnect()
-                    wetGain.disconnect()
-                    convolver.disconnect()
-                } catch (err) {
-                    console.warn('Error disconnecting reverb nodes:', err)
-                }
-                em._reverbNodes = null
-            }
-        })
+        reverbBus.setImpulse(null)
+        reverbBus.setMix({ dry: ReverbSettings.dry })
         this.currentReverbBlend = null
         this.currentReverbScalingFactor = null
     }
 }
 soundEngine.load()
+soundEngine.createSynths()
+soundEngine.createBodyFilters()
+
+/** @type {Object} Camera debug settings */
+const cameraParams = {
+    'Preset': 'Free',
+    'Follow Solo': CameraSettings.followSolo,
+    'Transition': CameraSettings.transitionTime
+}
+/** @type {Object<string, string>} Preset keys by display label, 'Free' leaves the camera where the user put it */
+const cameraPresetOptions = Object.fromEntries([
+    ['Free', 'Free'],
+    ...Object.entries(CameraPresets).map(([name, preset]) => [preset.label, name])
+])
+
+/**
+ * Flies the camera to a preset, or out of the cockpit for 'Free'
+ * @param {string} name - Preset key or 'Free'
+ */
+function selectCameraPreset(name) {
+    session.record('preset', name)
+    if (driveBy.isActive()) stopDriveBy()
+    if (name === 'Free') cameraPresets.exitCockpit()
+    else cameraPresets.flyTo(name)
+}
+dbgCameraPreset = dbgCamera.add(cameraParams, 'Preset', cameraPresetOptions).onChange(selectCameraPreset)
+dbgCamera.add(cameraParams, 'Follow Solo')
+dbgCamera.add(cameraParams, 'Transition', 0.2, 4, 0.1).name('Transition (s)').onChange(v => {
+    cameraPresets.setTransitionTime(v)
+})
+
+cameraPresets.registerChangeCallback(name => {
+    cameraParams.Preset = name ?? 'Free'
+    dbgCameraPreset.updateDisplay()
+})
+
+// Listener rides on the camera, so seating it puts the listener in the cabin
+cockpit.registerChangeCallback(inCabin => {
+    console.log('Camera:', inCabin ? 'Cockpit' : 'Orbit')
+    soundEngine.setCabinListening(inCabin)
+})
+
+/**
+ * Drive-by scene - the car passes a roadside listener at a held speed and gear
+ * @type {Object}
+ */
+const driveBy = createDriveBy({
+    car: carGroup,
+    camera,
+    controls,
+    emitters: { intake: audioEmitters.intake, exhaust: audioEmitters.exhaust, interior: audioEmitters.interior }
+})
+driveBy.registerEndCallback(() => endDriveBy())
+
+/** @type {Object} Drive-by debug settings */
+const driveByParams = {
+    'Speed': DriveBySettings.speedKmh,
+    'Gear': DriveBySettings.gear,
+    'Throttle': DriveBySettings.throttle
+}
+
+/**
+ * Starts a drive-by pass: takes the camera out of the cockpit, starts the engine if needed and
+ * holds the chosen gear at the chosen speed (capped just below the limiter in that gear)
+ */
+function startDriveBy() {
+    if (cockpit.isActive()) cockpit.setActive(false)
+    cameraPresets.cancel()
+    if (!controlsPanel.isIgnitionOn()) controlsPanel.toggleIgnition()
+
+    const gear = driveByParams.Gear
+    gearbox.setGear(gear)
+    const speed = Math.min(driveByParams.Speed / 3.6, gearbox.rpmToSpeed(EngineSettings.limiterRpm * 0.97, gear))
+    gearbox.holdSpeed(speed)
+    engine.setThrottle(Math.max(controlsPanel.getThrottlePosition(), driveByParams.Throttle))
+
+    console.log('Drive-by:', Math.round(speed * 3.6), 'km/h in', gearbox.getGearLabel())
+    driveBy.start()
+    driveByButton.name('Stop Drive-By')
+}
+
+/**
+ * Returns the car to neutral and the throttle to the pedal once a pass has ended
+ */
+function endDriveBy() {
+    gearbox.reset()
+    controlsPanel.setGearDisplay(gearbox.getGearLabel())
+    engine.setThrottle(controlsPanel.getThrottlePosition())
+    driveByButton.name('Start Drive-By')
+}
+
+/**
+ * Cuts a drive-by pass short
+ */
+function stopDriveBy() {
+    driveBy.stop()
+    endDriveBy()
+}
 
 /**
  * Convolution Reverb Configuration
  * Maps reverb preset names to impulse response files with wet/dry blend and scaling
  */
 
-/** @type {Object<string, Object>} Reverb preset definitions */
+/**
+ * Reverb preset definitions
+ * Built-in presets load from `path`; user impulse responses (and built-ins once loaded) keep their decoded `buffer`
+ * @type {Object<string, Object>}
+ */
 const reverbMap = {
     'Garage': { path: './audio/ir/garage.ogg', blend: 0.8, scalingFactor: 0.33 },
     'Outdoors': { path: './audio/ir/outdoors.ogg', blend: 0.6, scalingFactor: 0.2 }
 }
 
-/** @type {Object} Current reverb selection parameter */
-const reverbParams = { Reverb: 'None' }
-dbgAudioReverb = dbgAudio.add(reverbParams, 'Reverb', ['None', ...Object.keys(reverbMap)]).name('Conv. Reverb').onChange(name => {
+/** @type {Object} Current reverb selection and the selected preset's blend/scaling */
+const reverbParams = { Reverb: 'None', Blend: 0.5, Scaling: 1.0 }
+
+/**
+ * Applies a reverb preset through the shared reverb bus, loading its impulse response if needed
+ * @param {string} name - Preset name, or 'None' to remove the reverb
+ */
+function selectReverb(name) {
     if (name === 'None') {
         soundEngine.removeConvolutionReverb()
         return
     }
     const preset = reverbMap[name]
     if (!preset) return
-    const { path, blend = 0.5, scalingFactor = 1.0 } = preset
+    const { blend = 0.5, scalingFactor = 1.0 } = preset
     soundEngine.currentReverbBlend = blend
     soundEngine.currentReverbScalingFactor = scalingFactor
-    loadAudioFile(new THREE.AudioLoader(), path).then((buffer) => {
-        soundEngine.applyConvolutionReverb(buffer)
+    reverbParams.Blend = blend
+    reverbParams.Scaling = scalingFactor
+    dbgAudioReverbBlend.updateDisplay()
+    dbgAudioReverbScaling.updateDisplay()
+
+    const buffer = preset.buffer
+        ? Promise.resolve(preset.buffer)
+        : loadAudioFile(new THREE.AudioLoader(), preset.path).then(loaded => (preset.buffer = loaded))
+    buffer.then((loaded) => {
+        // A slow load must not override a newer selection
+        if (reverbParams.Reverb === name) soundEngine.applyConvolutionReverb(loaded)
     }).catch(err => {
         console.error('Failed to load reverb:', err)
         showErrorUI('Reverb Load Failed', `Could not load reverb preset: ${err.message}`, false)
     })
+}
+
+/**
+ * Creates the reverb dropdown, or rebuilds it with the new options after presets are added
+ * A new controller lands at the bottom of the folder, so it is moved back to where the old one was
+ */
+function updateReverbOptions() {
+    const options = ['None', ...Object.keys(reverbMap)]
+    const next = dbgAudioReverb ? dbgAudioReverb.domElement.nextSibling : null
+    if (dbgAudioReverb) dbgAudioReverb.destroy()
+    dbgAudioReverb = dbgAudio.add(reverbParams, 'Reverb', options).name('Conv. Reverb').onChange(selectReverb)
+    if (next) dbgAudio.$children.insertBefore(dbgAudioReverb.domElement, next)
+}
+
+/**
+ * Edits the selected preset's blend or scaling and re-applies its return level
+ * @param {string} key - Preset key ('blend' or 'scalingFactor')
+ * @param {number} value - New value
+ */
+function editReverbPreset(key, value) {
+    const preset = reverbMap[reverbParams.Reverb]
+    if (!preset) return
+    preset[key] = value
+    soundEngine.currentReverbBlend = preset.blend
+    soundEngine.currentReverbScalingFactor = preset.scalingFactor
+    if (reverbBus.hasImpulse()) soundEngine.setReverbLevel()
+}
+
+updateReverbOptions()
+/** @type {dat.Controller} Blend of the selected reverb preset */
+const dbgAudioReverbBlend = dbgAudio.add(reverbParams, 'Blend', 0, 1, 0.01).name('Reverb Blend').onChange(v => editReverbPreset('blend', v))
+/** @type {dat.Controller} Scaling factor of the selected reverb preset */
+const dbgAudioReverbScaling = dbgAudio.add(reverbParams, 'Scaling', 0, 1, 0.01).name('Reverb Scaling').onChange(v => editReverbPreset('scalingFactor', v))
+
+/** @type {Object} Loads user impulse responses dropped on the page or picked from disk, for this session */
+const impulseLoader = createImpulseLoader({ context: audioContext })
+impulseLoader.registerLoadCallback((fileName, buffer) => {
+    let name = fileName
+    for (let i = 2; name in reverbMap || name === 'None'; i++) name = `${fileName} (${i})`
+    reverbMap[name] = { buffer, blend: ImpulseSettings.blend, scalingFactor: ImpulseSettings.scalingFactor }
+    updateReverbOptions()
+
+    reverbParams.Reverb = name
+    dbgAudioReverb.updateDisplay()
+    selectReverb(name)
 })
+impulseLoader.registerErrorCallback(err => {
+    showErrorUI('Impulse Response Rejected', err.message, false)
+})
+dbgAudio.add({ 'Load IR': () => impulseLoader.openFilePicker() }, 'Load IR').name('Load IR (.wav/.ogg)...')
+
+/**
+ * Records user actions with their times into a session file, and replays them
+ * @type {Object}
+ */
+const session = createSessionRecorder()
 
 /** @type {Object} Ignition and other controls */
 const controlsPanel = createControls({ initVisible: true, initIgnition: false, initHeadlights: true })
 // Subscribe to ignition button press event in controls panel
 controlsPanel.registerIgnitionCallback((ignitionOn) => {
     console.log('Ignition:', ignitionOn ? 'ON' : 'OFF')
+    session.record('ignition', ignitionOn)
     if (ignitionOn) {
         soundEngine.ignitionOn()
     } else {
@@ -1043,17 +1368,523 @@ controlsPanel.registerIgnitionCallback((ignitionOn) => {
 })
 controlsPanel.registerHeadlightsCallback((headlightsOn) => {
     console.log('Headlights:', headlightsOn ? 'ON' : 'OFF')
+    session.record('headlights', headlightsOn)
     anims.lights()
 })
-controlsPanel.registerThrottleCallback((duration) => {
-    console.log('Throttle pressed:', duration, 'ms', duration >= ThrottleMap.long ? '(Long)' : duration >= ThrottleMap.medium ? '(Medium)' : '(Short)')
-    soundEngine.revEngine(duration)
+
+/**
+ * Reacts to a finished throttle press
+ * @param {number} duration - Press length bucket (ThrottleMap value, ms)
+ */
+function handleThrottlePress(duration) {
+    session.record('throttlePress', duration)
+    console.log('Throttle pressed:', duration, 'ms', duration >= ThrottleMap.long ? '(Long)' : duration >= ThrottleMap.medium ? '(Medium)' : '(Short)', Math.round(engine.getRpm()), 'rpm')
+    // Shoot flames!!!
+    if (duration >= ThrottleMap.long) {
+        particleSystem.triggerBackfire()
+    }
+}
+
+/**
+ * Opens the engine's throttle to the pedal position
+ * @param {number} position - Throttle position (0-1)
+ */
+function handleThrottlePosition(position) {
+    session.record('throttle', position)
+    // The drive-by holds a cruise throttle, the pedal can only add to it
+    engine.setThrottle(driveBy.isActive() ? Math.max(position, driveByParams.Throttle) : position)
+}
+
+controlsPanel.registerThrottleCallback(handleThrottlePress)
+controlsPanel.registerThrottlePositionCallback(handleThrottlePosition)
+controlsPanel.registerShiftCallback((direction) => {
+    const previousGear = gearbox.getGear()
+    if (direction > 0) gearbox.shiftUp()
+    else gearbox.shiftDown()
+    // The gear it ended up in, so a replay cannot drift from a shift that went nowhere
+    if (gearbox.getGear() !== previousGear) session.record('gear', gearbox.getGear())
+})
+
+/**
+ * Live recorder on the master bus output - records exactly what is heard
+ * @type {Object}
+ */
+const audioRecorder = createAudioRecorder({ context: audioContext, source: masterBus.output })
+audioRecorder.registerStopCallback((blob, extension) => {
+    console.log(`✓ Recorded ${(blob.size / 1024 / 1024).toFixed(1)} MB of audio`)
+    downloadBlob(blob, timestampedFileName(RenderSettings.filePrefix, extension))
+})
+audioRecorder.registerErrorCallback(err => {
+    controlsPanel.setRecording(false)
+    showErrorUI('Recording Failed', `Recording stopped: ${err.message}`, false)
+})
+/**
+ * Video capture of the canvas with the master output's sound
+ * @type {Object}
+ */
+const videoCapture = createVideoCapture({ canvas, audio: audioRecorder })
+videoCapture.registerStopCallback((blob, extension) => {
+    console.log(`✓ Recorded ${(blob.size / 1024 / 1024).toFixed(1)} MB of video`)
+    downloadBlob(blob, timestampedFileName(RenderSettings.filePrefix, extension, 'video'))
+})
+videoCapture.registerErrorCallback(err => {
+    showErrorUI('Video Capture Failed', `Could not start recording: ${err.message}`, false)
+})
+// Render at the chosen size from the countdown on, so the framing can be checked before recording
+videoCapture.registerStateCallback(state => {
+    captureSize = state === 'idle' ? null : VideoSettings.resolutions[videoParams['Resolution']]
+    handleResize()
+    videoButton.name(state === 'idle' ? 'Record Video' : state === 'countdown' ? 'Cancel Countdown' : 'Stop Video')
+})
+
+/** @type {Object} Video capture debug settings */
+const videoParams = {
+    'Resolution': VideoSettings.resolution,
+    'Frame Rate': VideoSettings.frameRate,
+    'Countdown': VideoSettings.countdown,
+    'Record Video': () => {
+        if (videoCapture.getState() !== 'idle') {
+            videoCapture.stop()
+            return
+        }
+        resumeAudioContext(audioContext)
+        try {
+            videoCapture.start({ frameRate: videoParams['Frame Rate'], countdown: videoParams['Countdown'] })
+        } catch (err) {
+            console.error('Failed to start video capture:', err)
+            showErrorUI('Video Capture Failed', err.message, false)
+        }
+    }
+}
+/** @type {dat.GUI} Video capture subfolder */
+const dbgVideo = dbgCamera.addFolder('Video Capture')
+dbgVideo.close()
+dbgVideo.add(videoParams, 'Resolution', Object.keys(VideoSettings.resolutions))
+dbgVideo.add(videoParams, 'Frame Rate', VideoSettings.frameRates).name('Frame Rate (fps)')
+dbgVideo.add(videoParams, 'Countdown', 0, 10, 1).name('Countdown (s)')
+/** @type {dat.Controller} Record/stop button, relabelled with the capture state */
+const videoButton = dbgVideo.add(videoParams, 'Record Video')
+
+controlsPanel.registerRecordCallback((record) => {
+    if (!record) {
+        audioRecorder.stop()
+        controlsPanel.setRecording(false)
+        return
+    }
+    // The click counts as the user gesture that lets a suspended context start
+    resumeAudioContext(audioContext)
+    try {
+        audioRecorder.start()
+        controlsPanel.setRecording(true)
+        console.log('Recording audio')
+    } catch (err) {
+        console.error('Failed to start recording:', err)
+        showErrorUI('Recording Failed', `Could not start recording: ${err.message}`, false)
+    }
 })
 console.log('Controls panel created', controlsPanel)
 
+// Orbit moves are sampled; flights, the cockpit and drive-bys are recorded as the actions that started them
+controls.addEventListener('change', () => {
+    if (cameraPresets.isFlying() || cockpit.isActive() || driveBy.isActive()) return
+    session.record('camera', { position: camera.position.toArray(), target: controls.target.toArray() })
+})
+
+/**
+ * Captures the scene a replay starts from, as values for the session's replay callbacks
+ * The camera comes before the cockpit, so a replay starting in the seat flies there from the recorded view
+ * @returns {Object} Values by session action
+ */
+function captureSessionState() {
+    return {
+        level: hdrParams.HDR,
+        followSolo: cameraParams['Follow Solo'],
+        camera: { position: camera.position.toArray(), target: controls.target.toArray() },
+        cockpit: cockpit.isActive(),
+        solo: soloState,
+        ignition: controlsPanel.isIgnitionOn(),
+        headlights: controlsPanel.isHeadlightsOn(),
+        gear: gearbox.getGear(),
+        throttle: controlsPanel.getThrottlePosition()
+    }
+}
+
+// Replay callbacks set the recorded state, so they serve both the initial state and the events
+session.registerCallback('level', name => {
+    if (hdrParams.HDR === name) return
+    hdrParams.HDR = name
+    dbgVehLevelSelect.updateDisplay()
+    selectLevel(name)
+})
+session.registerCallback('followSolo', follow => {
+    cameraParams['Follow Solo'] = follow
+    dbgCamera.controllers.forEach(controller => controller.updateDisplay())
+})
+session.registerCallback('camera', ({ position, target }) => {
+    camera.position.fromArray(position)
+    controls.target.fromArray(target)
+})
+session.registerCallback('cockpit', inCabin => { if (inCabin !== cockpit.isActive()) toggleCockpit() })
+session.registerCallback('preset', name => {
+    cameraParams.Preset = name
+    dbgCameraPreset.updateDisplay()
+    selectCameraPreset(name)
+})
+session.registerCallback('solo', state => setSoloState(state))
+session.registerCallback('ignition', on => { if (on !== controlsPanel.isIgnitionOn()) controlsPanel.toggleIgnition() })
+// Unanimated, so the lights switch at the recorded time rather than after a second sweep
+session.registerCallback('headlights', on => { if (on !== controlsPanel.isHeadlightsOn()) controlsPanel.toggleHeadlights({ animated: false }) })
+session.registerCallback('gear', gear => gearbox.setGear(gear))
+// The throttle opens on the step it was recorded on, and shows on the pedal as an input of its own
+// that never counts as a press: presses replay from their own events, so flames fire once
+session.registerCallback('throttle', position => {
+    handleThrottlePosition(position)
+    controlsPanel.setExternalThrottle(position, { source: 'replay', threshold: Infinity })
+})
+session.registerCallback('throttlePress', duration => handleThrottlePress(duration))
+// Sessions recorded before gears were stored hold shift directions
+session.registerCallback('shift', direction => controlsPanel.shift(direction))
+session.registerCallback('seed', seed => { soundRandom = createRandom(seed) })
+session.registerErrorCallback(err => {
+    showErrorUI('Replay Failed', `Could not replay the session: ${err.message}`, false)
+})
+/** @type {Object|null} Last recorded session, rendered by the audio export */
+let lastSession = null
+/** @type {string} Session state last reported, to tell when a replay ends */
+let sessionState = session.getState()
+session.registerStateCallback(state => {
+    console.log('Session:', state)
+    // Hand the throttle back to the pedal once a replay ends
+    if (sessionState === 'replaying') controlsPanel.setExternalThrottle(0, { source: 'replay' })
+    sessionState = state
+    // The replay drives the camera and throttle itself
+    if (state === 'replaying' && driveBy.isActive()) stopDriveBy()
+    dbgSessionRecord.name(state === 'recording' ? 'Stop Recording' : 'Record Session')
+    dbgSessionReplay.name(state === 'replaying' ? 'Stop Replay' : 'Replay Session...')
+})
+
+/** @type {Object} Session debug actions */
+const sessionParams = {
+    'Record Session': () => {
+        if (session.getState() !== 'recording') {
+            try {
+                // Seeded first, so the synths draw the same grains when the session replays
+                const seed = Math.floor(Math.random() * 0x100000000)
+                session.startRecording({ seed, ...captureSessionState() })
+                soundRandom = createRandom(seed)
+            } catch (err) {
+                showErrorUI('Recording Failed', err.message, false)
+            }
+            return
+        }
+        const file = session.stopRecording()
+        lastSession = file
+        console.log(`✓ Recorded session: ${file.events.length} events over ${file.duration.toFixed(1)} s`)
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' })
+        downloadBlob(blob, timestampedFileName(RenderSettings.filePrefix, 'json', 'session'))
+    },
+    'Replay Session...': () => {
+        if (session.getState() === 'replaying') session.stopReplay()
+        else if (session.getState() === 'recording') showErrorUI('Replay Failed', 'Stop recording before replaying', false)
+        else session.openFilePicker()
+    }
+}
+/** @type {dat.Controller} Record/stop button, relabelled with the session state */
+const dbgSessionRecord = dbgSession.add(sessionParams, 'Record Session')
+/** @type {dat.Controller} Replay/stop button, relabelled with the session state */
+const dbgSessionReplay = dbgSession.add(sessionParams, 'Replay Session...')
+
+/** @type {Object} Boost gauge beside the controls panel */
+const boostGauge = createBoostGauge({ initVisible: true })
+
+/** @type {Object} Instrument cluster: tach, speedo, boost and water temperature */
+const dashboard = createDashboard({ initVisible: false })
+
+/** @type {Object} Keyboard mapping driving the same paths as the controls panel and solo buttons */
+const keyboard = createKeyboardControls()
+keyboard.registerCallback('throttle', pressed => controlsPanel.setThrottlePressed(pressed))
+keyboard.registerCallback('ignition', pressed => { if (pressed) controlsPanel.toggleIgnition() })
+keyboard.registerCallback('headlights', pressed => { if (pressed) controlsPanel.toggleHeadlights() })
+keyboard.registerCallback('shiftUp', pressed => { if (pressed) controlsPanel.shift(1) })
+keyboard.registerCallback('shiftDown', pressed => { if (pressed) controlsPanel.shift(-1) })
+keyboard.registerCallback('cockpit', pressed => { if (pressed) toggleCockpit() })
+keyboard.registerCallback('soloMix', pressed => { if (pressed) setSoloState(SoloState.MIX) })
+keyboard.registerCallback('soloIntake', pressed => { if (pressed) setSoloState(SoloState.INTAKE) })
+keyboard.registerCallback('soloExhaust', pressed => { if (pressed) setSoloState(SoloState.EXHAUST) })
+keyboard.registerCallback('soloInterior', pressed => { if (pressed) setSoloState(SoloState.INTERIOR) })
+
+/** @type {Object} Gamepad polling: right trigger throttle, face buttons, bumper shifts and D-pad perspectives */
+const gamepad = createGamepadInput()
+gamepad.registerCallback('throttle', value => controlsPanel.setExternalThrottle(value))
+gamepad.registerCallback('ignition', pressed => { if (pressed) controlsPanel.toggleIgnition() })
+gamepad.registerCallback('headlights', pressed => { if (pressed) controlsPanel.toggleHeadlights() })
+gamepad.registerCallback('shiftUp', pressed => { if (pressed) controlsPanel.shift(1) })
+gamepad.registerCallback('shiftDown', pressed => { if (pressed) controlsPanel.shift(-1) })
+gamepad.registerCallback('cockpit', pressed => { if (pressed) toggleCockpit() })
+gamepad.registerCallback('soloMix', pressed => { if (pressed) setSoloState(SoloState.MIX) })
+gamepad.registerCallback('soloIntake', pressed => { if (pressed) setSoloState(SoloState.INTAKE) })
+gamepad.registerCallback('soloExhaust', pressed => { if (pressed) setSoloState(SoloState.EXHAUST) })
+gamepad.registerCallback('soloInterior', pressed => { if (pressed) setSoloState(SoloState.INTERIOR) })
+
+/** @type {Object} Kiosk/demo mode, orbits the car and shows it off after an idle timeout */
+const showroom = createShowroom({ controls })
+/** @type {Object|null} Solo and headlights from before the showroom took over, restored when it stops */
+let showroomRestore = null
+gamepad.registerActivityCallback(() => showroom.notifyActivity())
+showroom.registerChangeCallback(active => {
+    console.log('Showroom:', active ? 'ON' : 'OFF')
+    if (!active) {
+        if (showroomRestore) {
+            if (soloState !== showroomRestore.solo) setSoloState(showroomRestore.solo)
+            if (controlsPanel.isHeadlightsOn() !== showroomRestore.headlights) controlsPanel.toggleHeadlights({ animated: false })
+            showroomRestore = null
+        }
+        return
+    }
+    showroomRestore = { solo: soloState, headlights: controlsPanel.isHeadlightsOn() }
+    // Auto-rotate needs the orbit controls in charge of the camera
+    if (driveBy.isActive()) stopDriveBy()
+    if (cockpit.isActive()) cockpit.setActive(false)
+    cameraPresets.cancel()
+})
+showroom.registerLightsCallback(() => controlsPanel.toggleHeadlights())
+// The blip is its own throttle input, so releasing it never lets go of a held gamepad trigger
+showroom.registerBlipCallback(value => controlsPanel.setExternalThrottle(engine.isRunning() ? value : 0, { source: 'showroom' }))
+showroom.registerSoloCallback(() => {
+    const states = Object.values(SoloState)
+    setSoloState(states[(states.indexOf(soloState) + 1) % states.length])
+})
+
+/** @type {Object} Showroom debug settings */
+const showroomParams = {
+    'Showroom': showroom.isEnabled(),
+    'Idle Timeout': ShowroomSettings.idleTimeout
+}
+dbgCamera.add(showroomParams, 'Showroom').name('Showroom Mode').onChange(v => showroom.setEnabled(v))
+dbgCamera.add(showroomParams, 'Idle Timeout', 5, 300, 5).name('Idle Timeout (s)').onChange(v => showroom.setIdleTimeout(v))
+
+/** @type {Object<string, dat.Controller>} Rebind buttons in the Keyboard folder, keyed by action */
+const dbgKeyBindings = {}
+
+/**
+ * Refreshes the rebind button labels to show the current key for each action
+ */
+function updateKeyBindingLabels() {
+    const bindings = keyboard.getBindings()
+    Object.entries(dbgKeyBindings).forEach(([action, controller]) => {
+        controller.name(`${KeyActionLabels[action]}: ${formatKey(bindings[action])}`)
+    })
+}
+
+const keyBindingActions = {}
+Object.keys(KeyActionLabels).forEach(action => {
+    keyBindingActions[action] = () => {
+        dbgKeyBindings[action].name(`${KeyActionLabels[action]}: press a key...`)
+        keyboard.beginRebind(action, updateKeyBindingLabels)
+    }
+    dbgKeyBindings[action] = dbgKeyboard.add(keyBindingActions, action)
+})
+keyBindingActions.reset = () => {
+    keyboard.resetBindings()
+    updateKeyBindingLabels()
+}
+dbgKeyboard.add(keyBindingActions, 'reset').name('Reset Bindings')
+updateKeyBindingLabels()
+
 /** @type {Object} Audio volume meter system */
-const audioMeters = createMixer({ emitters: audioEmitters, initialVisible: true })
+const audioMeters = createMixer({ emitters: audioEmitters, master: masterBus.output, engine, initialVisible: true })
 dbgAudioMeters = dbgAudio.add(dbgAudioSettings, 'Meters').onChange(v => audioMeters.setVisible(v))
+dbgAudio.add({ 'Reset Mix': () => audioMeters.reset() }, 'Reset Mix')
+
+/**
+ * Reverb Bus Debug Controls
+ */
+
+/** @type {Object} Reverb bus debug settings, the dry/wet levels follow Reverb Blend and Reverb Scaling */
+const reverbBusParams = {
+    'Pre-Delay': ReverbSettings.preDelay * 1000,
+    'Damping': ReverbSettings.damping,
+    ...Object.fromEntries(Object.entries(ReverbSettings.sends).map(([pos, level]) => [`Send ${pos}`, level]))
+}
+/** @type {dat.GUI} Reverb bus subfolder */
+const dbgReverbBus = dbgAudio.addFolder('Reverb Bus')
+dbgReverbBus.close()
+dbgReverbBus.add(reverbBusParams, 'Pre-Delay', 0, ReverbSettings.maxPreDelay * 1000, 1).name('Pre-Delay (ms)').onChange(v => reverbBus.setPreDelay(v / 1000))
+dbgReverbBus.add(reverbBusParams, 'Damping', 500, 20000, 100).name('Damping (Hz)').onChange(v => reverbBus.setDamping(v))
+Object.keys(ReverbSettings.sends).forEach(pos => {
+    dbgReverbBus.add(reverbBusParams, `Send ${pos}`, 0, 1, 0.01).onChange(v => reverbBus.setSend(pos, v))
+})
+
+/**
+ * Master Bus Debug Controls
+ */
+
+/** @type {dat.GUI} Master bus subfolder */
+const dbgMasterBus = dbgAudio.addFolder('Master Bus')
+dbgMasterBus.close()
+
+/** @type {Object} Master bus EQ debug settings, one frequency/gain/Q set per band */
+const masterEqParams = { 'EQ': MasterBusSettings.eqEnabled }
+dbgMasterBus.add(masterEqParams, 'EQ').onChange(v => masterBus.setEqEnabled(v))
+MasterBusSettings.eq.forEach((band, i) => {
+    const params = { ...band }
+    const folder = dbgMasterBus.addFolder(`EQ ${i + 1} (${band.type})`)
+    folder.close()
+    folder.add(params, 'frequency', 20, 20000, 1).name('Freq (Hz)').onChange(v => masterBus.setEqBand(i, { frequency: v }))
+    folder.add(params, 'gain', -18, 18, 0.5).name('Gain (dB)').onChange(v => masterBus.setEqBand(i, { gain: v }))
+    folder.add(params, 'q', 0.1, 10, 0.05).name('Q').onChange(v => masterBus.setEqBand(i, { q: v }))
+})
+
+/** @type {Object} Master bus compressor debug settings */
+const masterCompParams = { ...MasterBusSettings.compressor }
+const dbgMasterComp = dbgMasterBus.addFolder('Compressor')
+dbgMasterComp.close()
+dbgMasterComp.add(masterCompParams, 'enabled').name('On').onChange(v => masterBus.setCompressor({ enabled: v }))
+dbgMasterComp.add(masterCompParams, 'threshold', -60, 0, 1).name('Threshold (dB)').onChange(v => masterBus.setCompressor({ threshold: v }))
+dbgMasterComp.add(masterCompParams, 'ratio', 1, 20, 0.5).name('Ratio').onChange(v => masterBus.setCompressor({ ratio: v }))
+dbgMasterComp.add(masterCompParams, 'knee', 0, 40, 1).name('Knee (dB)').onChange(v => masterBus.setCompressor({ knee: v }))
+dbgMasterComp.add(masterCompParams, 'attack', 0, 1, 0.001).name('Attack (s)').onChange(v => masterBus.setCompressor({ attack: v }))
+dbgMasterComp.add(masterCompParams, 'release', 0.01, 1, 0.01).name('Release (s)').onChange(v => masterBus.setCompressor({ release: v }))
+dbgMasterComp.add(masterCompParams, 'makeup', 0, 24, 0.5).name('Makeup (dB)').onChange(v => masterBus.setCompressor({ makeup: v }))
+
+/** @type {Object} Master bus limiter debug settings */
+const masterLimiterParams = { ...MasterBusSettings.limiter }
+const dbgMasterLimiter = dbgMasterBus.addFolder('Limiter')
+dbgMasterLimiter.close()
+dbgMasterLimiter.add(masterLimiterParams, 'enabled').name('On').onChange(v => masterBus.setLimiter({ enabled: v }))
+dbgMasterLimiter.add(masterLimiterParams, 'ceiling', -12, 0, 0.1).name('Ceiling (dBFS)').onChange(v => masterBus.setLimiter({ ceiling: v }))
+dbgMasterLimiter.add(masterLimiterParams, 'release', 0.01, 1, 0.01).name('Release (s)').onChange(v => masterBus.setLimiter({ release: v }))
+
+dbgMasterBus.add({ 'Output': MasterBusSettings.outputGain }, 'Output', -24, 12, 0.5).name('Output (dB)').onChange(v => masterBus.setOutputGain(v))
+
+/** @type {Object} Spectrum analyser and spectrogram for one emitter or the master bus */
+const spectrum = createSpectrum({
+    sources: {
+        master: masterBus.output,
+        intake: audioEmitters.intake.gain,
+        exhaust: audioEmitters.exhaust.gain,
+        interior: audioEmitters.interior.gain
+    },
+    engine
+})
+/** @type {Object} Spectrum debug settings */
+const spectrumParams = {
+    'Show': false,
+    'Source': spectrum.getSource(),
+    'FFT Size': SpectrumSettings.fftSize,
+    'Smoothing': SpectrumSettings.smoothing
+}
+/** @type {dat.GUI} Spectrum subfolder */
+const dbgSpectrum = dbgAudio.addFolder('Spectrum')
+dbgSpectrum.close()
+dbgSpectrum.add(spectrumParams, 'Show').onChange(v => spectrum.setVisible(v))
+dbgSpectrum.add(spectrumParams, 'Source', ['master', 'intake', 'exhaust', 'interior']).onChange(v => spectrum.setSource(v))
+dbgSpectrum.add(spectrumParams, 'FFT Size', [512, 1024, 2048, 4096, 8192, 16384, 32768]).onChange(v => spectrum.setFftSize(v))
+dbgSpectrum.add(spectrumParams, 'Smoothing', 0, 0.95, 0.05).onChange(v => spectrum.setSmoothing(v))
+
+/**
+ * Session Export
+ * Renders the last recorded session (or the scripted timeline) offline and downloads a WAV of the mix and of each perspective
+ */
+
+/**
+ * Snapshots the live audio graph for an offline render: listener and emitter placement, panner
+ * settings, mixer gains, the reverb and master bus settings and the engine sound options
+ * @returns {Object} Scene for renderSession
+ */
+function captureAudioScene() {
+    const position = new THREE.Vector3()
+    const quaternion = new THREE.Quaternion()
+    const direction = new THREE.Vector3()
+
+    listener.getWorldPosition(position)
+    listener.getWorldQuaternion(quaternion)
+    const scene = {
+        listener: {
+            position: position.toArray(),
+            forward: direction.set(0, 0, -1).applyQuaternion(quaternion).toArray(),
+            up: direction.set(0, 1, 0).applyQuaternion(quaternion).toArray()
+        },
+        emitters: {},
+        channelGains: {},
+        reverb: { settings: reverbBus.getSettings(), impulse: reverbBus.getImpulse() },
+        master: masterBus.getSettings(),
+        turbo: dbgAudioSettings['Turbo'],
+        downshiftPops: soundEngine.downshiftPops,
+        cabin: cockpit.isActive()
+    }
+
+    Object.entries(audioEmitters).forEach(([pos, emitter]) => {
+        if (pos === 'mix') return
+        const { panner } = emitter
+        emitter.getWorldPosition(position)
+        emitter.getWorldQuaternion(quaternion)
+        scene.emitters[pos] = {
+            position: position.toArray(),
+            orientation: direction.set(0, 0, 1).applyQuaternion(quaternion).toArray(),
+            panner: {
+                panningModel: panner.panningModel,
+                distanceModel: panner.distanceModel,
+                refDistance: panner.refDistance,
+                maxDistance: panner.maxDistance,
+                rolloffFactor: panner.rolloffFactor,
+                coneInnerAngle: panner.coneInnerAngle,
+                coneOuterAngle: panner.coneOuterAngle,
+                coneOuterGain: panner.coneOuterGain
+            }
+        }
+        scene.channelGains[pos] = audioMeters.getChannelGain(pos)
+    })
+    return scene
+}
+
+/** @type {boolean} Whether a session render is in progress */
+let sessionRendering = false
+
+/** @type {Array<dat.Controller>} Download buttons for the last render, one per output */
+let dbgExportDownloads = []
+
+/**
+ * Replaces the download buttons with one per output of a render
+ * Each download is a click of its own, since browsers block several downloads started at once
+ * @param {Object.<string, AudioBuffer>} renders - Render per output ('mix', 'intake', ...)
+ */
+function showExportDownloads(renders) {
+    dbgExportDownloads.forEach(controller => controller.destroy())
+    dbgExportDownloads = Object.entries(renders).map(([output, buffer]) => {
+        const fileName = timestampedFileName(RenderSettings.filePrefix, 'wav', output)
+        const label = `Download ${output.charAt(0).toUpperCase()}${output.slice(1)} (WAV)`
+        return dbgExport.add({ [label]: () => downloadBlob(encodeWav(buffer), fileName) }, label)
+    })
+    dbgExport.open()
+}
+
+/**
+ * Renders the last recorded session (the scripted timeline until one is recorded) and offers the
+ * mix and a WAV per perspective for download
+ */
+async function exportSession() {
+    if (sessionRendering) return
+    sessionRendering = true
+    const loading = showLoadingUI('Rendering session...')
+    try {
+        const timeline = lastSession ? sessionToTimeline(lastSession) : RenderTimeline
+        const renders = await renderSession({ timeline, buffers: soundEngine.buffers, scene: captureAudioScene() })
+        showExportDownloads(renders)
+        console.log(`✓ Rendered session: ${renders.mix.duration.toFixed(1)} s`)
+    } catch (err) {
+        console.error('Failed to render session:', err)
+        showErrorUI('Export Failed', `Could not render the session: ${err.message}`, false)
+    } finally {
+        loading.remove()
+        sessionRendering = false
+    }
+}
+
+/** @type {dat.GUI} Session export subfolder */
+const dbgExport = dbgAudio.addFolder('Export')
+dbgExport.close()
+dbgExport.add({ 'Render Session (WAV)': exportSession }, 'Render Session (WAV)')
 
 /** @type {Object} Performance monitoring system (FPS, frame time) */
 const perfMonitor = createPerformanceMonitor({ initialVisible: false })
@@ -1095,6 +1926,25 @@ dbgAudioEmitters = dbgAudio.add(dbgAudioSettings, 'Emitters').onChange(v => {
     emitterDebuggers.forEach(helper => helper.visible = v)
 })
 
+dbgAudio.add(dbgAudioSettings, 'Turbo').onChange(v => {
+    if (soundEngine.turbo) soundEngine.turbo.setEnabled(v)
+})
+
+/** @type {Object} Spatial rendering debug settings */
+const spatialParams = {
+    'Headphones': spatialAudio.isBinaural(),
+    'A/B Panning': spatialAudio.isComparing()
+}
+// A drive-by restores the panners it found when it ends, so end it before they change
+dbgAudio.add(spatialParams, 'Headphones').name('Headphones (binaural)').onChange(v => {
+    if (driveBy.isActive()) stopDriveBy()
+    spatialAudio.setBinaural(v)
+})
+dbgAudio.add(spatialParams, 'A/B Panning').name('A/B Panning (HRTF/equal-power)').onChange(v => {
+    if (driveBy.isActive()) stopDriveBy()
+    spatialAudio.setCompare(v)
+})
+
 /**
  * Vehicle Debug Controls
  */
@@ -1102,6 +1952,17 @@ dbgAudioEmitters = dbgAudio.add(dbgAudioSettings, 'Emitters').onChange(v => {
 /** @type {Array<string>} Available car models (currently only RX-7) */
 const fakeListOfCars = ['Mazda RX-7 FD']
 dbgVehCarSelect = dbgVehicle.add({ car: fakeListOfCars[0] }, 'car', fakeListOfCars).name('Car').onChange(v => {})
+dbgVehicle.add(soundEngine, 'downshiftPops').name('Downshift Pops')
+dbgVehicle.add({ 'Boost Gauge': boostGauge.isVisible() }, 'Boost Gauge').onChange(v => boostGauge.setVisible(v))
+dbgVehicle.add({ 'Dashboard': dashboard.isVisible() }, 'Dashboard').onChange(v => dashboard.setVisible(v))
+
+/** @type {dat.GUI} Drive-by subfolder */
+const dbgDriveBy = dbgVehicle.addFolder('Drive-By')
+dbgDriveBy.add(driveByParams, 'Speed', 10, 250, 5).name('Speed (km/h)')
+dbgDriveBy.add(driveByParams, 'Gear', 1, GearboxSettings.gearRatios.length, 1)
+dbgDriveBy.add(driveByParams, 'Throttle', 0, 1, 0.05)
+/** @type {Object} Start/stop button for the drive-by pass */
+const driveByButton = dbgDriveBy.add({ 'Drive-By': () => driveBy.isActive() ? stopDriveBy() : startDriveBy() }, 'Drive-By').name('Start Drive-By')
 
 /**
  * Resource Cleanup & Disposal
@@ -1137,18 +1998,80 @@ function disposeAll() {
         controlsPanel.dispose()
     }
 
+    if (boostGauge && boostGauge.dispose) {
+        boostGauge.dispose()
+    }
+
+    if (dashboard && dashboard.dispose) {
+        dashboard.dispose()
+    }
+
+    if (keyboard && keyboard.dispose) {
+        keyboard.dispose()
+    }
+
+    if (gamepad && gamepad.dispose) {
+        gamepad.dispose()
+    }
+
     if (audioMeters && audioMeters.dispose) {
         audioMeters.dispose()
     }
 
+    if (spectrum && spectrum.dispose) {
+        spectrum.dispose()
+    }
+
     if (perfMonitor && perfMonitor.dispose) {
         perfMonitor.dispose()
     }
 
+    if (soundEngine.chain) soundEngine.chain.dispose()
+
+    if (showroom && showroom.dispose) {
+        showroom.dispose()
+    }
+
+    if (driveBy && driveBy.dispose) {
+        driveBy.dispose()
+    }
+
+    if (cameraPresets && cameraPresets.dispose) {
+        cameraPresets.dispose()
+    }
+
+    if (cockpit && cockpit.dispose) {
+        cockpit.dispose()
+    }
+
     Object.values(audioEmitters).forEach(emitter => {
         disposeAudioEmitter(emitter)
     })
 
+    if (videoCapture && videoCapture.dispose) {
+        videoCapture.dispose()
+    }
+
+    if (session && session.dispose) {
+        session.dispose()
+    }
+
+    if (audioRecorder && audioRecorder.dispose) {
+        audioRecorder.dispose()
+    }
+
+    if (impulseLoader && impulseLoader.dispose) {
+        impulseLoader.dispose()
+    }
+
+    if (reverbBus && reverbBus.dispose) {
+        reverbBus.dispose()
+    }
+
+    if (masterBus && masterBus.dispose) {
+        masterBus.dispose()
+    }
+
     if (particleSystem && particleSystem.dispose) {
         particleSystem.dispose()
     }
@@ -1241,47 +2164,74 @@ const clock = new THREE.Clock()
 /** @type {number} Previous frame elapsed time for delta calculation */
 let previousTime = 0
 
+/** @type {number} Real time not yet stepped through while recording video at a fixed timestep */
+let captureLag = 0
+
+/** @type {number} Real time the engine simulation and session have not yet stepped through */
+let simulationLag = 0
+
 /**
- * Main render loop tick function
- * Updates animations, particle systems, audio, and renders the scene
+ * Updates input, the engine simulation and the sound by one animation frame
+ * Runs every frame, also while video is recorded on its fixed clock, so synth grains are
+ * scheduled well inside their lookahead however the scene steps fall. The engine simulation and
+ * session time advance in fixed steps, so a replay runs the same steps as its recording
  * Optimizes heavy computations based on page visibility
+ * @param {number} deltaTime - Frame time in seconds
  */
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
-    const deltaTime = elapsedTime - previousTime
-    previousTime = elapsedTime
+const updateAudio = (deltaTime) => {
+    if (!isPageVisible) return
+
+    const { step, maxCatchUpSteps } = SessionSettings
+    simulationLag += deltaTime
+    let steps = 0
+    while (simulationLag >= step && steps < maxCatchUpSteps) {
+        simulationLag -= step
+        engine.update(step)
+        gearbox.update(step)
+        boost.update(step, engine.getState())
+        // Replayed actions land after the step, where the frame's inputs landed when recorded
+        session.update(step)
+        steps++
+    }
+    // Too far behind (e.g. after a stall): drop the backlog rather than fast-forwarding the engine
+    if (simulationLag >= step) simulationLag = 0
+
+    // A replay counts as activity, so the showroom does not take over part way through
+    if (session.getState() === 'replaying') showroom.notifyActivity()
+    gamepad.update()
+    showroom.update(deltaTime)
+    if (controlsPanel && controlsPanel.update) {
+        controlsPanel.update()
+        if (audioRecorder.isRecording()) controlsPanel.setRecording(true, audioRecorder.getElapsed())
+    }
 
+    const engineState = engine.getState()
+    const boostState = boost.getState()
+    boostGauge.update(boostState)
+    dashboard.update({ engine: engineState, gearbox: gearbox.getState(), boost: boostState })
+
+    soundEngine.update(engineState, boostState)
+    soundEngine.setEmitterVolumes(soloState, audioMeters)
+
+    if (audioMeters && audioMeters.update) {
+        audioMeters.update(deltaTime)
+    }
+    spectrum.update()
+}
+
+/**
+ * Advances the scene by one step
+ * Updates animations, particle systems, the car's position and the camera
+ * @param {number} deltaTime - Step length in seconds
+ * @param {number} elapsedTime - Scene time at the end of the step in seconds
+ */
+const advance = (deltaTime, elapsedTime) => {
     if (isPageVisible) {
         if (anims.mixerWheels) {
             anims.mixerWheels.update(deltaTime)
 
-            switch (driveState) {
-                case DriveState.ACCEL:
-                    while (anims.mixerWheels.timeScale < 1.0) {
-                        anims.mixerWheels.timeScale += deltaTime
-                        if (anims.mixerWheels.timeScale >= 1.0) {
-                            anims.mixerWheels.timeScale = 1.0
-                            driveState = DriveState.DRIVE
-                        }
-                    }
-                    break
-                case DriveState.DECEL:
-                    while (anims.mixerWheels.timeScale > 0.0) {
-                        anims.mixerWheels.timeScale -= deltaTime
-                        if (anims.mixerWheels.timeScale <= 0.0) {
-                            anims.mixerWheels.timeScale = 0.0
-                            driveState = DriveState.STOP
-                            anims.mixerWheels.stopAllAction()
-                        }
-                    }
-                    break
-                case DriveState.DRIVE:
-                    break
-                case DriveState.STOP:
-                    break
-                default:
-                    break
-            }
+            // Wheel speed follows road speed, the clip's native rate matches wheelAnimSpeed
+            anims.mixerWheels.timeScale = gearbox.getSpeed() / GearboxSettings.wheelAnimSpeed
         }
 
         if (anims.mixerLights) {
@@ -1293,9 +2243,14 @@ const tick = () => {
             }
         }
 
-        carGroup.position.z = Math.sin(elapsedTime * 2) * 0.0125
+        // The drive-by owns the car's position while it passes
+        if (driveBy.isActive()) {
+            driveBy.update(deltaTime, gearbox.getSpeed())
+        } else {
+            carGroup.position.z = Math.sin(elapsedTime * 2) * 0.0125
+        }
 
-        particleSystem.update(deltaTime, driveState)
+        particleSystem.update(deltaTime, engine.getState(), boost.getState())
 
         if (lineButtons.length > 0) {
             lineButtons.forEach(btn => {
@@ -1306,23 +2261,54 @@ const tick = () => {
                 }
             })
         }
+    }
 
-        soundEngine.setEmitterVolumes(soloState)
-
-        if (controlsPanel && controlsPanel.update) {
-            controlsPanel.update()
-        }
+    cameraPresets.update(deltaTime)
 
-        if (audioMeters && audioMeters.update) {
-            audioMeters.update()
-        }
+    // Orbit controls would pull the camera back out of the seat, or off the roadside
+    if (cockpit.isActive()) {
+        cockpit.update()
+    } else if (!driveBy.isActive()) {
+        controls.update()
     }
+}
 
-    controls.update()
+/**
+ * Main render loop tick function
+ * Updates input and sound, then advances the scene by the frame time and renders it. While
+ * recording video the scene instead advances in fixed steps of one video frame, and a frame is
+ * only rendered and captured when a step has run, so the video's frame pacing is even; real time
+ * still decides how many steps run, which keeps the picture in sync with the live sound
+ */
+const tick = () => {
+    const elapsedTime = clock.getElapsedTime()
+    const deltaTime = elapsedTime - previousTime
+    previousTime = elapsedTime
 
-    perfMonitor.update()
+    updateAudio(deltaTime)
 
-    renderer.render(scene, camera)
+    const frameStep = videoCapture.getFrameStep()
+    if (frameStep === null) {
+        captureLag = 0
+        advance(deltaTime, elapsedTime)
+        perfMonitor.update()
+        renderer.render(scene, camera)
+    } else {
+        captureLag += deltaTime
+        let steps = 0
+        while (captureLag >= frameStep && steps < VideoSettings.maxCatchUpFrames) {
+            captureLag -= frameStep
+            advance(frameStep, elapsedTime - captureLag)
+            steps++
+        }
+        // Too far behind to catch up: drop the backlog rather than fast-forwarding the video
+        if (captureLag >= frameStep) captureLag = 0
+        if (steps > 0) {
+            perfMonitor.update()
+            renderer.render(scene, camera)
+            videoCapture.captureFrame()
+        }
+    }
 
     animationFrameId = window.requestAnimationFrame(tick)
 }
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Sequential twin-turbo boost model driven by engine speed and throttle
+ * @module systems/boost
+ */
+
+import { BoostSettings } from './constants.js'
+
+/**
+ * Clamps a value to the 0-1 range
+ * @private
+ * @param {number} x - Value
+ * @returns {number} Clamped value
+ */
+function clamp01(x) {
+    return Math.max(0, Math.min(1, x))
+}
+
+/**
+ * Creates the sequential twin-turbo boost model
+ * Exhaust flow (engine RPM and throttle) sets target shaft speeds each turbo spools towards with
+ * a lag. The primary runs alone at low RPM and runs out of flow as RPM climbs; under load the
+ * secondary pre-spools from prespoolRpm (transition) and comes online at transitionRpm, the two
+ * then sharing the flow (secondary). While the engine runs, manifold pressure moves between vacuum
+ * at closed throttle and whatever boost the turbos can supply, capped by the wastegate; stopped,
+ * it settles back to atmospheric. Lifting off with boost built up vents it through the blow-off valve
+ *
+ * @param {Object} options - Configuration options
+ * @param {Object} [options.settings=BoostSettings] - Boost tuning parameters
+ * @returns {Object} Boost instance with control methods
+ * @returns {Function} return.registerBlowOffCallback - Sets the callback fired when the blow-off valve vents
+ * @returns {Function} return.update - Advances the model (call once per frame, after the engine)
+ * @returns {Function} return.getState - Returns a snapshot of the boost state
+ * @returns {Function} return.reset - Spins the turbos down instantly
+ *
+ * @example
+ * const boost = createBoost()
+ * boost.registerBlowOffCallback(amount => turboSound.blowOff(amount))
+ *
+ * function animate() {
+ *     engine.update(deltaTime)
+ *     boost.update(deltaTime, engine.getState())
+ *     console.log(boost.getState().boost, 'bar', boost.getState().stage)
+ * }
+ */
+export function createBoost({ settings = BoostSettings } = {}) {
+    const vacuum = -settings.maxVacuum / settings.maxBoost
+
+    let primary = 0 // normalized primary shaft speed (0-1)
+    let secondary = 0 // normalized secondary shaft speed (0-1)
+    let pressure = 0 // manifold pressure relative to maxBoost (vacuum is negative, 0 is atmospheric)
+    let stage = 'primary'
+    let wastegate = false
+    let previousThrottle = 0
+    let blowOffCallback = null
+
+    /**
+     * Moves a value towards a target with separate rise and fall time constants
+     * @private
+     * @param {number} value - Current value
+     * @param {number} target - Target value
+     * @param {number} riseTime - Time constant when rising (seconds)
+     * @param {number} fallTime - Time constant when falling (seconds)
+     * @param {number} dt - Time step (seconds)
+     * @returns {number} New value
+     */
+    function approach(value, target, riseTime, fallTime, dt) {
+        const tc = target > value ? riseTime : fallTime
+        return value + (target - value) * (1 - Math.exp(-dt / tc))
+    }
+
+    /**
+     * Sets the callback fired when the blow-off valve vents on a throttle lift
+     * @param {Function} callback - Called with the normalized boost being vented (0-1)
+     */
+    function registerBlowOffCallback(callback) {
+        blowOffCallback = callback
+    }
+
+    /**
+     * Advances turbo shaft speeds, sequencing and manifold pressure
+     * @param {number} deltaTime - Time elapsed since last frame in seconds
+     * @param {Object} engineState - Engine state snapshot (see createEngine)
+     */
+    function update(deltaTime, engineState) {
+        if (!(deltaTime > 0)) return
+
+        const { running, rpm, throttle, fuelCut } = engineState
+        // Fuel cut starves the turbines but leaves the throttle plate open, so it does not vent
+        const pedal = running ? throttle : 0
+        const load = fuelCut ? 0 : pedal
+        const lifted = pedal <= settings.closedThrottle
+
+        // Lift with boost built up: the blow-off valve dumps the charge
+        if (lifted && previousThrottle > settings.closedThrottle && pressure >= settings.blowOffThreshold) {
+            if (blowOffCallback) blowOffCallback(Math.min(1, pressure))
+        }
+        previousThrottle = pedal
+
+        // Sequencing, with hysteresis so the secondary does not hunt around the transition
+        const demand = pedal >= settings.secondaryLoad
+        if (stage === 'secondary') {
+            if (!demand || rpm < settings.transitionRpm - settings.transitionHysteresis) stage = 'primary'
+        } else if (demand && rpm >= settings.transitionRpm) {
+            stage = 'secondary'
+        }
+        if (stage !== 'secondary') stage = demand && rpm >= settings.prespoolRpm ? 'transition' : 'primary'
+
+        // Exhaust energy available to each turbine
+        const primaryFlow = clamp01((rpm - settings.spoolRpm) / (settings.primaryFullRpm - settings.spoolRpm))
+        const primaryTarget = running ? primaryFlow * (0.2 + 0.8 * load) : 0
+        let secondaryTarget = 0
+        if (running && stage === 'transition') {
+            secondaryTarget = 0.5 * clamp01((rpm - settings.prespoolRpm) / (settings.transitionRpm - settings.prespoolRpm))
+        } else if (running && stage === 'secondary') {
+            secondaryTarget = 0.2 + 0.8 * load
+        }
+        primary = approach(primary, primaryTarget, settings.spoolTime, settings.spinDownTime, deltaTime)
+        secondary = approach(secondary, secondaryTarget, settings.spoolTime, settings.spinDownTime, deltaTime)
+
+        // Boost the turbos can supply: the primary alone chokes at high RPM, once the secondary
+        // is online each handles half the flow, so a lagging secondary dips boost briefly
+        let capacity
+        if (stage === 'secondary') {
+            capacity = 1.15 * 0.5 * (primary + secondary)
+        } else {
+            const choke = 1 - 0.4 * clamp01((rpm - settings.primaryChokeRpm) / 2000)
+            capacity = 1.15 * primary * choke
+        }
+
+        // Only a running engine pulls vacuum, a stopped one fills back up to atmospheric
+        let pressureTarget = 0
+        if (running) pressureTarget = lifted ? vacuum : vacuum + (Math.min(1, capacity) - vacuum) * pedal
+        const fallTime = lifted && pressure > 0 ? settings.dumpTime : settings.pressureTime
+        pressure = Math.min(1, approach(pressure, pressureTarget, settings.pressureTime, fallTime, deltaTime))
+
+        wastegate = !lifted && capacity > 1 && pressure > 0.97
+    }
+
+    /**
+     * Gets a snapshot of the boost state
+     * @returns {Object} State object
+     * @returns {number} return.boost - Manifold pressure (bar, negative under vacuum)
+     * @returns {number} return.boostNormalized - Positive boost as a fraction of maxBoost (0-1)
+     * @returns {number} return.primary - Normalized primary shaft speed (0-1)
+     * @returns {number} return.secondary - Normalized secondary shaft speed (0-1)
+     * @returns {number} return.shaft - Fastest shaft speed, for the compressor whine (0-1)
+     * @returns {string} return.stage - 'primary', 'transition' (secondary pre-spooling) or 'secondary'
+     * @returns {boolean} return.wastegate - Whether the wastegate is bleeding off excess boost
+     */
+    function getState() {
+        return {
+            boost: pressure * settings.maxBoost,
+            boostNormalized: Math.max(0, pressure),
+            primary,
+            secondary,
+            shaft: Math.max(primary, secondary),
+            stage,
+            wastegate
+        }
+    }
+
+    /**
+     * Spins the turbos down instantly
+     */
+    function reset() {
+        primary = 0
+        secondary = 0
+        pressure = 0
+        stage = 'primary'
+        wastegate = false
+        previousThrottle = 0
+    }
+
+    return {
+        registerBlowOffCallback,
+        update,
+        getState,
+        reset
+    }
+}
@@ -0,0 +1,386 @@
+/**
+ * @fileoverview Driver's-seat camera with mouse head-look, and named presets the camera flies between
+ * @module systems/camera
+ */
+
+import * as THREE from 'three'
+import { CockpitSettings, CameraPresets, CameraSettings } from './constants.js'
+
+/**
+ * Creates the cockpit camera mode
+ * Takes over the main camera (and so the audio listener riding on it), seats it in the car and
+ * turns it with mouse or touch drags. The orbit view is saved on entry and restored on exit;
+ * OrbitControls must not be updated while the cockpit is active
+ *
+ * @param {Object} options - Configuration options
+ * @param {THREE.PerspectiveCamera} options.camera - Main camera
+ * @param {Object} options.controls - Orbit controls to suspend while seated
+ * @param {HTMLElement} options.domElement - Element head-look drags are read from
+ * @param {THREE.Object3D} options.anchor - Object the seat moves with (the car group)
+ * @param {Object} [options.settings=CockpitSettings] - Seat and head-look tuning
+ * @returns {Object} Cockpit camera instance with control methods
+ * @returns {Function} return.registerChangeCallback - Sets the callback fired on entering or leaving the cockpit
+ * @returns {Function} return.setActive - Enters or leaves the cockpit
+ * @returns {Function} return.update - Places the camera in the seat (call once per frame)
+ * @returns {Function} return.getSeatPose - Gets the driver's eye position and look-at point
+ * @returns {Function} return.dispose - Leaves the cockpit and removes event listeners
+ *
+ * @example
+ * const cockpit = createCockpitCamera({ camera, controls, domElement: canvas, anchor: carGroup })
+ * cockpit.setActive(true)
+ *
+ * function animate() {
+ *     if (cockpit.isActive()) cockpit.update()
+ *     else controls.update()
+ * }
+ */
+export function createCockpitCamera({ camera, controls, domElement, anchor, settings = CockpitSettings }) {
+    const seat = new THREE.Vector3(...settings.seatPosition)
+    const look = new THREE.Euler(0, 0, 0, 'YXZ')
+    const lookQuaternion = new THREE.Quaternion()
+    const anchorQuaternion = new THREE.Quaternion()
+
+    let active = false
+    let yaw = 0
+    let pitch = 0
+    let drag = null
+    let saved = null
+    let changeCallback = null
+
+    function onPointerDown(e) {
+        if (!active || e.button !== 0) return
+        drag = { id: e.pointerId, x: e.clientX, y: e.clientY }
+        domElement.setPointerCapture(e.pointerId)
+    }
+
+    function onPointerMove(e) {
+        if (!drag || e.pointerId !== drag.id) return
+        yaw = Math.max(-settings.maxYaw, Math.min(settings.maxYaw, yaw - (e.clientX - drag.x) * settings.lookSpeed))
+        pitch = Math.max(-settings.maxPitch, Math.min(settings.maxPitch, pitch - (e.clientY - drag.y) * settings.lookSpeed))
+        drag.x = e.clientX
+        drag.y = e.clientY
+    }
+
+    function onPointerUp(e) {
+        if (!drag || e.pointerId !== drag.id) return
+        if (domElement.hasPointerCapture(e.pointerId)) domElement.releasePointerCapture(e.pointerId)
+        drag = null
+    }
+
+    // Double-click looks straight ahead again
+    function onDoubleClick() {
+        if (!active) return
+        yaw = 0
+        pitch = 0
+    }
+
+    domElement.addEventListener('pointerdown', onPointerDown)
+    domElement.addEventListener('pointermove', onPointerMove)
+    domElement.addEventListener('pointerup', onPointerUp)
+    domElement.addEventListener('pointercancel', onPointerUp)
+    domElement.addEventListener('dblclick', onDoubleClick)
+
+    /**
+     * Sets the callback fired on entering or leaving the cockpit
+     * @param {Function} callback - Called with `true` when seated, `false` when back in the orbit view
+     */
+    function registerChangeCallback(callback) {
+        changeCallback = callback
+    }
+
+    /**
+     * Enters or leaves the cockpit
+     * @param {boolean} value - Whether the camera should sit in the driver's seat
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.restore=true] - Return to the orbit view saved on entry when leaving,
+     *   otherwise the camera stays in the seat for the caller to move
+     */
+    function setActive(value, { restore = true } = {}) {
+        const next = !!value
+        if (next === active) return
+        active = next
+
+        if (active) {
+            saved = { position: camera.position.clone(), quaternion: camera.quaternion.clone(), fov: camera.fov }
+            controls.enabled = false
+            yaw = 0
+            pitch = 0
+            camera.fov = settings.fov
+            update()
+        } else {
+            drag = null
+            if (restore) {
+                camera.position.copy(saved.position)
+                camera.quaternion.copy(saved.quaternion)
+            }
+            camera.fov = saved.fov
+            controls.enabled = true
+        }
+        camera.updateProjectionMatrix()
+        if (changeCallback) changeCallback(active)
+    }
+
+    /**
+     * Places the camera at the driver's eyes, following the car and the head-look angles
+     */
+    function update() {
+        if (!active) return
+        anchor.updateWorldMatrix(true, false)
+        camera.position.copy(seat)
+        anchor.localToWorld(camera.position)
+
+        // The camera looks down -Z, the car's nose points down +Z
+        look.set(pitch, Math.PI + yaw, 0)
+        lookQuaternion.setFromEuler(look)
+        anchor.getWorldQuaternion(anchorQuaternion)
+        camera.quaternion.copy(anchorQuaternion).multiply(lookQuaternion)
+    }
+
+    /**
+     * Gets the driver's eye position and a point straight ahead of it, in world space
+     * @param {THREE.Vector3} position - Receives the eye position
+     * @param {THREE.Vector3} target - Receives the look-at point
+     */
+    function getSeatPose(position, target) {
+        anchor.updateWorldMatrix(true, false)
+        position.copy(seat)
+        anchor.localToWorld(position)
+        target.copy(seat)
+        target.z += 1
+        anchor.localToWorld(target)
+    }
+
+    /**
+     * Leaves the cockpit and removes head-look listeners
+     */
+    function dispose() {
+        setActive(false)
+        domElement.removeEventListener('pointerdown', onPointerDown)
+        domElement.removeEventListener('pointermove', onPointerMove)
+        domElement.removeEventListener('pointerup', onPointerUp)
+        domElement.removeEventListener('pointercancel', onPointerUp)
+        domElement.removeEventListener('dblclick', onDoubleClick)
+        changeCallback = null
+    }
+
+    return {
+        registerChangeCallback,
+        setActive,
+        isActive: () => active,
+        update,
+        getSeatPose,
+        dispose
+    }
+}
+
+/**
+ * Smoothstep easing for camera flights
+ * @private
+ * @param {number} t - Progress (0-1)
+ * @returns {number} Eased progress
+ */
+function easeInOut(t) {
+    return t * t * (3 - 2 * t)
+}
+
+/**
+ * Creates the camera preset system
+ * Flying to a preset tweens `camera.position` and `controls.target` together so the orbit
+ * controls stay consistent throughout. Flights into the cockpit end by seating the camera,
+ * flights out of it start from the driver's eyes. Grabbing the orbit controls cancels a flight
+ *
+ * @param {Object} options - Configuration options
+ * @param {THREE.PerspectiveCamera} options.camera - Main camera
+ * @param {Object} options.controls - Orbit controls whose target is tweened
+ * @param {Object} options.cockpit - Cockpit camera (see createCockpitCamera)
+ * @param {THREE.Object3D} options.anchor - Object preset positions are relative to (the car group)
+ * @param {Object} [options.presets=CameraPresets] - Named viewpoints
+ * @param {Object} [options.settings=CameraSettings] - Transition settings
+ * @returns {Object} Preset instance with control methods
+ * @returns {Function} return.registerChangeCallback - Sets the callback fired when a flight starts or is cancelled
+ * @returns {Function} return.flyTo - Flies the camera to a named preset
+ * @returns {Function} return.exitCockpit - Flies from the cockpit back to where the camera was before entering it
+ * @returns {Function} return.cancel - Stops any flight in progress
+ * @returns {Function} return.setTransitionTime - Sets how long flights take
+ * @returns {Function} return.update - Advances the current flight (call once per frame)
+ * @returns {Function} return.dispose - Cancels any flight and removes listeners
+ *
+ * @example
+ * const cameraPresets = createCameraPresets({ camera, controls, cockpit, anchor: carGroup })
+ * cameraPresets.flyTo('rearExhaust')
+ *
+ * function animate() {
+ *     cameraPresets.update(deltaTime)
+ * }
+ */
+export function createCameraPresets({ camera, controls, cockpit, anchor, presets = CameraPresets, settings = CameraSettings }) {
+    const fromPosition = new THREE.Vector3()
+    const fromTarget = new THREE.Vector3()
+    const toPosition = new THREE.Vector3()
+    const toTarget = new THREE.Vector3()
+    const returnPosition = new THREE.Vector3()
+    const returnTarget = new THREE.Vector3()
+
+    let flight = null // { name, elapsed, duration }
+    let transitionTime = settings.transitionTime
+    let current = null
+    let hasReturnPose = false
+    let changeCallback = null
+
+    // Taking hold of the orbit controls cancels a flight and leaves the camera off-preset
+    function onControlsStart() {
+        flight = null
+        if (current !== null) {
+            current = null
+            if (changeCallback) changeCallback(null)
+        }
+    }
+    controls.addEventListener('start', onControlsStart)
+
+    /**
+     * Sets the callback fired when a flight starts or the camera leaves a preset
+     * @param {Function} callback - Called with the preset name, or null once the camera is moved freely
+     */
+    function registerChangeCallback(callback) {
+        changeCallback = callback
+    }
+
+    /**
+     * Resolves a preset's world-space position and target
+     * @private
+     * @param {Object} preset - Preset definition
+     * @param {THREE.Vector3} position - Receives the camera position
+     * @param {THREE.Vector3} target - Receives the orbit target
+     */
+    function resolvePreset(preset, position, target) {
+        if (preset.cockpit) {
+            cockpit.getSeatPose(position, target)
+            return
+        }
+        anchor.updateWorldMatrix(true, false)
+        position.fromArray(preset.position)
+        anchor.localToWorld(position)
+        target.fromArray(preset.target)
+        anchor.localToWorld(target)
+    }
+
+    /**
+     * Starts a flight from the current camera pose
+     * @private
+     * @param {string|null} name - Preset name, null for the saved return pose
+     */
+    function startFlight(name) {
+        // Leave the seat where it is so the flight starts from the driver's eyes
+        if (cockpit.isActive()) {
+            cockpit.getSeatPose(fromPosition, fromTarget)
+            cockpit.setActive(false, { restore: false })
+            camera.position.copy(fromPosition)
+            controls.target.copy(fromTarget)
+        } else {
+            fromPosition.copy(camera.position)
+            fromTarget.copy(controls.target)
+        }
+
+        flight = { name, elapsed: 0, duration: Math.max(0.001, transitionTime) }
+        current = name
+        if (changeCallback) changeCallback(name)
+    }
+
+    /**
+     * Flies the camera to a named preset
+     * @param {string} name - Preset key (e.g. 'rearExhaust', 'cockpit')
+     */
+    function flyTo(name) {
+        const preset = presets[name]
+        if (!preset) {
+            console.warn(`Unknown camera preset: ${name}`)
+            return
+        }
+        if (preset.cockpit && cockpit.isActive()) return
+
+        // Remember the orbit view so leaving the cockpit can fly back to it
+        if (preset.cockpit) {
+            returnPosition.copy(camera.position)
+            returnTarget.copy(controls.target)
+            hasReturnPose = true
+        }
+        startFlight(name)
+    }
+
+    /**
+     * Flies from the cockpit back to the view the camera had before flying in
+     */
+    function exitCockpit() {
+        if (!cockpit.isActive()) return
+        if (!hasReturnPose) {
+            flyTo(Object.keys(presets).find(name => !presets[name].cockpit))
+            return
+        }
+        startFlight(null)
+    }
+
+    /**
+     * Advances the current flight
+     * @param {number} deltaTime - Time elapsed since last frame in seconds
+     */
+    function update(deltaTime) {
+        if (!flight) return
+
+        // Targets are re-resolved each frame so flights track the (gently moving) car
+        if (flight.name === null) {
+            toPosition.copy(returnPosition)
+            toTarget.copy(returnTarget)
+        } else {
+            resolvePreset(presets[flight.name], toPosition, toTarget)
+        }
+
+        flight.elapsed += deltaTime
+        const t = Math.min(1, flight.elapsed / flight.duration)
+        const e = easeInOut(t)
+        camera.position.lerpVectors(fromPosition, toPosition, e)
+        controls.target.lerpVectors(fromTarget, toTarget, e)
+        camera.lookAt(controls.target)
+
+        if (t >= 1) {
+            const arrived = flight.name !== null && presets[flight.name].cockpit
+            flight = null
+            if (arrived) cockpit.setActive(true)
+        }
+    }
+
+    /**
+     * Stops any flight where it is, leaving the camera mid-way
+     */
+    function cancel() {
+        flight = null
+    }
+
+    /**
+     * Cancels any flight and removes listeners
+     */
+    function dispose() {
+        flight = null
+        controls.removeEventListener('start', onControlsStart)
+        changeCallback = null
+    }
+
+    /**
+     * Sets how long flights take; a flight already under way keeps its length
+     * @param {number} seconds - Flight duration
+     */
+    function setTransitionTime(seconds) {
+        transitionTime = seconds
+    }
+
+    return {
+        registerChangeCallback,
+        flyTo,
+        exitCockpit,
+        cancel,
+        setTransitionTime,
+        update,
+        isFlying: () => flight !== null,
+        getCurrent: () => current,
+        dispose
+    }
+}
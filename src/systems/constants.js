@@ -4,19 +4,209 @@
  */
 
 /**
- * Vehicle drive states for animation and audio control
- * @enum {string}
- * @readonly
+ * Engine simulation tuning for the 13B-REW rotary model
+ * Torque is applied against a lumped rotating inertia, so RPM climbs and falls smoothly
+ * @type {Object}
+ * @property {number} idleRpm - Target RPM held by the idle governor
+ * @property {number} redlineRpm - Start of the tachometer redline
+ * @property {number} limiterRpm - RPM at which the rev limiter cuts fuel
+ * @property {number} limiterHysteresis - RPM drop below the limiter before fuel is restored
+ * @property {number} inertia - Rotating inertia of rotors, eccentric shaft and flywheel (kg*m^2)
+ * @property {number} peakTorque - Peak wide-open-throttle torque (Nm)
+ * @property {number} peakTorqueRpm - RPM at which peak torque is produced
+ * @property {number} frictionTorque - Constant friction torque (Nm)
+ * @property {number} frictionPerKrpm - Additional friction torque per 1000 RPM (Nm)
+ * @property {number} pumpingPerKrpm - Closed-throttle pumping loss per 1000 RPM (Nm)
+ * @property {number} idleGain - Idle governor throttle added per RPM below idle
+ * @property {number} stallRpm - RPM below which a stopped engine snaps to zero
+ * @property {number} ambientTemp - Coolant temperature of a cold engine (°C)
+ * @property {number} operatingTemp - Thermostat opening temperature (°C)
+ * @property {number} warmupRate - Coolant heating at full RPM and load (°C/s)
+ * @property {number} radiatorGain - Radiator cooling per degree over operatingTemp (1/s)
+ * @property {number} coolingGain - Natural cooling per degree over ambientTemp (1/s)
+ */
+export const EngineSettings = {
+    idleRpm: 850,
+    redlineRpm: 8000,
+    limiterRpm: 8000,
+    limiterHysteresis: 200,
+    inertia: 0.3,
+    peakTorque: 300,
+    peakTorqueRpm: 5000,
+    frictionTorque: 15,
+    frictionPerKrpm: 8,
+    pumpingPerKrpm: 14,
+    idleGain: 0.002,
+    stallRpm: 30,
+    ambientTemp: 20,
+    operatingTemp: 88,
+    warmupRate: 1.5,
+    radiatorGain: 0.5,
+    coolingGain: 0.005
+}
+
+/**
+ * Five-speed manual gearbox and vehicle tuning (FD3S ratios)
+ * @type {Object}
+ * @property {Array<number>} gearRatios - Ratios for gears 1-5 (neutral is gear 0)
+ * @property {number} finalDrive - Differential ratio
+ * @property {number} tireRadius - Loaded tire radius in meters (255/40R17)
+ * @property {number} mass - Vehicle mass including driver (kg)
+ * @property {number} rollingResistance - Rolling resistance coefficient
+ * @property {number} dragArea - Drag coefficient times frontal area (m^2)
+ * @property {number} airDensity - Air density (kg/m^3)
+ * @property {number} clutchCapacity - Maximum torque the clutch can transmit while slipping (Nm)
+ * @property {number} clutchSlipGain - Slip torque per RPM of speed difference across the clutch (Nm/RPM)
+ * @property {number} clutchLockRpm - Speed difference below which a fully engaged clutch locks
+ * @property {number} shiftTime - Time the clutch is held open during a shift (seconds)
+ * @property {number} engageTime - Time to let the clutch out after a shift (seconds)
+ * @property {number} antiStallRpm - Engine RPM below which the clutch is dipped to avoid stalling
+ * @property {number} revMatchGain - Downshift blip throttle per RPM below the rev-matched speed
+ * @property {number} aggressiveDownshiftRpm - RPM jump on a downshift that counts as aggressive (backfire pop)
+ * @property {number} wheelAnimSpeed - Road speed (m/s) at which the wheel animation plays at timeScale 1
+ */
+export const GearboxSettings = {
+    gearRatios: [3.483, 2.015, 1.391, 1.0, 0.719],
+    finalDrive: 4.1,
+    tireRadius: 0.316,
+    mass: 1350,
+    rollingResistance: 0.013,
+    dragArea: 0.6,
+    airDensity: 1.2,
+    clutchCapacity: 450,
+    clutchSlipGain: 1.5,
+    clutchLockRpm: 250,
+    shiftTime: 0.2,
+    engageTime: 0.3,
+    antiStallRpm: 500,
+    revMatchGain: 0.0025,
+    aggressiveDownshiftRpm: 1500,
+    wheelAnimSpeed: 5.5
+}
+
+/**
+ * RPM layers for the granular engine synth, in ascending RPM order
+ * Each recording is assigned the engine speed it was captured at; grains are resampled by
+ * RPM / layer RPM and adjacent layers are equal-power crossfaded
+ * @type {Array<Object>}
+ * @property {string} key - Buffer name in soundEngine.buffers[pos]
+ * @property {number} rpm - Engine speed the recording represents
+ * @property {string} region - 'loop' draws grains from anywhere, 'peak' from around the loudest point
+ * @property {number} [gain=1] - Level trim for the layer
+ */
+export const SynthLayers = [
+    { key: 'idle', rpm: 850, region: 'loop' },
+    { key: 'revShort', rpm: 3000, region: 'peak' },
+    { key: 'revMedium', rpm: 5000, region: 'peak' },
+    { key: 'revLong', rpm: 7500, region: 'peak' }
+]
+
+/**
+ * Grain scheduling and crossfade tuning for the granular engine synth
+ * @type {Object}
+ * @property {number} grainDuration - Length of each grain (seconds)
+ * @property {number} overlap - Number of grains sounding at once per layer
+ * @property {number} lookahead - How far ahead of the audio clock grains are scheduled (seconds)
+ * @property {number} peakWindow - Spread of grain offsets around a rev recording's peak (seconds)
+ * @property {number} minPitch - Lowest playback rate applied to a layer
+ * @property {number} maxPitch - Highest playback rate applied to a layer
+ * @property {number} offLoadGain - Level multiplier with the throttle closed
+ * @property {number} fadeTime - Fade in/out time when the synth starts or stops (seconds)
+ * @property {number} dipAttack - Time for a shift dip to reach its floor (seconds)
+ * @property {number} dipRelease - Time for the level to recover after a shift dip (seconds)
+ * @property {number} upshiftDip - Level removed while the clutch is open on an upshift (0-1)
+ * @property {number} downshiftDip - Level removed while the clutch is open on a downshift (0-1)
+ */
+export const SynthSettings = {
+    grainDuration: 0.09,
+    overlap: 2,
+    lookahead: 0.05,
+    peakWindow: 0.25,
+    minPitch: 0.5,
+    maxPitch: 2.0,
+    offLoadGain: 0.7,
+    fadeTime: 0.15,
+    dipAttack: 0.02,
+    dipRelease: 0.25,
+    upshiftDip: 0.4,
+    downshiftDip: 0.2
+}
+
+/**
+ * Exhaust pop on an aggressive downshift: a burst of band-passed noise with a fast decay
+ * @type {Object}
+ * @property {number} gain - Peak level of the pop
+ * @property {number} duration - Time for the pop to decay (seconds)
+ * @property {number} frequency - Band centre of the noise (Hz)
+ * @property {number} q - Band quality factor
+ */
+export const PopSoundSettings = {
+    gain: 0.8,
+    duration: 0.12,
+    frequency: 220,
+    q: 0.9
+}
+
+/**
+ * Sequential twin-turbo boost model tuning
+ * The primary turbo spools alone at low RPM; the secondary pre-spools with its charge control
+ * valve shut and comes online at the transition RPM under load
+ * @type {Object}
+ * @property {number} maxBoost - Boost at which the wastegate opens (bar)
+ * @property {number} maxVacuum - Manifold vacuum with the throttle closed (bar, positive)
+ * @property {number} spoolRpm - Engine RPM where exhaust flow starts spinning the primary up
+ * @property {number} primaryFullRpm - Engine RPM with enough exhaust flow for full primary boost
+ * @property {number} primaryChokeRpm - Engine RPM past which the primary alone runs out of flow
+ * @property {number} prespoolRpm - Engine RPM at which the secondary starts pre-spooling
+ * @property {number} transitionRpm - Engine RPM at which the secondary comes online
+ * @property {number} transitionHysteresis - RPM below transitionRpm at which it drops back to primary only
+ * @property {number} secondaryLoad - Throttle needed to pre-spool and bring in the secondary
+ * @property {number} spoolTime - Time constant for a turbo shaft spinning up (seconds)
+ * @property {number} spinDownTime - Time constant for a turbo shaft coasting down (seconds)
+ * @property {number} pressureTime - Time constant for manifold pressure following the turbos (seconds)
+ * @property {number} dumpTime - Time constant for boost venting through the blow-off valve (seconds)
+ * @property {number} closedThrottle - Throttle position treated as a lift for the blow-off valve
+ * @property {number} blowOffThreshold - Normalized boost needed for the blow-off valve to open
  */
-export const DriveState = {
-    /** Vehicle is stationary with engine at idle */
-    STOP: 'stop',
-    /** Vehicle is cruising at constant speed */
-    DRIVE: 'drive',
-    /** Vehicle is accelerating (transitioning from idle to drive) */
-    ACCEL: 'accel',
-    /** Vehicle is decelerating (transitioning from drive to stop) */
-    DECEL: 'decel'
+export const BoostSettings = {
+    maxBoost: 0.7,
+    maxVacuum: 0.65,
+    spoolRpm: 1800,
+    primaryFullRpm: 3200,
+    primaryChokeRpm: 4000,
+    prespoolRpm: 3500,
+    transitionRpm: 4500,
+    transitionHysteresis: 300,
+    secondaryLoad: 0.6,
+    spoolTime: 0.5,
+    spinDownTime: 1.5,
+    pressureTime: 0.12,
+    dumpTime: 0.08,
+    closedThrottle: 0.1,
+    blowOffThreshold: 0.25
+}
+
+/**
+ * Procedural turbo sound layer tuning
+ * @type {Object}
+ * @property {number} whineMinFreq - Compressor whine frequency with the shaft barely turning (Hz)
+ * @property {number} whineMaxFreq - Compressor whine frequency at full shaft speed (Hz)
+ * @property {number} whineGain - Whine level at full shaft speed
+ * @property {number} hissGain - Intake rush level at full boost
+ * @property {number} wastegateGain - Wastegate flutter level with the gate open
+ * @property {number} blowOffGain - Blow-off valve burst level from full boost
+ * @property {number} blowOffDuration - Blow-off valve burst length from full boost (seconds)
+ * @property {number} smoothing - Time constant parameters glide with (seconds)
+ */
+export const TurboSoundSettings = {
+    whineMinFreq: 1800,
+    whineMaxFreq: 7500,
+    whineGain: 0.04,
+    hissGain: 0.06,
+    wastegateGain: 0.05,
+    blowOffGain: 0.5,
+    blowOffDuration: 0.6,
+    smoothing: 0.03
 }
 
 /**
@@ -66,6 +256,269 @@ export const EmitterVolMults = {
     INTERIOR: 0.3
 }
 
+/**
+ * Level meter configuration for the mixer panel
+ * @type {Object}
+ * @property {number} fftSize - Analyser window in samples, the RMS integration time
+ * @property {number} minDb - Bottom of the meter scale (dBFS)
+ * @property {number} maxDb - Top of the meter scale (dBFS)
+ * @property {number} rmsRelease - RMS bar fall rate (dB/s)
+ * @property {number} peakRelease - Peak bar and released peak-hold fall rate (dB/s)
+ * @property {number} peakHoldTime - How long the peak-hold marker stays put (seconds)
+ * @property {number} clipLevel - True peak level that lights the clip LED (dBFS)
+ */
+export const MeterSettings = {
+    fftSize: 2048,
+    minDb: -60,
+    maxDb: 3,
+    rmsRelease: 20,
+    peakRelease: 12,
+    peakHoldTime: 1.5,
+    clipLevel: 0
+}
+
+/**
+ * Spectrum analyser and spectrogram configuration
+ * @type {Object}
+ * @property {number} fftSize - Default FFT size (power of two, 32-32768)
+ * @property {number} smoothing - Default analyser smoothing time constant (0-1)
+ * @property {number} minFreq - Lowest frequency shown (Hz)
+ * @property {number} maxFreq - Highest frequency shown (Hz)
+ * @property {number} minDb - Bottom of the level scale (dBFS)
+ * @property {number} maxDb - Top of the level scale (dBFS)
+ * @property {number} pulsesPerRev - Firing pulses per eccentric shaft revolution (2 for a two-rotor)
+ * @property {number} harmonics - Firing harmonics to mark on the spectrum
+ */
+export const SpectrumSettings = {
+    fftSize: 4096,
+    smoothing: 0.6,
+    minFreq: 20,
+    maxFreq: 20000,
+    minDb: -110,
+    maxDb: -10,
+    pulsesPerRev: 2,
+    harmonics: 6
+}
+
+/**
+ * Master bus processing: parametric EQ, compressor and brickwall limiter, in that order
+ * @type {Object}
+ * @property {Array<Object>} eq - EQ bands ({type, frequency (Hz), gain (dB), q}), BiquadFilterNode types
+ * @property {Object} compressor - Compressor ({enabled, threshold (dB), knee (dB), ratio, attack (s), release (s), makeup (dB)})
+ * @property {Object} limiter - Limiter ({enabled, ceiling (dBFS), release (s)})
+ * @property {boolean} eqEnabled - Whether the EQ is in circuit
+ * @property {number} outputGain - Output trim, applied ahead of the limiter so the ceiling holds (dB)
+ * @property {number} smoothing - Time constant for parameter changes (seconds)
+ */
+export const MasterBusSettings = {
+    eqEnabled: true,
+    eq: [
+        { type: 'lowshelf', frequency: 80, gain: 0, q: 0.7 },
+        { type: 'peaking', frequency: 400, gain: 0, q: 1.0 },
+        { type: 'peaking', frequency: 2500, gain: 0, q: 1.0 },
+        { type: 'highshelf', frequency: 8000, gain: 0, q: 0.7 }
+    ],
+    compressor: {
+        enabled: true,
+        threshold: -18,
+        knee: 6,
+        ratio: 3,
+        attack: 0.01,
+        release: 0.25,
+        makeup: 0
+    },
+    limiter: {
+        enabled: true,
+        ceiling: -1,
+        release: 0.1
+    },
+    outputGain: 0,
+    smoothing: 0.02
+}
+
+/**
+ * Shared reverb send/return bus
+ * @type {Object}
+ * @property {Object.<string, number>} sends - Default send level per emitter (0-1)
+ * @property {number} preDelay - Delay before the reverb onset (seconds)
+ * @property {number} maxPreDelay - Longest pre-delay allowed (seconds)
+ * @property {number} damping - Lowpass cutoff on the reverb input (Hz), 20000 for none
+ * @property {number} wet - Default return level (0-1), presets override it
+ * @property {number} dry - Default level of the direct sound (0-1)
+ * @property {number} crossfadeTime - Crossfade between impulse responses when swapping (seconds)
+ * @property {number} smoothing - Time constant for level and filter changes (seconds)
+ */
+export const ReverbSettings = {
+    sends: {
+        mix: 0.8,
+        intake: 0.8,
+        exhaust: 1.0,
+        interior: 0.4
+    },
+    preDelay: 0.015,
+    maxPreDelay: 0.5,
+    damping: 12000,
+    wet: 0.25,
+    dry: 1.0,
+    crossfadeTime: 0.3,
+    smoothing: 0.03
+}
+
+/**
+ * User-supplied impulse response loading
+ * @type {Object}
+ * @property {Array<string>} extensions - Accepted file extensions
+ * @property {number} maxFileSize - Largest file accepted (bytes)
+ * @property {number} maxDuration - Longest impulse response accepted (seconds)
+ * @property {number} blend - Starting blend for a loaded impulse response (0-1)
+ * @property {number} scalingFactor - Starting scaling factor for a loaded impulse response
+ */
+export const ImpulseSettings = {
+    extensions: ['wav', 'ogg'],
+    maxFileSize: 20 * 1024 * 1024,
+    maxDuration: 20,
+    blend: 0.6,
+    scalingFactor: 0.3
+}
+
+/**
+ * Offline session render configuration
+ * @type {Object}
+ * @property {number} sampleRate - Render sample rate (Hz)
+ * @property {number} step - Simulation step the engine model and synths advance by (seconds)
+ * @property {number} seed - Seed for the grain and noise randomness, so every render of a session comes out the same
+ * @property {number} tail - Time rendered after the last timeline event, for fades and reverb to ring out (seconds)
+ * @property {number} soloFadeTime - Time a solo change takes to fade the perspectives (seconds)
+ * @property {string} filePrefix - Start of the exported file names
+ */
+export const RenderSettings = {
+    sampleRate: 48000,
+    step: 1 / 120,
+    seed: 7,
+    tail: 2.5,
+    soloFadeTime: 0.08,
+    filePrefix: 'rx7sim'
+}
+
+/**
+ * Live recording of the master output
+ * @type {Object}
+ * @property {Array<string>} mimeTypes - Container/codec choices in order of preference, the first the browser supports is used
+ * @property {number} audioBitsPerSecond - Encoder bitrate
+ * @property {number} timeslice - Interval the recorder hands over encoded data (ms)
+ */
+export const RecorderSettings = {
+    mimeTypes: ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm', 'audio/mp4'],
+    audioBitsPerSecond: 192000,
+    timeslice: 1000
+}
+
+/**
+ * Canvas video capture configuration
+ * @type {Object}
+ * @property {Object.<string, Array<number>|null>} resolutions - Capture sizes [width, height] by label, null keeps the window size
+ * @property {string} resolution - Default resolution label
+ * @property {Array<number>} frameRates - Selectable frame rates (fps)
+ * @property {number} frameRate - Default frame rate (fps)
+ * @property {number} countdown - Seconds counted down before recording starts
+ * @property {Array<string>} mimeTypes - Container/codec choices in order of preference
+ * @property {number} videoBitsPerSecond - Video encoder bitrate
+ * @property {number} maxCatchUpFrames - Most fixed steps run in one animation frame before the loop gives up catching up
+ */
+export const VideoSettings = {
+    resolutions: {
+        'Window': null,
+        '1280x720': [1280, 720],
+        '1920x1080': [1920, 1080],
+        '1080x1080': [1080, 1080],
+        '1080x1920': [1080, 1920]
+    },
+    resolution: '1920x1080',
+    frameRates: [24, 30, 60],
+    frameRate: 30,
+    countdown: 3,
+    mimeTypes: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'],
+    videoBitsPerSecond: 8000000,
+    maxCatchUpFrames: 4
+}
+
+/**
+ * Input session recording and replay
+ * @type {Object}
+ * @property {number} version - Session file format version
+ * @property {Object.<string, number>} sampleIntervals - Shortest gap between recorded events of a continuous action (seconds), the latest value is kept
+ * @property {number} step - Fixed step the engine simulation and session time advance by, so a replay steps exactly like the recording (seconds)
+ * @property {number} maxCatchUpSteps - Most steps run in one animation frame before the loop drops the backlog
+ */
+export const SessionSettings = {
+    version: 1,
+    sampleIntervals: {
+        camera: 1 / 30
+    },
+    step: 1 / 120,
+    maxCatchUpSteps: 12
+}
+
+/**
+ * Scripted session rendered by the audio export until a session is recorded, in time order
+ * Actions: 'ignitionOn', 'ignitionOff', 'throttle' (value 0-1), 'shift' (value = gear, 0 for neutral),
+ * 'solo' (value = SoloState), 'cabin' (value = whether the listener is in the cabin) and 'end'
+ * (nothing happens, marks how long the session runs)
+ * @type {Array<{time: number, action: string, value?: (number|string)}>}
+ */
+export const RenderTimeline = [
+    { time: 0, action: 'ignitionOn' },
+    { time: 3, action: 'throttle', value: 0.5 },
+    { time: 3.4, action: 'throttle', value: 0 },
+    { time: 4.5, action: 'throttle', value: 1 },
+    { time: 5.2, action: 'throttle', value: 0 },
+    { time: 6.5, action: 'shift', value: 1 },
+    { time: 6.7, action: 'throttle', value: 0.8 },
+    { time: 8, action: 'solo', value: 'intake' },
+    { time: 9, action: 'shift', value: 2 },
+    { time: 11, action: 'solo', value: 'exhaust' },
+    { time: 11.5, action: 'shift', value: 3 },
+    { time: 13.5, action: 'throttle', value: 0 },
+    { time: 14, action: 'solo', value: 'interior' },
+    { time: 14.5, action: 'shift', value: 2 },
+    { time: 15.5, action: 'shift', value: 0 },
+    { time: 17, action: 'solo', value: 'mix' },
+    { time: 18, action: 'ignitionOff' }
+]
+
+/**
+ * Spatial rendering profiles applied to every emitter's PannerNode
+ * Speakers keep the HRTF panning and long reference distance the emitters have always played at,
+ * so the level barely changes around the car; headphones start attenuating a few metres out,
+ * so zooming away is heard as distance alongside the binaural cues
+ * @type {Object}
+ * @property {boolean} binaural - Whether the headphone profile starts selected
+ * @property {Object} speakers - Panner settings for loudspeaker listening
+ * @property {Object} headphones - Panner settings for headphone listening
+ * @property {string} [profile.panningModel] - 'equalpower' or 'HRTF'
+ * @property {string} [profile.distanceModel] - 'linear', 'inverse' or 'exponential'
+ * @property {number} [profile.refDistance] - Distance at which emitters play at full level (m)
+ * @property {number} [profile.maxDistance] - Distance beyond which attenuation stops (m)
+ * @property {number} [profile.rolloffFactor] - How quickly level falls with distance
+ */
+export const SpatialSettings = {
+    binaural: false,
+    speakers: {
+        panningModel: 'HRTF',
+        distanceModel: 'inverse',
+        refDistance: 20,
+        maxDistance: 10000,
+        rolloffFactor: 1
+    },
+    headphones: {
+        panningModel: 'HRTF',
+        distanceModel: 'inverse',
+        refDistance: 4,
+        maxDistance: 100,
+        rolloffFactor: 0.7
+    }
+}
+
 /**
  * Configuration for directional audio emitters (intake/exhaust)
  * @type {Object}
@@ -79,6 +532,119 @@ export const ConeEmitterSettings = {
     outerGain: 0.3    // volume multiplier outside outer cone
 }
 
+/**
+ * Driver's-seat camera and cabin listening configuration
+ * Positions are in the car group's local space, with the nose pointing along +Z
+ * @type {Object}
+ * @property {Array<number>} seatPosition - Driver's eye position [x, y, z]
+ * @property {number} fov - Camera field of view in the cockpit (degrees)
+ * @property {number} lookSpeed - Head-look rotation per pixel dragged (radians)
+ * @property {number} maxYaw - Furthest the driver can look left or right (radians)
+ * @property {number} maxPitch - Furthest the driver can look up or down (radians)
+ * @property {number} firewallCutoff - Low-pass cutoff for intake/exhaust heard through the body (Hz)
+ * @property {number} firewallQ - Low-pass resonance of the body filter
+ * @property {number} firewallGain - Level of intake/exhaust heard through the body (0-1)
+ * @property {number} filterTime - Time constant of the filter moving in or out (seconds)
+ */
+export const CockpitSettings = {
+    seatPosition: [0.37, 0.95, -0.25],
+    fov: 70,
+    lookSpeed: 0.005,
+    maxYaw: 2.1,
+    maxPitch: 1.0,
+    firewallCutoff: 700,
+    firewallQ: 0.7,
+    firewallGain: 0.5,
+    filterTime: 0.15
+}
+
+/**
+ * Named camera viewpoints, positions and orbit targets in the car group's local space
+ * A preset flagged `cockpit` seats the camera in the driver's seat instead
+ * @type {Object.<string, {label: string, position?: Array<number>, target?: Array<number>, cockpit?: boolean}>}
+ */
+export const CameraPresets = {
+    frontThreeQuarter: { label: 'Front 3/4', position: [4, 2, 3], target: [0, 0.75, 0] },
+    rearExhaust: { label: 'Rear Exhaust', position: [-1.4, 0.7, -3.6], target: [-0.5, 0.3, -2.0] },
+    engineBay: { label: 'Engine Bay', position: [0.9, 2.1, 3.3], target: [0, 0.6, 1.4] },
+    sideProfile: { label: 'Side Profile', position: [6, 1.0, 0], target: [0, 0.6, 0] },
+    cockpit: { label: 'Cockpit', cockpit: true },
+    topDown: { label: 'Top Down', position: [0, 8, 0.01], target: [0, 0, 0] }
+}
+
+/**
+ * Camera preset transition configuration
+ * @type {Object}
+ * @property {number} transitionTime - Length of a fly-to between presets (seconds)
+ * @property {boolean} followSolo - Whether soloing a perspective flies the camera to its emitter
+ * @property {Object.<string, string>} soloPresets - Preset flown to for each solo state
+ */
+export const CameraSettings = {
+    transitionTime: 1.2,
+    followSolo: false,
+    soloPresets: {
+        mix: 'frontThreeQuarter',
+        intake: 'engineBay',
+        exhaust: 'rearExhaust',
+        interior: 'cockpit'
+    }
+}
+
+/**
+ * Drive-by scene configuration
+ * The car drives along its own Z axis past a fixed roadside listener
+ * @type {Object}
+ * @property {number} speedKmh - Default pass speed (km/h)
+ * @property {number} gear - Default gear for the pass
+ * @property {number} throttle - Default cruise throttle held during the pass (0-1)
+ * @property {number} startDistance - Distance along the road the pass starts and ends at (m)
+ * @property {Array<number>} listenerPosition - Roadside camera/listener position [x, y, z]
+ * @property {Array<number>} listenerTarget - Point on the road the camera faces [x, y, z]
+ * @property {number} refDistance - Distance at which emitters play at full level (m)
+ * @property {number} rolloffFactor - Inverse-distance rolloff during the pass
+ * @property {number} speedOfSound - Speed of sound for the Doppler shift (m/s)
+ * @property {number} maxDopplerShift - Largest pitch change Doppler may apply (fraction)
+ */
+export const DriveBySettings = {
+    speedKmh: 100,
+    gear: 3,
+    throttle: 0.6,
+    startDistance: 60,
+    listenerPosition: [6, 1.2, 0],
+    listenerTarget: [0, 0.8, 0],
+    refDistance: 5,
+    rolloffFactor: 1,
+    speedOfSound: 343,
+    maxDopplerShift: 0.5
+}
+
+/**
+ * Showroom (kiosk/demo) mode configuration
+ * After idleTimeout seconds without input the camera orbits the car and the scene puts itself
+ * through its paces until the next input
+ * @type {Object}
+ * @property {boolean} enabled - Whether idling starts the showroom
+ * @property {number} idleTimeout - Seconds without input before the showroom starts
+ * @property {number} autoRotateSpeed - Orbit speed (OrbitControls units, 2 is one lap per 30 s)
+ * @property {number} lightsInterval - Seconds between headlight toggles
+ * @property {number} soloInterval - Seconds between solo perspective changes
+ * @property {number} blipMinInterval - Shortest gap between throttle blips (seconds)
+ * @property {number} blipMaxInterval - Longest gap between throttle blips (seconds)
+ * @property {number} blipThrottle - Throttle position of a blip (0-1)
+ * @property {number} blipDuration - How long a blip holds the throttle (seconds)
+ */
+export const ShowroomSettings = {
+    enabled: false,
+    idleTimeout: 30,
+    autoRotateSpeed: 1.5,
+    lightsInterval: 9,
+    soloInterval: 12,
+    blipMinInterval: 5,
+    blipMaxInterval: 11,
+    blipThrottle: 0.7,
+    blipDuration: 0.3
+}
+
 /**
  * Mapping of throttle press durations to action types
  * @type {Object.<string, number>}
@@ -90,6 +656,87 @@ export const ThrottleMap = {
     long: 600
 }
 
+/**
+ * Analog throttle pedal input tuning
+ * @type {Object}
+ * @property {number} rampUpTime - Seconds for a held pedal to ramp from closed to wide open
+ * @property {number} rampDownTime - Seconds for a released pedal to return from wide open to closed
+ * @property {number} dragRange - Vertical drag distance in pixels covering the full pedal travel
+ * @property {number} dragThreshold - Pixels of movement before a press becomes a drag
+ * @property {number} wheelStep - Throttle change per mouse wheel notch
+ */
+export const ThrottleSettings = {
+    rampUpTime: 0.6,
+    rampDownTime: 0.25,
+    dragRange: 80,
+    dragThreshold: 4,
+    wheelStep: 0.05
+}
+
+/**
+ * Default keyboard bindings, as KeyboardEvent.code values keyed by action
+ * @type {Object.<string, string>}
+ */
+export const KeyBindings = {
+    throttle: 'Space',
+    ignition: 'KeyI',
+    headlights: 'KeyL',
+    shiftUp: 'KeyE',
+    shiftDown: 'KeyQ',
+    soloMix: 'Digit1',
+    soloIntake: 'Digit2',
+    soloExhaust: 'Digit3',
+    soloInterior: 'Digit4',
+    cockpit: 'KeyC'
+}
+
+/**
+ * Gamepad button indices (W3C standard mapping) keyed by action
+ * The throttle reads the analog value of its button; the rest fire on press
+ * @type {Object}
+ * @property {number} throttle - Right trigger
+ * @property {number} ignition - Bottom face button (A / Cross)
+ * @property {number} headlights - Top face button (Y / Triangle)
+ * @property {number} shiftUp - Right bumper
+ * @property {number} shiftDown - Left bumper
+ * @property {number} soloMix - D-pad up
+ * @property {number} soloInterior - D-pad down
+ * @property {number} soloIntake - D-pad left
+ * @property {number} soloExhaust - D-pad right
+ * @property {number} cockpit - Right face button (B / Circle)
+ * @property {number} deadzone - Trigger values below this read as zero
+ */
+export const GamepadMapping = {
+    throttle: 7,
+    ignition: 0,
+    headlights: 3,
+    shiftUp: 5,
+    shiftDown: 4,
+    soloMix: 12,
+    soloInterior: 13,
+    soloIntake: 14,
+    soloExhaust: 15,
+    cockpit: 1,
+    deadzone: 0.05
+}
+
+/**
+ * Display names for keyboard actions in the rebinding UI
+ * @type {Object.<string, string>}
+ */
+export const KeyActionLabels = {
+    throttle: 'Throttle',
+    ignition: 'Ignition',
+    headlights: 'Headlights',
+    shiftUp: 'Shift Up',
+    shiftDown: 'Shift Down',
+    soloMix: 'Solo Mix',
+    soloIntake: 'Solo Intake',
+    soloExhaust: 'Solo Exhaust',
+    soloInterior: 'Solo Interior',
+    cockpit: 'Cockpit Camera'
+}
+
 /**
  * Default lighting configuration for the scene
  * @type {Object}
@@ -155,12 +802,38 @@ export const EnvironmentPresets = {
 }
 
 export default {
-    DriveState,
+    EngineSettings,
+    GearboxSettings,
+    SynthLayers,
+    SynthSettings,
+    PopSoundSettings,
+    BoostSettings,
+    TurboSoundSettings,
     SoloState,
     SoloBtnColors,
     EmitterVolMults,
+    MeterSettings,
+    SpectrumSettings,
+    MasterBusSettings,
+    ReverbSettings,
+    ImpulseSettings,
+    SpatialSettings,
+    RenderSettings,
+    RenderTimeline,
+    RecorderSettings,
+    VideoSettings,
+    SessionSettings,
     ThrottleMapping: ThrottleMap,
+    ThrottleSettings,
+    KeyBindings,
+    KeyActionLabels,
+    GamepadMapping,
     ConeEmitterSettings,
+    CockpitSettings,
+    CameraPresets,
+    CameraSettings,
+    DriveBySettings,
+    ShowroomSettings,
     LightingDefaults,
     EnvironmentPresets
 }
@@ -3,7 +3,7 @@
  * @module systems/controls
  */
 
-import { ThrottleMap } from './constants.js'
+import { ThrottleMap, ThrottleSettings } from './constants.js'
 
 /**
  * Creates the controls panel
@@ -12,7 +12,19 @@ import { ThrottleMap } from './constants.js'
  * @param {boolean} [options.initialVisible=false] - Whether the panel should be visible initially
  * @returns {Object} Panel instance with control methods
  * @returns {Function} return.update - Updates all controls (call once per frame)
+ * @returns {Function} return.shift - Requests a gear change (+1 up, -1 down)
+ * @returns {Function} return.setGearDisplay - Shows the selected gear on the shifter
+ * @returns {Function} return.toggleIgnition - Toggles ignition as if the button was clicked
+ * @returns {Function} return.toggleHeadlights - Toggles headlights as if the button was clicked, optionally without the beam animation
+ * @returns {Function} return.setRecording - Shows whether a recording is running and its elapsed time
+ * @returns {Function} return.setThrottlePressed - Holds or releases the throttle pedal
+ * @returns {Function} return.setExternalThrottle - Feeds an analog throttle position from another input (gamepad, showroom blip, replay)
  * @returns {Function} return.setVisible - Shows/hides the controls panel
+ * @returns {Function} return.isIgnitionOn - Returns whether the ignition is switched on
+ * @returns {Function} return.isHeadlightsOn - Returns whether the headlights are switched on
+ * @returns {Function} return.isThrottlePressed - Returns whether the throttle pedal is held down
+ * @returns {Function} return.isRecording - Returns whether the panel shows a recording running
+ * @returns {Function} return.getThrottlePosition - Returns the analog throttle position (0-1)
  * @returns {Function} return.dispose - Removes panel and cleans up resources
  * 
  * @example
@@ -36,12 +48,36 @@ export function createControls({ initVisible = false, initIgnition = false, init
     let headlightsBtn = null
     let headlightsOn = initHeadlights
     let headlightsCallback = null
+    let updateHeadlights = null // redraws the button and fires the callback, set once the panel is built
 
     let throttleBtn = null
     let throttlePressStart = 0
     let throttlePressed = false
     let throttleCallback = null
 
+    // Analog pedal: held presses ramp, drags set travel directly, wheel notches latch a setpoint
+    let throttlePosition = 0
+    let pedalPosition = 0
+    let wheelPosition = 0
+    let dragging = false
+    let dragStartY = 0
+    let dragStartPosition = 0
+    let lastThrottleUpdate = 0
+    let throttlePositionCallback = null
+
+    let gearLabel = null
+    let shiftCallback = null
+
+    let recordBtn = null
+    let recordTime = null
+    let recording = false
+    let recordingElapsed = 0 // seconds, as reported by the recorder
+    let recordCallback = null
+
+    // Analog throttle from other inputs (gamepad trigger, showroom blip, etc.), each kept apart
+    // so one releasing does not cancel another: source -> { position, pressed }
+    const externalInputs = new Map()
+
     /**  
      * Sets the callback for ignition toggle
      * @param {Function} callback - The callback function to call on ignition toggle
@@ -66,6 +102,30 @@ export function createControls({ initVisible = false, initIgnition = false, init
         throttleCallback = callback
     }
 
+    /**
+     * Sets the callback for analog throttle position changes
+     * @param {Function} callback - Called with the throttle position (0-1) whenever it changes
+     */
+    function registerThrottlePositionCallback(callback) {
+        throttlePositionCallback = callback
+    }
+
+    /**
+     * Sets the callback for gear shift requests
+     * @param {Function} callback - Called with +1 for an upshift or -1 for a downshift
+     */
+    function registerShiftCallback(callback) {
+        shiftCallback = callback
+    }
+
+    /**
+     * Sets the callback for the record button
+     * @param {Function} callback - Called with true to start recording or false to stop
+     */
+    function registerRecordCallback(callback) {
+        recordCallback = callback
+    }
+
     /**
      * Ensures the controls panel DOM element exists
      * @private
@@ -241,6 +301,7 @@ export function createControls({ initVisible = false, initIgnition = false, init
             }
         }
         updateHeadlightsButton(false)
+        updateHeadlights = updateHeadlightsButton
 
         panel.appendChild(headlightsBtn)
 
@@ -293,13 +354,18 @@ export function createControls({ initVisible = false, initIgnition = false, init
             fontSize: '12px',
             textAlign: 'center',
             lineHeight: '14px',
-            transition: 'background 0.2s',
-            visibility: ignitionOn ? 'visible' : 'hidden'
+            visibility: ignitionOn ? 'visible' : 'hidden',
+            touchAction: 'none'
         })
         panel.appendChild(throttleBtn)
 
         function updateThrottleVisibility() {
             throttleBtn.style.visibility = ignitionOn ? 'visible' : 'hidden'
+            if (!ignitionOn) {
+                pedalPosition = 0
+                wheelPosition = 0
+                externalInputs.clear()
+            }
         }
         updateThrottleVisibility()
 
@@ -315,48 +381,339 @@ export function createControls({ initVisible = false, initIgnition = false, init
             updateHeadlightsButton(true)
         })
 
-        // Use mouse down and mouse up events to simulate pedal press and pass short medium or long presses to throttle callback
-        throttleBtn.addEventListener('mousedown', () => {
+        // Pointer events cover mouse, touch and pen. Holding the pedal ramps the throttle open,
+        // dragging down/up sets pedal travel directly, and press duration still feeds the throttle callback
+        throttleBtn.addEventListener('pointerdown', (e) => {
+            e.preventDefault()
+            if (throttleBtn.setPointerCapture) throttleBtn.setPointerCapture(e.pointerId)
             throttlePressStart = performance.now()
             throttlePressed = true
+            dragging = false
+            dragStartY = e.clientY
+            dragStartPosition = pedalPosition
         })
-        throttleBtn.addEventListener('mouseup', () => {
-            throttleBtn.style.background = 'linear-gradient(to bottom, #444 0%, #222 100%)'
+        throttleBtn.addEventListener('pointermove', (e) => {
+            if (!throttlePressed) return
+            const dy = e.clientY - dragStartY
+            if (!dragging && Math.abs(dy) >= ThrottleSettings.dragThreshold) dragging = true
+            if (dragging) {
+                pedalPosition = Math.max(0, Math.min(1, dragStartPosition + dy / ThrottleSettings.dragRange))
+            }
+        })
+        const releasePedal = (e) => {
+            if (throttleBtn.releasePointerCapture && throttleBtn.hasPointerCapture && throttleBtn.hasPointerCapture(e.pointerId)) {
+                throttleBtn.releasePointerCapture(e.pointerId)
+            }
             throttlePressed = false
+            dragging = false
+        }
+        throttleBtn.addEventListener('pointerup', releasePedal)
+        throttleBtn.addEventListener('pointercancel', releasePedal)
+
+        // Shifter to the right of the throttle pedal: upshift, current gear, downshift
+        const shifter = document.createElement('div')
+        shifter.className = 'gear-shifter'
+        Object.assign(shifter.style, {
+            position: 'absolute',
+            left: '128px',
+            top: '20px',
+            width: '28px',
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center'
         })
 
+        const makeShiftButton = (label, direction) => {
+            const btn = document.createElement('button')
+            btn.className = direction > 0 ? 'shift-up' : 'shift-down'
+            btn.textContent = label
+            Object.assign(btn.style, {
+                width: '28px',
+                height: '20px',
+                padding: '0',
+                borderRadius: '6px',
+                background: 'linear-gradient(to bottom, #444 0%, #222 100%)',
+                border: '2px solid #fff',
+                boxShadow: '0 2px 8px rgba(0,0,0,0.4)',
+                cursor: 'pointer',
+                color: '#fff',
+                fontFamily: 'inherit',
+                fontSize: '10px',
+                lineHeight: '14px'
+            })
+            btn.addEventListener('click', () => shift(direction))
+            return btn
+        }
+
+        gearLabel = document.createElement('div')
+        gearLabel.className = 'gear-label'
+        gearLabel.textContent = 'N'
+        Object.assign(gearLabel.style, {
+            margin: '2px 0',
+            fontSize: '16px',
+            fontWeight: 'bold',
+            textShadow: '0 1px 3px rgba(0,0,0,0.8)'
+        })
+
+        shifter.appendChild(makeShiftButton('▲', 1))
+        shifter.appendChild(gearLabel)
+        shifter.appendChild(makeShiftButton('▼', -1))
+        panel.appendChild(shifter)
+
+        // Record button under the headlights, elapsed time beside it while recording
+        const recorder = document.createElement('div')
+        recorder.className = 'audio-recorder'
+        Object.assign(recorder.style, {
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '6px',
+            marginTop: '12px'
+        })
+
+        recordBtn = document.createElement('button')
+        recordBtn.className = 'record-toggle'
+        recordBtn.title = 'Record audio'
+        Object.assign(recordBtn.style, {
+            width: '28px',
+            height: '28px',
+            padding: '0',
+            borderRadius: '50%',
+            background: 'radial-gradient(circle at 60% 40%, #181818 80%, #222 100%)',
+            border: '2px solid #fff',
+            boxShadow: '0 2px 8px rgba(0,0,0,0.4)',
+            cursor: 'pointer',
+            position: 'relative'
+        })
+        const recordDot = document.createElement('span')
+        Object.assign(recordDot.style, {
+            position: 'absolute',
+            left: '50%',
+            top: '50%',
+            width: '12px',
+            height: '12px',
+            transform: 'translate(-50%, -50%)',
+            borderRadius: '50%',
+            background: '#cc2f2f'
+        })
+        recordBtn.appendChild(recordDot)
+
+        recordTime = document.createElement('span')
+        recordTime.className = 'record-time'
+        Object.assign(recordTime.style, {
+            minWidth: '38px',
+            fontSize: '12px',
+            color: '#f55',
+            textShadow: '0 1px 3px rgba(0,0,0,0.8)',
+            visibility: 'hidden'
+        })
+        recordTime.textContent = '0:00'
+
+        recordBtn.addEventListener('click', () => {
+            if (recordCallback) recordCallback(!recording)
+        })
+
+        recorder.appendChild(recordBtn)
+        recorder.appendChild(recordTime)
+        panel.appendChild(recorder)
+        updateRecordButton()
+
+        // Mouse wheel over the pedal latches a throttle setpoint (scroll up to open)
+        throttleBtn.addEventListener('wheel', (e) => {
+            e.preventDefault()
+            wheelPosition = Math.max(0, Math.min(1, wheelPosition - Math.sign(e.deltaY) * ThrottleSettings.wheelStep))
+        }, { passive: false })
+
         document.body.appendChild(panel)
         return panel
     }
 
+    /**
+     * Styles the record button and elapsed time for the recording state
+     * @private
+     */
+    function updateRecordButton() {
+        const dot = recordBtn.firstChild
+        dot.style.borderRadius = recording ? '2px' : '50%'
+        recordBtn.style.background = recording
+            ? 'radial-gradient(circle at 60% 40%, #3a0000 80%, #500 100%)'
+            : 'radial-gradient(circle at 60% 40%, #181818 80%, #222 100%)'
+        recordBtn.title = recording ? 'Stop recording' : 'Record audio'
+        recordTime.style.visibility = recording ? 'visible' : 'hidden'
+        updateRecordTime()
+    }
+
+    /**
+     * Shows the elapsed recording time as m:ss
+     * @private
+     */
+    function updateRecordTime() {
+        const seconds = recording ? Math.floor(recordingElapsed) : 0
+        const text = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+        if (recordTime.textContent !== text) recordTime.textContent = text
+    }
+
+    /**
+     * Gets the furthest throttle position among the other inputs
+     * @private
+     * @returns {number} Position (0-1)
+     */
+    function getExternalPosition() {
+        let position = 0
+        externalInputs.forEach(input => { position = Math.max(position, input.position) })
+        return position
+    }
+
+    /**
+     * Checks whether any other input holds the throttle pressed
+     * @private
+     * @returns {boolean} Whether one is pressed
+     */
+    function isExternalPressed() {
+        for (const input of externalInputs.values()) if (input.pressed) return true
+        return false
+    }
+
     /**
      * Handle throttle button press duration and trigger callbacks
      */
     function handleThrottlePress() {
         if (throttlePressStart > 0) {
+            const externalPressed = isExternalPressed()
             const pressDuration = performance.now() - throttlePressStart
-            
-            // Taper button color based on press duration
-            const colorValue = Math.max(0, 1 - pressDuration / ThrottleMap.long)    // Goes from 1 down to 0 over time
-            throttleBtn.style.background = `linear-gradient(to bottom, rgba(20, 20, 20, ${colorValue}) 100%, rgba(255, 255, 255, ${colorValue}) 100%)`
 
             // Fire callback based on thresholds
             if (pressDuration >= ThrottleMap.long) {
                 if (throttleCallback) throttleCallback(ThrottleMap.long)
                 throttlePressStart = 0
-            } else if (pressDuration >= ThrottleMap.medium && !throttlePressed) {
+            } else if (pressDuration >= ThrottleMap.medium && !throttlePressed && !externalPressed) {
                 if (throttleCallback) throttleCallback(ThrottleMap.medium)
                 throttlePressStart = 0
-            } else if (pressDuration < ThrottleMap.short && !throttlePressed) {
+            } else if (pressDuration < ThrottleMap.short && !throttlePressed && !externalPressed) {
                 if (throttleCallback) throttleCallback(ThrottleMap.short)
                 throttlePressStart = 0
-            } else {
-                return // Still pressing
             }
+        }
+    }
+
+    /**
+     * Advances the analog throttle position and notifies listeners when it changes
+     * @private
+     */
+    function handleThrottlePosition() {
+        const now = performance.now()
+        const dt = lastThrottleUpdate ? (now - lastThrottleUpdate) / 1000 : 0
+        lastThrottleUpdate = now
+
+        if (throttlePressed && !dragging) {
+            pedalPosition = Math.min(1, pedalPosition + dt / ThrottleSettings.rampUpTime)
+        } else if (!throttlePressed) {
+            pedalPosition = Math.max(0, pedalPosition - dt / ThrottleSettings.rampDownTime)
+        }
+
+        const position = ignitionOn ? Math.max(pedalPosition, wheelPosition, getExternalPosition()) : 0
+        if (position === throttlePosition) return
+        throttlePosition = position
+
+        // Fill the pedal from the bottom to show travel
+        const pct = Math.round(position * 100)
+        throttleBtn.style.background = pct > 0
+            ? `linear-gradient(to top, #cc2f2f 0%, #cc2f2f ${pct}%, #444 ${pct}%, #222 100%)`
+            : 'linear-gradient(to bottom, #444 0%, #222 100%)'
+
+        if (throttlePositionCallback) throttlePositionCallback(position)
+    }
+
+    /**
+     * Requests a gear change, as if a shifter button was clicked
+     * @param {number} direction - +1 to shift up, -1 to shift down
+     */
+    function shift(direction) {
+        if (shiftCallback) shiftCallback(direction > 0 ? 1 : -1)
+    }
 
-            // Button released, reset style (or long press threshold reached)
-            throttleBtn.style.background = 'linear-gradient(to bottom, #444 0%, #222 100%)'
+    /**
+     * Shows the selected gear on the shifter
+     * @param {string} label - Gear label (e.g. 'N', '1')
+     */
+    function setGearDisplay(label) {
+        ensurePanel()
+        if (gearLabel.textContent !== label) gearLabel.textContent = label
+    }
+
+    /**
+     * Toggles ignition as if the start/stop button was clicked
+     */
+    function toggleIgnition() {
+        ensurePanel()
+        ignitionBtn.click()
+    }
+
+    /**
+     * Toggles headlights as if the headlights button was clicked
+     * @param {Object} [options] - Toggle options
+     * @param {boolean} [options.animated=true] - Sweep the beams, firing the callback once they finish; otherwise switch and fire it at once
+     */
+    function toggleHeadlights({ animated = true } = {}) {
+        ensurePanel()
+        if (animated) {
+            headlightsBtn.click()
+            return
+        }
+        headlightsOn = !headlightsOn
+        updateHeadlights(false)
+    }
+
+    /**
+     * Shows whether a recording is running and how long it has run
+     * The panel keeps no clock of its own, so call it each frame while recording with the recorder's time
+     * @param {boolean} value - Whether a recording is running
+     * @param {number} [elapsed=0] - Length of the recording so far (seconds)
+     */
+    function setRecording(value, elapsed = 0) {
+        ensurePanel()
+        recordingElapsed = elapsed
+        if (recording === !!value) {
+            updateRecordTime()
+            return
+        }
+        recording = !!value
+        updateRecordButton()
+    }
+
+    /**
+     * Presses or releases the throttle pedal from a non-pointer input (keyboard, etc.)
+     * A held pedal ramps open exactly like holding the on-screen pedal
+     * @param {boolean} pressed - Whether the pedal is held down
+     */
+    function setThrottlePressed(pressed) {
+        if (pressed) {
+            if (!ignitionOn || throttlePressed) return
+            throttlePressStart = performance.now()
+            throttlePressed = true
+            dragging = false
+        } else {
+            throttlePressed = false
+        }
+    }
+
+    /**
+     * Sets the throttle from another input such as a gamepad trigger or the showroom blip
+     * Each source is held separately and combined with the on-screen pedal (the largest position
+     * wins); crossing the threshold counts as a pedal press for the press-duration throttle callback
+     * @param {number} value - Analog throttle position (0-1)
+     * @param {Object} [options] - Input options
+     * @param {string} [options.source='device'] - Input feeding the position, so sources do not release each other
+     * @param {number} [options.threshold=0.05] - Position above which the input counts as pressed
+     */
+    function setExternalThrottle(value, { source = 'device', threshold = 0.05 } = {}) {
+        const position = ignitionOn ? Math.max(0, Math.min(1, value || 0)) : 0
+        const pressed = position > threshold
+        if (pressed && !isExternalPressed() && !throttlePressed) {
+            throttlePressStart = performance.now()
         }
+        if (position > 0) externalInputs.set(source, { position, pressed })
+        else externalInputs.delete(source)
     }
 
     /**
@@ -366,6 +723,7 @@ export function createControls({ initVisible = false, initIgnition = false, init
         const p = ensurePanel()
 
         handleThrottlePress()
+        handleThrottlePosition()
 
         panel.style.display = visible ? '' : 'none'
     }
@@ -396,9 +754,24 @@ export function createControls({ initVisible = false, initIgnition = false, init
         registerIgnitionCallback,
         registerHeadlightsCallback,
         registerThrottleCallback,
+        registerThrottlePositionCallback,
+        registerShiftCallback,
+        registerRecordCallback,
+        shift,
+        setGearDisplay,
+        toggleIgnition,
+        toggleHeadlights,
+        setRecording,
+        setThrottlePressed,
+        setExternalThrottle,
         update,
         setVisible,
         isVisible: () => visible,
+        isIgnitionOn: () => ignitionOn,
+        isHeadlightsOn: () => headlightsOn,
+        isThrottlePressed: () => throttlePressed,
+        isRecording: () => recording,
+        getThrottlePosition: () => throttlePosition,
         dispose
     }
 }
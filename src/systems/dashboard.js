@@ -0,0 +1,171 @@
+/**
+ * @fileoverview FD-style analog instrument cluster: tachometer, speedometer, boost and water temperature
+ * @module systems/dashboard
+ */
+
+import { EngineSettings, BoostSettings } from './constants.js'
+import { drawDialGauge, createGaugeCanvas } from './gauges.js'
+
+/** Cluster canvas size in CSS pixels */
+const WIDTH = 440
+const HEIGHT = 170
+
+/**
+ * Creates the instrument cluster HUD
+ * The tachometer sits in the middle as on the FD, with the speedometer to its left and the
+ * boost and water temperature gauges stacked on the right
+ *
+ * @param {Object} options - Configuration options
+ * @param {boolean} [options.initVisible=false] - Whether the cluster should be visible initially
+ * @param {Object} [options.engineSettings=EngineSettings] - Engine settings, the redline marks the tach
+ * @param {Object} [options.boostSettings=BoostSettings] - Boost settings, the wastegate pressure marks the boost gauge
+ * @returns {Object} Dashboard instance with control methods
+ * @returns {Function} return.update - Redraws the cluster from simulation state (call once per frame)
+ * @returns {Function} return.setVisible - Shows/hides the cluster
+ * @returns {Function} return.dispose - Removes the cluster from the DOM
+ *
+ * @example
+ * const dashboard = createDashboard({ initVisible: true })
+ *
+ * function animate() {
+ *     dashboard.update({ engine: engine.getState(), gearbox: gearbox.getState(), boost: boost.getState() })
+ * }
+ */
+export function createDashboard({ initVisible = false, engineSettings = EngineSettings, boostSettings = BoostSettings } = {}) {
+    const tachMax = Math.ceil(engineSettings.limiterRpm / 1000) + 1
+
+    let visible = initVisible
+    let panel = null
+    let ctx = null
+    let lastDrawn = null
+
+    /**
+     * Ensures the cluster DOM element exists
+     * @private
+     * @returns {HTMLDivElement} The cluster element
+     */
+    function ensurePanel() {
+        if (panel) return panel
+        panel = document.createElement('div')
+        panel.id = 'dashboard-panel'
+        Object.assign(panel.style, {
+            position: 'fixed',
+            bottom: '10px', // Lower centre, like looking through the steering wheel
+            left: '50%',
+            transform: 'translateX(-50%)',
+            zIndex: 9999,
+            pointerEvents: 'none',
+            display: visible ? '' : 'none'
+        })
+        const cluster = createGaugeCanvas(WIDTH, HEIGHT)
+        ctx = cluster.ctx
+        panel.appendChild(cluster.canvas)
+        document.body.appendChild(panel)
+        return panel
+    }
+
+    /**
+     * Redraws the cluster
+     * @param {Object} state - Simulation state snapshots
+     * @param {Object} state.engine - Engine state (see createEngine)
+     * @param {Object} state.gearbox - Gearbox state (see createGearbox)
+     * @param {Object} state.boost - Boost state (see createBoost)
+     */
+    function update({ engine, gearbox, boost }) {
+        ensurePanel()
+        if (!visible) return
+
+        // Quantize to what the needles can show, and skip redraws while they are still
+        const rpm = Math.round(engine.rpm / 10) * 10
+        const speedKmh = Math.round(gearbox.speedKmh)
+        const gear = gearbox.gear === 0 ? 'N' : `${gearbox.gear}`
+        const key = `${rpm}|${speedKmh}|${gear}|${boost.boost.toFixed(2)}|${Math.round(engine.waterTemp)}`
+        if (key === lastDrawn) return
+        lastDrawn = key
+
+        ctx.clearRect(0, 0, WIDTH, HEIGHT)
+
+        drawDialGauge(ctx, {
+            x: 80,
+            y: 95,
+            radius: 68,
+            min: 0,
+            max: 280,
+            value: gearbox.speedKmh,
+            majorStep: 40,
+            minorStep: 20,
+            label: 'km/h',
+            readout: `${speedKmh}`
+        })
+
+        drawDialGauge(ctx, {
+            x: 232,
+            y: 85,
+            radius: 82,
+            min: 0,
+            max: tachMax,
+            value: engine.rpm / 1000,
+            majorStep: 1,
+            minorStep: 0.5,
+            warnFrom: engineSettings.redlineRpm / 1000,
+            label: 'x1000 r/min',
+            readout: gear
+        })
+
+        drawDialGauge(ctx, {
+            x: 380,
+            y: 44,
+            radius: 40,
+            min: -1,
+            max: 1,
+            value: boost.boost,
+            majorStep: 1,
+            minorStep: 0.5,
+            warnFrom: boostSettings.maxBoost,
+            label: 'BOOST',
+            format: v => v === 0 ? '0' : v.toFixed(0)
+        })
+
+        drawDialGauge(ctx, {
+            x: 380,
+            y: 126,
+            radius: 40,
+            min: 40,
+            max: 120,
+            value: engine.waterTemp,
+            majorStep: 40,
+            minorStep: 10,
+            warnFrom: 105,
+            label: 'WATER',
+            format: v => v === 40 ? 'C' : v === 120 ? 'H' : ''
+        })
+    }
+
+    /**
+     * Sets the visibility of the cluster
+     * @param {boolean} v - Whether the cluster should be visible
+     */
+    function setVisible(v) {
+        visible = !!v
+        lastDrawn = null
+        if (panel) panel.style.display = visible ? '' : 'none'
+    }
+
+    /**
+     * Removes the cluster from the DOM
+     */
+    function dispose() {
+        if (panel && panel.parentElement) {
+            panel.parentElement.removeChild(panel)
+        }
+        panel = null
+        ctx = null
+    }
+
+    return {
+        update,
+        setVisible,
+        isVisible: () => visible,
+        dispose
+    }
+}
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Drive-by scene: the car passes a fixed roadside listener with Doppler and distance attenuation
+ * @module systems/driveby
+ */
+
+import * as THREE from 'three'
+import { DriveBySettings } from './constants.js'
+
+/**
+ * Creates the drive-by scene
+ * While a pass runs the camera (and the listener riding on it) is parked at the roadside and
+ * the car group drives along its Z axis from -startDistance to +startDistance. Emitter panners
+ * switch to an inverse-distance rolloff, and a Doppler factor per emitter is computed from the
+ * car's velocity along the line to the listener, for pitch-following sources to apply
+ *
+ * @param {Object} options - Configuration options
+ * @param {THREE.Object3D} options.car - Car group moved along the road
+ * @param {THREE.PerspectiveCamera} options.camera - Main camera, carries the listener
+ * @param {Object} options.controls - Orbit controls to suspend during the pass
+ * @param {Object.<string, THREE.PositionalAudio>} options.emitters - Emitters to attenuate and Doppler shift
+ * @param {Object} [options.settings=DriveBySettings] - Scene settings
+ * @returns {Object} Drive-by instance with control methods
+ * @returns {Function} return.registerEndCallback - Sets the callback fired when a pass finishes
+ * @returns {Function} return.start - Starts a pass
+ * @returns {Function} return.stop - Ends the pass and restores the scene
+ * @returns {Function} return.update - Moves the car along the road (call once per frame)
+ * @returns {Function} return.getDopplerFactor - Returns the current pitch factor for an emitter
+ * @returns {Function} return.getDistance - Returns the car's position along the road, null when idle
+ *
+ * @example
+ * const driveBy = createDriveBy({ car: carGroup, camera, controls, emitters: audioEmitters })
+ * driveBy.start()
+ *
+ * function animate() {
+ *     driveBy.update(deltaTime, gearbox.getSpeed())
+ *     synth.update(rpm, { pitchScale: driveBy.getDopplerFactor('exhaust') })
+ * }
+ */
+export function createDriveBy({ car, camera, controls, emitters, settings = DriveBySettings }) {
+    const listenerPosition = new THREE.Vector3(...settings.listenerPosition)
+    const listenerTarget = new THREE.Vector3(...settings.listenerTarget)
+    const forward = new THREE.Vector3()
+    const emitterPosition = new THREE.Vector3()
+    const toEmitter = new THREE.Vector3()
+    const carQuaternion = new THREE.Quaternion()
+
+    const doppler = {}
+    let active = false
+    let travelled = 0 // position along the road, 0 is level with the listener
+    let saved = null
+    let endCallback = null
+
+    Object.keys(emitters).forEach(pos => { doppler[pos] = 1 })
+
+    /**
+     * Sets the callback fired when a pass reaches the end of the road
+     * @param {Function} callback - Called with no arguments
+     */
+    function registerEndCallback(callback) {
+        endCallback = callback
+    }
+
+    /**
+     * Parks the camera at the roadside and moves the car to the start of the road
+     */
+    function start() {
+        if (!active) {
+            saved = {
+                cameraPosition: camera.position.clone(),
+                cameraQuaternion: camera.quaternion.clone(),
+                carPosition: car.position.clone(),
+                panners: Object.fromEntries(Object.entries(emitters).map(([pos, emitter]) => [pos, {
+                    distanceModel: emitter.getDistanceModel(),
+                    refDistance: emitter.getRefDistance(),
+                    rolloffFactor: emitter.getRolloffFactor()
+                }]))
+            }
+        }
+        active = true
+        controls.enabled = false
+
+        camera.position.copy(listenerPosition)
+        camera.lookAt(listenerTarget)
+        travelled = -settings.startDistance
+        car.getWorldQuaternion(carQuaternion)
+        forward.set(0, 0, 1).applyQuaternion(carQuaternion)
+        car.position.copy(saved.carPosition).addScaledVector(forward, travelled)
+
+        Object.values(emitters).forEach(emitter => {
+            emitter.setDistanceModel('inverse')
+            emitter.setRefDistance(settings.refDistance)
+            emitter.setRolloffFactor(settings.rolloffFactor)
+        })
+    }
+
+    /**
+     * Ends the pass, returning the car, camera and emitter rolloff to how they were
+     */
+    function stop() {
+        if (!active) return
+        active = false
+
+        camera.position.copy(saved.cameraPosition)
+        camera.quaternion.copy(saved.cameraQuaternion)
+        car.position.copy(saved.carPosition)
+        controls.enabled = true
+
+        Object.entries(emitters).forEach(([pos, emitter]) => {
+            const panner = saved.panners[pos]
+            emitter.setDistanceModel(panner.distanceModel)
+            emitter.setRefDistance(panner.refDistance)
+            emitter.setRolloffFactor(panner.rolloffFactor)
+            doppler[pos] = 1
+        })
+    }
+
+    /**
+     * Moves the car along the road and updates each emitter's Doppler factor
+     * @param {number} deltaTime - Time elapsed since last frame in seconds
+     * @param {number} roadSpeed - Vehicle speed (m/s)
+     */
+    function update(deltaTime, roadSpeed) {
+        if (!active) return
+
+        car.getWorldQuaternion(carQuaternion)
+        forward.set(0, 0, 1).applyQuaternion(carQuaternion)
+        travelled += roadSpeed * deltaTime
+        car.position.copy(saved.carPosition).addScaledVector(forward, travelled)
+        car.updateMatrixWorld(true)
+
+        // Source moving relative to a still listener: f' = f * c / (c + v), v positive when receding
+        const maxShift = settings.maxDopplerShift
+        Object.entries(emitters).forEach(([pos, emitter]) => {
+            emitter.getWorldPosition(emitterPosition)
+            toEmitter.subVectors(emitterPosition, listenerPosition)
+            const distance = toEmitter.length()
+            const receding = distance > 0 ? forward.dot(toEmitter) / distance * roadSpeed : 0
+            const factor = settings.speedOfSound / (settings.speedOfSound + receding)
+            doppler[pos] = Math.max(1 - maxShift, Math.min(1 + maxShift, factor))
+        })
+
+        if (travelled >= settings.startDistance) {
+            stop()
+            if (endCallback) endCallback()
+        }
+    }
+
+    /**
+     * Returns the current Doppler pitch factor for an emitter (1 when no pass is running)
+     * @param {string} pos - Emitter key (e.g. 'exhaust')
+     * @returns {number} Pitch factor
+     */
+    function getDopplerFactor(pos) {
+        return doppler[pos] ?? 1
+    }
+
+    /**
+     * Ends any pass and clears callbacks
+     */
+    function dispose() {
+        stop()
+        endCallback = null
+    }
+
+    return {
+        registerEndCallback,
+        start,
+        stop,
+        update,
+        isActive: () => active,
+        getDopplerFactor,
+        getDistance: () => active ? travelled : null,
+        dispose
+    }
+}
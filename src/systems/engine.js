@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Engine state model with RPM, throttle, rotating inertia, rev limiter and coolant temperature
+ * @module systems/engine
+ */
+
+import { EngineSettings } from './constants.js'
+
+/** Conversion factor from revolutions per minute to radians per second */
+const RPM_TO_RAD = (2 * Math.PI) / 60
+
+/** Largest integration step in seconds, keeps the model stable on long frames */
+const MAX_STEP = 1 / 240
+
+/**
+ * Creates the engine simulation model
+ * Integrates net shaft torque (combustion minus friction and pumping losses) against
+ * a rotating inertia, holds idle with a proportional governor and cuts fuel at the limiter.
+ * Coolant warms with RPM and load until the thermostat opens and the radiator holds it there
+ *
+ * @param {Object} options - Configuration options
+ * @param {Object} [options.settings=EngineSettings] - Engine tuning parameters
+ * @returns {Object} Engine instance with control methods
+ * @returns {Function} return.start - Starts the engine (governor spins it up to idle)
+ * @returns {Function} return.stop - Shuts the engine off and lets it spin down
+ * @returns {Function} return.setThrottle - Sets the throttle position (0-1)
+ * @returns {Function} return.setThrottleOverride - Overrides the driver's throttle (shift lifts and blips)
+ * @returns {Function} return.setLoad - Applies drivetrain load torque and reflected inertia
+ * @returns {Function} return.setRpm - Forces the engine speed (clutch lock-up)
+ * @returns {Function} return.holdRpm - Pins the engine speed until released (held road speed)
+ * @returns {Function} return.update - Advances the simulation (call once per frame)
+ * @returns {Function} return.getState - Returns a snapshot of the engine state
+ * @returns {Function} return.getSettings - Returns the tuning parameters the engine was created with
+ *
+ * @example
+ * const engine = createEngine()
+ * engine.start()
+ *
+ * function animate() {
+ *     engine.setThrottle(pedalDown ? 1 : 0)
+ *     engine.update(deltaTime)
+ *     console.log(engine.getRpm())
+ * }
+ */
+export function createEngine({ settings = EngineSettings } = {}) {
+    let running = false
+    let rpm = 0
+    let throttle = 0
+    let throttleOverride = null
+    let fuelCut = false
+    let limiterCallback = null
+
+    // Drivetrain load: torque opposing rotation and inertia reflected back through the gearbox
+    let loadTorque = 0
+    let loadInertia = 0
+
+    // Engine speed pinned by a held road speed, null when free
+    let heldRpm = null
+
+    let waterTemp = settings.ambientTemp
+
+    // Throttle the governor needs to balance losses at idle, so idle settles on target
+    const idleThrottle = lossTorque(settings.idleRpm, 0) / (settings.peakTorque * torqueCurve(settings.idleRpm))
+
+    /**
+     * Normalized wide-open-throttle torque curve
+     * @private
+     * @param {number} r - Engine RPM
+     * @returns {number} Torque multiplier (0-1)
+     */
+    function torqueCurve(r) {
+        const x = r / settings.peakTorqueRpm - 1
+        return Math.max(0, 1 - 0.5 * x * x)
+    }
+
+    /**
+     * Friction and pumping losses opposing rotation
+     * @private
+     * @param {number} r - Engine RPM
+     * @param {number} t - Effective throttle (0-1)
+     * @returns {number} Loss torque in Nm
+     */
+    function lossTorque(r, t) {
+        const krpm = r / 1000
+        return settings.frictionTorque + settings.frictionPerKrpm * krpm + settings.pumpingPerKrpm * krpm * (1 - t)
+    }
+
+    /**
+     * Sets the callback fired when the rev limiter cuts fuel
+     * @param {Function} callback - Called with the RPM at which the limiter engaged
+     */
+    function registerLimiterCallback(callback) {
+        limiterCallback = callback
+    }
+
+    /**
+     * Starts the engine
+     */
+    function start() {
+        running = true
+    }
+
+    /**
+     * Shuts the engine off, letting losses spin it down
+     */
+    function stop() {
+        running = false
+        fuelCut = false
+    }
+
+    /**
+     * Sets the driver's throttle position
+     * @param {number} value - Throttle position (0 = closed, 1 = wide open)
+     */
+    function setThrottle(value) {
+        throttle = Math.max(0, Math.min(1, value || 0))
+    }
+
+    /**
+     * Temporarily replaces the driver's throttle, e.g. lifting for an upshift or blipping to rev-match
+     * @param {number|null} value - Throttle position (0-1), or null to hand control back to the driver
+     */
+    function setThrottleOverride(value) {
+        throttleOverride = value === null ? null : Math.max(0, Math.min(1, value || 0))
+    }
+
+    /**
+     * Sets the drivetrain load on the crankshaft
+     * @param {number} torque - Load torque opposing rotation in Nm (negative drives the engine)
+     * @param {number} [inertia=0] - Additional inertia reflected from the drivetrain (kg*m^2)
+     */
+    function setLoad(torque, inertia = 0) {
+        loadTorque = torque || 0
+        loadInertia = Math.max(0, inertia || 0)
+    }
+
+    /**
+     * Forces the engine speed, used when the drivetrain locks the crankshaft to the wheels
+     * @param {number} value - Engine RPM
+     */
+    function setRpm(value) {
+        rpm = Math.max(0, value || 0)
+    }
+
+    /**
+     * Pins the engine speed, ignoring torque until released
+     * @param {number|null} value - Engine RPM, or null to let the engine spin freely again
+     */
+    function holdRpm(value) {
+        heldRpm = value === null ? null : Math.max(0, value || 0)
+        if (heldRpm !== null) rpm = heldRpm
+    }
+
+    /**
+     * Advances the engine by a single integration step
+     * @private
+     * @param {number} dt - Step length in seconds
+     */
+    function step(dt) {
+        if (running) {
+            if (!fuelCut && rpm >= settings.limiterRpm) {
+                fuelCut = true
+                if (limiterCallback) limiterCallback(rpm)
+            } else if (fuelCut && rpm <= settings.limiterRpm - settings.limiterHysteresis) {
+                fuelCut = false
+            }
+        }
+
+        let effectiveThrottle = 0
+        if (running && !fuelCut) {
+            const governor = idleThrottle + (settings.idleRpm - rpm) * settings.idleGain
+            effectiveThrottle = Math.max(0, Math.min(1, Math.max(throttleOverride ?? throttle, governor)))
+        }
+
+        if (heldRpm !== null) return
+
+        const netTorque = settings.peakTorque * torqueCurve(rpm) * effectiveThrottle - lossTorque(rpm, effectiveThrottle) - loadTorque
+        rpm += (netTorque / (settings.inertia + loadInertia)) * dt / RPM_TO_RAD
+
+        if (rpm < 0 || (!running && rpm < settings.stallRpm)) rpm = 0
+    }
+
+    /**
+     * Advances coolant temperature
+     * @private
+     * @param {number} dt - Time step in seconds
+     */
+    function updateTemperature(dt) {
+        const load = running && !fuelCut ? throttleOverride ?? throttle : 0
+        const heat = running ? settings.warmupRate * (0.4 + 0.6 * (rpm / settings.redlineRpm) * (0.3 + 0.7 * load)) : 0
+        const radiator = settings.radiatorGain * Math.max(0, waterTemp - settings.operatingTemp)
+        const cooling = settings.coolingGain * (waterTemp - settings.ambientTemp)
+        waterTemp += (heat - radiator - cooling) * dt
+    }
+
+    /**
+     * Advances the simulation, sub-stepping long frames
+     * @param {number} deltaTime - Time elapsed since last frame in seconds
+     */
+    function update(deltaTime) {
+        if (!(deltaTime > 0)) return
+        updateTemperature(deltaTime)
+        if (!running && rpm === 0 && loadTorque >= 0) return
+
+        const steps = Math.ceil(deltaTime / MAX_STEP)
+        const dt = deltaTime / steps
+        for (let i = 0; i < steps; i++) step(dt)
+    }
+
+    /**
+     * Gets a snapshot of the engine state
+     * @returns {Object} State object
+     * @returns {boolean} return.running - Whether the engine is switched on
+     * @returns {number} return.rpm - Current engine speed
+     * @returns {number} return.rpmNormalized - RPM mapped from idle (0) to redline (1)
+     * @returns {number} return.throttle - Throttle acting on the engine (0-1), including shift overrides
+     * @returns {boolean} return.fuelCut - Whether the rev limiter is cutting fuel
+     * @returns {number} return.waterTemp - Coolant temperature (°C)
+     */
+    function getState() {
+        return {
+            running,
+            rpm,
+            rpmNormalized: Math.max(0, Math.min(1, (rpm - settings.idleRpm) / (settings.redlineRpm - settings.idleRpm))),
+            throttle: throttleOverride ?? throttle,
+            fuelCut,
+            waterTemp
+        }
+    }
+
+    return {
+        registerLimiterCallback,
+        start,
+        stop,
+        setThrottle,
+        setThrottleOverride,
+        setLoad,
+        setRpm,
+        holdRpm,
+        update,
+        getState,
+        getSettings: () => settings,
+        getRpm: () => rpm,
+        getThrottle: () => throttle,
+        getWaterTemp: () => waterTemp,
+        isRunning: () => running
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Engine sound chain shared by live playback and the offline render: granular synths,
+ * turbo layer, body filters, shift dips and downshift pops
+ * @module systems/enginesound
+ */
+
+import { SoloState, GearboxSettings, SynthSettings, CockpitSettings, PopSoundSettings } from './constants.js'
+import { createEngineSynth } from './synth.js'
+import { createTurboSound } from './turbo.js'
+
+/** Microphone perspectives with a synth of their own */
+const PERSPECTIVES = [SoloState.INTAKE, SoloState.EXHAUST, SoloState.INTERIOR]
+
+/** Perspectives heard through the body while the listener is in the cabin */
+const BODY_FILTERED = [SoloState.INTAKE, SoloState.EXHAUST]
+
+/**
+ * Creates the engine sound chain
+ * Each perspective gets a granular synth into an output of its own, with the turbo layer joining
+ * the intake and downshift pops the exhaust. Connect each output where its emitter's sound starts
+ * (the live PositionalAudio panner, or an offline panner). Body filters go on the direct path
+ * after the emitter, so the reverb send stays unfiltered. Live playback and the offline render
+ * both build this chain, so a render sounds like what is heard
+ *
+ * @param {Object} options - Configuration options
+ * @param {BaseAudioContext} options.context - Audio context (realtime or offline)
+ * @param {Object.<string, Object.<string, AudioBuffer|null>>} options.buffers - Recordings by perspective and key (soundEngine.buffers)
+ * @param {Function} [options.random=Math.random] - Source of grain offsets and noise, seeded for repeatable output
+ * @param {Object} [options.gearbox=GearboxSettings] - Gearbox settings, for the shift timing and what counts as an aggressive downshift
+ * @param {Object} [options.cockpit=CockpitSettings] - Body filter settings
+ * @param {Object} [options.pop=PopSoundSettings] - Downshift pop settings
+ * @returns {Object} Engine sound instance with control methods
+ * @returns {Object.<string, GainNode>} return.outputs - Output per perspective, connect each into its emitter
+ * @returns {Object.<string, Object>} return.synths - Granular synth per perspective
+ * @returns {Object} return.turbo - Turbo sound layer on the intake
+ * @returns {Function} return.addBodyFilter - Connects an emitter's direct path through a body filter
+ * @returns {Function} return.setCabinListening - Engages or releases the body filters
+ * @returns {Function} return.shift - Dips the synths for a gear change and pops an aggressive downshift
+ * @returns {Function} return.pop - Fires an exhaust pop
+ * @returns {Function} return.update - Schedules grains and glides the turbo layer (call once per frame)
+ * @returns {Function} return.dispose - Stops playback and disconnects the chain
+ *
+ * @example
+ * const engineSound = createEngineSound({ context: listener.context, buffers: soundEngine.buffers })
+ * engineSound.outputs.exhaust.connect(exhaustEmitter.getOutput())
+ * engineSound.addBodyFilter('exhaust', exhaustEmitter.gain, listener.getInput())
+ *
+ * function animate() {
+ *     engineSound.update(engine.getState(), boost.getState())
+ * }
+ */
+export function createEngineSound({ context, buffers, random = Math.random, gearbox = GearboxSettings, cockpit = CockpitSettings, pop: popSettings = PopSoundSettings }) {
+    const outputs = {}
+    const synths = {}
+    PERSPECTIVES.forEach(pos => {
+        outputs[pos] = context.createGain()
+        synths[pos] = createEngineSynth({ context, buffers: buffers[pos], random })
+        synths[pos].output.connect(outputs[pos])
+    })
+
+    const turbo = createTurboSound({ context, random })
+    turbo.output.connect(outputs[SoloState.INTAKE])
+
+    // Pops are cut from one short noise buffer, drawn once so a seeded chain pops the same each time
+    const popBuffer = context.createBuffer(1, Math.ceil(popSettings.duration * 4 * context.sampleRate), context.sampleRate)
+    const popData = popBuffer.getChannelData(0)
+    for (let i = 0; i < popData.length; i++) popData[i] = random() * 2 - 1
+    const pops = new Set()
+
+    const bodyFilters = []
+    let inCabin = false
+
+    /**
+     * Connects an emitter's direct path to its destination, through a body filter for the
+     * perspectives the cabin muffles; the filter starts in the current cabin state
+     * @param {string} pos - Perspective
+     * @param {AudioNode} source - Emitter output (after its panner and level)
+     * @param {AudioNode} destination - Where the direct sound goes (e.g. the reverb bus dry input)
+     */
+    function addBodyFilter(pos, source, destination) {
+        if (!BODY_FILTERED.includes(pos)) {
+            source.connect(destination)
+            return
+        }
+        const filter = context.createBiquadFilter()
+        filter.type = 'lowpass'
+        filter.frequency.value = inCabin ? cockpit.firewallCutoff : 20000
+        filter.Q.value = cockpit.firewallQ
+        const gain = context.createGain()
+        gain.gain.value = inCabin ? cockpit.firewallGain : 1
+        source.connect(filter)
+        filter.connect(gain)
+        gain.connect(destination)
+        bodyFilters.push({ source, filter, gain })
+    }
+
+    /**
+     * Muffles the intake and exhaust as heard through the body while the listener is in the cabin
+     * @param {boolean} value - Whether the listener sits inside the car
+     * @param {number} [time=context.currentTime] - Context time the filters start moving
+     */
+    function setCabinListening(value, time = context.currentTime) {
+        inCabin = !!value
+        const tc = cockpit.filterTime / 3
+        bodyFilters.forEach(({ filter, gain }) => {
+            filter.frequency.setTargetAtTime(inCabin ? cockpit.firewallCutoff : 20000, time, tc)
+            gain.gain.setTargetAtTime(inCabin ? cockpit.firewallGain : 1, time, tc)
+        })
+    }
+
+    /**
+     * Fires an exhaust pop
+     * @param {number} [time=context.currentTime] - Context time to fire at
+     */
+    function pop(time = context.currentTime) {
+        const voice = context.createBufferSource()
+        voice.buffer = popBuffer
+        const filter = context.createBiquadFilter()
+        filter.type = 'bandpass'
+        filter.frequency.value = popSettings.frequency
+        filter.Q.value = popSettings.q
+        const envelope = context.createGain()
+        envelope.gain.setValueAtTime(0, time)
+        envelope.gain.linearRampToValueAtTime(popSettings.gain, time + 0.003)
+        envelope.gain.setTargetAtTime(0, time + 0.003, popSettings.duration / 4)
+
+        voice.connect(filter)
+        filter.connect(envelope)
+        envelope.connect(outputs[SoloState.EXHAUST])
+
+        const burst = { voice, envelope }
+        pops.add(burst)
+        voice.onended = () => {
+            envelope.disconnect()
+            pops.delete(burst)
+        }
+        voice.start(time)
+        voice.stop(time + popBuffer.duration)
+    }
+
+    /**
+     * Reacts to a gear change: every synth dips while the clutch is open, deeper on an upshift where
+     * the drive comes off, and a downshift that has to blip a long way to rev-match pops the exhaust
+     * @param {number} gear - New gear (0 = neutral)
+     * @param {number} previousGear - Gear shifted out of
+     * @param {Object} info - Shift details from the gearbox
+     * @param {number} info.rpm - Engine RPM when the shift started
+     * @param {number} info.targetRpm - Rev-matched RPM for the new gear
+     * @param {Object} opts - Options
+     * @param {boolean} opts.running - Whether the engine is running
+     * @param {boolean} [opts.pops=true] - Whether aggressive downshifts pop
+     * @param {number} [opts.time=context.currentTime] - Context time of the shift
+     * @returns {boolean} Whether the downshift popped
+     */
+    function shift(gear, previousGear, { rpm, targetRpm }, { running, pops: popsEnabled = true, time = context.currentTime }) {
+        if (!running) return false
+        const downshift = gear > 0 && gear < previousGear
+        if (gear > 0 && previousGear > 0) {
+            const depth = downshift ? SynthSettings.downshiftDip : SynthSettings.upshiftDip
+            Object.values(synths).forEach(synth => synth.dip(depth, gearbox.shiftTime, time))
+        }
+        if (!downshift || !popsEnabled || targetRpm - rpm < gearbox.aggressiveDownshiftRpm) return false
+        pop(time)
+        return true
+    }
+
+    /**
+     * Schedules synth grains for the current engine state and glides the turbo layer
+     * @param {Object} engineState - Engine state snapshot from the engine model
+     * @param {Object} boostState - Boost state snapshot from the boost model
+     * @param {Object} [opts] - Options
+     * @param {Function} [opts.getPitchScale] - Called with a perspective, returns its extra playback rate (e.g. Doppler)
+     * @param {number} [opts.time=context.currentTime] - Current context time
+     */
+    function update(engineState, boostState, { getPitchScale = () => 1, time = context.currentTime } = {}) {
+        const load = engineState.fuelCut ? 0 : engineState.throttle
+        Object.entries(synths).forEach(([pos, synth]) => {
+            synth.update(engineState.rpm, { load, pitchScale: getPitchScale(pos), time })
+        })
+        turbo.update(boostState, { pitchScale: getPitchScale(SoloState.INTAKE), time })
+    }
+
+    /**
+     * Stops the synths, turbo and pops and disconnects every node of the chain
+     */
+    function dispose() {
+        Object.values(synths).forEach(synth => synth.dispose())
+        turbo.dispose()
+        pops.forEach(({ voice, envelope }) => {
+            voice.onended = null
+            voice.stop()
+            envelope.disconnect()
+        })
+        pops.clear()
+        bodyFilters.forEach(({ source, filter, gain }) => {
+            source.disconnect(filter)
+            filter.disconnect()
+            gain.disconnect()
+        })
+        Object.values(outputs).forEach(output => output.disconnect())
+    }
+
+    return {
+        outputs,
+        synths,
+        turbo,
+        addBodyFilter,
+        setCabinListening,
+        shift,
+        pop,
+        update,
+        dispose
+    }
+}
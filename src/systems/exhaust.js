@@ -127,6 +127,8 @@ export const particleSystem = {
     backfireElapsed: 0,
     /** @type {number} Backfire duration in seconds */
     backfireDuration: 0.5,
+    /** @type {number} Extra smoke density at full boost (1 = twice as many particles) */
+    boostDensity: 1.0,
     
     /**
      * Initializes the particle system and creates exhaust emitters
@@ -194,9 +196,13 @@ export const particleSystem = {
     /**
      * Updates particle system - creates new particles and updates existing ones
      * @param {number} deltaTime - Time elapsed since last frame in seconds
-     * @param {string} engineState - Current engine state ('stop', 'drive', 'accel', 'decel')
+     * @param {Object} engineState - Engine state snapshot from the engine model
+     * @param {number} engineState.rpm - Current engine RPM (no smoke when zero)
+     * @param {number} engineState.rpmNormalized - RPM mapped from idle (0) to redline (1)
+     * @param {Object} [boostState] - Boost state snapshot from the boost model
+     * @param {number} boostState.boostNormalized - Positive boost as a fraction of full boost (0-1)
      */
-    update: (deltaTime, engineState) => {
+    update: (deltaTime, engineState, boostState = null) => {
         // Skip particle updates if system is disabled or not visible
         if (!particleSystem.enabled || !particleSystem.visible) {
             return
@@ -216,16 +222,18 @@ export const particleSystem = {
             // Determine which settings to use based on backfire state
             const activeSettings = particleSystem.backfireActive ? emitter.backfireSettings : emitter.settings
             
-            if (engineState !== 'stop' || particleSystem.backfireActive) {
+            if (engineState.rpm > 0 || particleSystem.backfireActive) {
                 emitter.enabled = true
                 
-                // Use backfire settings if active, otherwise adjust based on engine state
+                // Use backfire settings if active, otherwise scale exhaust flow with engine speed
                 if (particleSystem.backfireActive) {
                     activeSettings.elapsed += deltaTime
                 } else {
-                    activeSettings.addTime = engineState === 'accel' ? 0.01 : 0.02 // More particles during acceleration  
-                    activeSettings.speedFrom = engineState === 'accel' ? 0.005 : 0.003
-                    activeSettings.speedTo = engineState === 'accel' ? 0.008 : 0.006
+                    const flow = engineState.rpmNormalized
+                    const density = 1 + particleSystem.boostDensity * (boostState ? boostState.boostNormalized : 0)
+                    activeSettings.addTime = (0.02 - 0.012 * flow) / density // More particles at higher RPM and boost
+                    activeSettings.speedFrom = 0.003 + 0.003 * flow
+                    activeSettings.speedTo = 0.006 + 0.004 * flow
                     activeSettings.elapsed += deltaTime
                 }
             } else {
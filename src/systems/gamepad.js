@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Gamepad input polling for analog throttle and button actions
+ * @module systems/gamepad
+ */
+
+import { GamepadMapping } from './constants.js'
+
+/**
+ * Default gamepad source, tolerant of browsers without the Gamepad API
+ * @private
+ * @returns {Array<Gamepad|null>} Connected gamepads
+ */
+function getNavigatorGamepads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return []
+    return Array.from(navigator.getGamepads())
+}
+
+/**
+ * Creates the gamepad input subsystem
+ * The Gamepad API has no events for button state, so `update()` polls once per frame and
+ * fires callbacks on changes. The gamepad source is injectable, so any object shaped like
+ * `{ connected, buttons: [{ pressed, value }] }` can stand in for a real controller
+ *
+ * @param {Object} options - Configuration options
+ * @param {Object} [options.mapping=GamepadMapping] - Button indices keyed by action, plus trigger deadzone
+ * @param {Function} [options.getGamepads] - Returns the list of gamepads to poll (defaults to navigator.getGamepads)
+ * @returns {Object} Gamepad instance with control methods
+ * @returns {Function} return.registerCallback - Sets the callback for an action
+ * @returns {Function} return.registerActivityCallback - Sets the callback fired on any input change
+ * @returns {Function} return.update - Polls the gamepad and fires callbacks (call once per frame)
+ * @returns {Function} return.isConnected - Returns whether a gamepad is currently connected
+ * @returns {Function} return.dispose - Clears callbacks and state
+ *
+ * @example
+ * const gamepad = createGamepadInput()
+ * gamepad.registerCallback('throttle', value => controlsPanel.setExternalThrottle(value))
+ * gamepad.registerCallback('ignition', pressed => { if (pressed) controlsPanel.toggleIgnition() })
+ *
+ * function animate() {
+ *     gamepad.update()
+ * }
+ *
+ * @example
+ * // Mocked controller
+ * const pad = { connected: true, buttons: Array.from({ length: 16 }, () => ({ pressed: false, value: 0 })) }
+ * const gamepad = createGamepadInput({ getGamepads: () => [pad] })
+ * pad.buttons[7].value = 0.5
+ * gamepad.update() // throttle callback receives 0.5
+ */
+export function createGamepadInput({ mapping = GamepadMapping, getGamepads = getNavigatorGamepads } = {}) {
+    const callbacks = new Map()
+    const buttonActions = Object.keys(mapping).filter(action => action !== 'throttle' && action !== 'deadzone')
+    const previousPressed = new Map()
+
+    let connected = false
+    let previousThrottle = 0
+    let activityCallback = null
+    let previousMask = null // pressed state of every button, for activity detection
+    let previousActivityThrottle = 0
+
+    /**
+     * Fires an action's callback
+     * @private
+     * @param {string} action - Action name
+     * @param {boolean|number} value - Pressed state, or analog value for the throttle
+     */
+    function trigger(action, value) {
+        const callback = callbacks.get(action)
+        if (callback) callback(value)
+    }
+
+    /**
+     * Finds the first connected gamepad
+     * @private
+     * @returns {Object|null} Gamepad or null if none are connected
+     */
+    function findGamepad() {
+        const pads = getGamepads() || []
+        for (const pad of pads) {
+            if (pad && pad.connected) return pad
+        }
+        return null
+    }
+
+    /**
+     * Releases everything when the controller goes away, so the throttle does not stick open
+     * @private
+     */
+    function releaseAll() {
+        previousPressed.forEach((pressed, action) => {
+            if (pressed) trigger(action, false)
+        })
+        previousPressed.clear()
+        if (previousThrottle !== 0) {
+            previousThrottle = 0
+            trigger('throttle', 0)
+        }
+    }
+
+    /**
+     * Sets the callback for an action
+     * @param {string} action - Action name ('throttle', 'ignition', 'headlights', 'soloMix', ...)
+     * @param {Function} callback - Called with the analog value (throttle) or pressed state (buttons)
+     */
+    function registerCallback(action, callback) {
+        callbacks.set(action, callback)
+    }
+
+    /**
+     * Sets the callback fired whenever the user moves the trigger or presses/releases a button,
+     * mapped or not
+     * @param {Function} callback - Called with no arguments
+     */
+    function registerActivityCallback(callback) {
+        activityCallback = callback
+    }
+
+    /**
+     * Polls the first connected gamepad and fires callbacks for changed inputs
+     */
+    function update() {
+        const pad = findGamepad()
+        if (!pad) {
+            if (connected) {
+                connected = false
+                releaseAll()
+                console.log('Gamepad disconnected')
+            }
+            return
+        }
+        if (!connected) {
+            connected = true
+            console.log('Gamepad connected:', pad.id || 'unknown')
+        }
+
+        const throttleButton = pad.buttons[mapping.throttle]
+        if (throttleButton) {
+            const raw = typeof throttleButton.value === 'number' ? throttleButton.value : (throttleButton.pressed ? 1 : 0)
+            // Rescale past the deadzone so the trigger still reaches full travel
+            const value = raw <= mapping.deadzone ? 0 : Math.min(1, (raw - mapping.deadzone) / (1 - mapping.deadzone))
+            if (value !== previousThrottle) {
+                previousThrottle = value
+                trigger('throttle', value)
+            }
+        }
+
+        buttonActions.forEach(action => {
+            const button = pad.buttons[mapping[action]]
+            const pressed = !!(button && button.pressed)
+            if (pressed !== !!previousPressed.get(action)) {
+                previousPressed.set(action, pressed)
+                trigger(action, pressed)
+            }
+        })
+
+        // Any button counts as activity, not just mapped ones
+        const pressedMask = pad.buttons.map(button => button && button.pressed ? '1' : '0').join('')
+        if (pressedMask !== previousMask || previousThrottle !== previousActivityThrottle) {
+            const changed = previousMask !== null
+            previousMask = pressedMask
+            previousActivityThrottle = previousThrottle
+            if (changed && activityCallback) activityCallback()
+        }
+    }
+
+    /**
+     * Releases held inputs and clears callbacks
+     */
+    function dispose() {
+        releaseAll()
+        callbacks.clear()
+        activityCallback = null
+    }
+
+    return {
+        registerCallback,
+        registerActivityCallback,
+        update,
+        isConnected: () => connected,
+        dispose
+    }
+}
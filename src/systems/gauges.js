@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Canvas dial gauges for the HUD
+ * @module systems/gauges
+ */
+
+import { BoostSettings } from './constants.js'
+
+/** Dial sweep start, measured clockwise from 3 o'clock (radians) */
+const DIAL_START = Math.PI * 0.75
+
+/** Dial sweep length (radians) */
+const DIAL_SWEEP = Math.PI * 1.5
+
+/**
+ * Draws an analog dial with ticks, numbers, an optional warning zone and a needle
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into (in CSS pixels)
+ * @param {Object} options - Dial description
+ * @param {number} options.x - Centre x
+ * @param {number} options.y - Centre y
+ * @param {number} options.radius - Outer radius
+ * @param {number} options.min - Value at the start of the sweep
+ * @param {number} options.max - Value at the end of the sweep
+ * @param {number} options.value - Value the needle points at
+ * @param {number} options.majorStep - Spacing of numbered ticks
+ * @param {number} [options.minorStep] - Spacing of unnumbered ticks
+ * @param {number} [options.warnFrom] - Value from which the scale is drawn red
+ * @param {string} [options.label] - Caption drawn under the hub
+ * @param {string} [options.readout] - Digital readout drawn under the caption
+ * @param {Function} [options.format] - Formats tick numbers (defaults to String)
+ */
+export function drawDialGauge(ctx, { x, y, radius, min, max, value, majorStep, minorStep = 0, warnFrom, label = '', readout = '', format = String }) {
+    const toAngle = v => DIAL_START + DIAL_SWEEP * (Math.max(min, Math.min(max, v)) - min) / (max - min)
+
+    // Face
+    ctx.beginPath()
+    ctx.arc(x, y, radius, 0, Math.PI * 2)
+    ctx.fillStyle = 'rgba(0,0,0,0.6)'
+    ctx.fill()
+    ctx.lineWidth = 2
+    ctx.strokeStyle = '#fff'
+    ctx.stroke()
+
+    // Warning zone
+    if (warnFrom !== undefined && warnFrom < max) {
+        ctx.beginPath()
+        ctx.arc(x, y, radius * 0.86, toAngle(warnFrom), toAngle(max))
+        ctx.lineWidth = radius * 0.08
+        ctx.strokeStyle = '#cc2f2f'
+        ctx.stroke()
+    }
+
+    // Ticks: iterate in integer steps so floating point steps do not drift
+    const drawTicks = (step, inner, width) => {
+        const count = Math.round((max - min) / step)
+        for (let i = 0; i <= count; i++) {
+            const a = toAngle(min + i * step)
+            ctx.beginPath()
+            ctx.moveTo(x + Math.cos(a) * radius * inner, y + Math.sin(a) * radius * inner)
+            ctx.lineTo(x + Math.cos(a) * radius * 0.92, y + Math.sin(a) * radius * 0.92)
+            ctx.lineWidth = width
+            ctx.strokeStyle = '#fff'
+            ctx.stroke()
+        }
+    }
+    if (minorStep > 0) drawTicks(minorStep, 0.84, 1)
+    drawTicks(majorStep, 0.76, 2)
+
+    // Numbers
+    ctx.fillStyle = '#fff'
+    ctx.font = `${Math.round(radius * 0.16)}px monospace`
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    const majorCount = Math.round((max - min) / majorStep)
+    for (let i = 0; i <= majorCount; i++) {
+        const v = min + i * majorStep
+        const a = toAngle(v)
+        ctx.fillText(format(v), x + Math.cos(a) * radius * 0.6, y + Math.sin(a) * radius * 0.6)
+    }
+
+    // Caption and readout
+    ctx.font = `${Math.round(radius * 0.14)}px monospace`
+    if (label) ctx.fillText(label, x, y + radius * 0.38)
+    if (readout) {
+        ctx.font = `bold ${Math.round(radius * 0.18)}px monospace`
+        ctx.fillText(readout, x, y + radius * 0.62)
+    }
+
+    // Needle and hub
+    const a = toAngle(value)
+    ctx.beginPath()
+    ctx.moveTo(x - Math.cos(a) * radius * 0.12, y - Math.sin(a) * radius * 0.12)
+    ctx.lineTo(x + Math.cos(a) * radius * 0.88, y + Math.sin(a) * radius * 0.88)
+    ctx.lineWidth = 2.5
+    ctx.strokeStyle = '#ff4040'
+    ctx.stroke()
+    ctx.beginPath()
+    ctx.arc(x, y, radius * 0.07, 0, Math.PI * 2)
+    ctx.fillStyle = '#ddd'
+    ctx.fill()
+}
+
+/**
+ * Creates a HiDPI-aware canvas sized in CSS pixels
+ * @param {number} width - Width in CSS pixels
+ * @param {number} height - Height in CSS pixels
+ * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}} Canvas scaled for devicePixelRatio
+ */
+export function createGaugeCanvas(width, height) {
+    const dpr = Math.min(window.devicePixelRatio || 1, 2)
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.round(width * dpr)
+    canvas.height = Math.round(height * dpr)
+    canvas.style.width = `${width}px`
+    canvas.style.height = `${height}px`
+    const ctx = canvas.getContext('2d')
+    ctx.scale(dpr, dpr)
+    return { canvas, ctx }
+}
+
+/**
+ * Creates the boost gauge shown beside the controls panel
+ * Reads manifold pressure from vacuum to full boost, with the turbo stage underneath
+ *
+ * @param {Object} options - Configuration options
+ * @param {boolean} [options.initVisible=true] - Whether the gauge should be visible initially
+ * @param {Object} [options.settings=BoostSettings] - Boost settings, the wastegate pressure sets the scale
+ * @returns {Object} Gauge instance with control methods
+ * @returns {Function} return.update - Redraws the gauge for a boost state (call once per frame)
+ * @returns {Function} return.setVisible - Shows/hides the gauge
+ * @returns {Function} return.dispose - Removes the gauge from the DOM
+ *
+ * @example
+ * const boostGauge = createBoostGauge()
+ *
+ * function animate() {
+ *     boostGauge.update(boost.getState())
+ * }
+ */
+export function createBoostGauge({ initVisible = true, settings = BoostSettings } = {}) {
+    const size = 110
+    const min = -1
+    const max = Math.max(1, Math.ceil(settings.maxBoost * 5) / 5 + 0.2)
+
+    let visible = initVisible
+    let panel = null
+    let ctx = null
+    let lastDrawn = null
+
+    /**
+     * Ensures the gauge DOM element exists
+     * @private
+     * @returns {HTMLDivElement} The gauge element
+     */
+    function ensurePanel() {
+        if (panel) return panel
+        panel = document.createElement('div')
+        panel.id = 'boost-gauge'
+        Object.assign(panel.style, {
+            position: 'fixed',
+            top: '10px', // Beside the controls panel in the upper left corner
+            left: '190px',
+            zIndex: 9999,
+            pointerEvents: 'none',
+            display: visible ? '' : 'none'
+        })
+        const gauge = createGaugeCanvas(size, size)
+        ctx = gauge.ctx
+        panel.appendChild(gauge.canvas)
+        document.body.appendChild(panel)
+        return panel
+    }
+
+    /**
+     * Redraws the gauge
+     * @param {Object} boostState - Boost state snapshot (see createBoost)
+     */
+    function update(boostState) {
+        ensurePanel()
+        if (!visible) return
+
+        // Skip redraws while the needle is still
+        const stage = boostState.stage === 'secondary' ? 'P+S' : boostState.stage === 'transition' ? 'P>S' : 'P'
+        const key = `${boostState.boost.toFixed(2)}|${stage}`
+        if (key === lastDrawn) return
+        lastDrawn = key
+
+        ctx.clearRect(0, 0, size, size)
+        drawDialGauge(ctx, {
+            x: size / 2,
+            y: size / 2,
+            radius: size / 2 - 2,
+            min,
+            max,
+            value: boostState.boost,
+            majorStep: 0.5,
+            minorStep: 0.1,
+            warnFrom: settings.maxBoost,
+            label: `BOOST ${stage}`,
+            readout: `${boostState.boost >= 0 ? '+' : ''}${boostState.boost.toFixed(2)}`,
+            format: v => v === 0 ? '0' : v.toFixed(1)
+        })
+    }
+
+    /**
+     * Sets the visibility of the gauge
+     * @param {boolean} v - Whether the gauge should be visible
+     */
+    function setVisible(v) {
+        visible = !!v
+        lastDrawn = null
+        if (panel) panel.style.display = visible ? '' : 'none'
+    }
+
+    /**
+     * Removes the gauge from the DOM
+     */
+    function dispose() {
+        if (panel && panel.parentElement) {
+            panel.parentElement.removeChild(panel)
+        }
+        panel = null
+        ctx = null
+    }
+
+    return {
+        update,
+        setVisible,
+        isVisible: () => visible,
+        dispose
+    }
+}
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Five-speed manual gearbox, clutch and vehicle speed simulation
+ * @module systems/gearbox
+ */
+
+import { GearboxSettings } from './constants.js'
+
+/** Conversion factor from revolutions per minute to radians per second */
+const RPM_TO_RAD = (2 * Math.PI) / 60
+
+/** Standard gravity (m/s^2) */
+const GRAVITY = 9.81
+
+/**
+ * Creates the gearbox and vehicle model
+ * With the clutch locked, the vehicle's mass is reflected onto the crankshaft as extra inertia
+ * and road speed follows engine speed exactly. While the clutch slips (launching, or letting it
+ * out after a shift) a capacity-limited slip torque pulls engine and road speed together, and
+ * once the slip is small the clutch locks, conserving angular momentum across it.
+ * While a shift is in progress the driver lifts for upshifts and blips the throttle towards the
+ * new gear's road speed on downshifts.
+ * With the clutch open or in neutral, the vehicle coasts against rolling and aero drag
+ *
+ * @param {Object} options - Configuration options
+ * @param {Object} options.engine - Engine model the drivetrain loads (see createEngine)
+ * @param {Object} [options.settings=GearboxSettings] - Gearbox and vehicle tuning
+ * @returns {Object} Gearbox instance with control methods
+ * @returns {Function} return.shiftUp - Shifts up one gear
+ * @returns {Function} return.shiftDown - Shifts down one gear
+ * @returns {Function} return.holdSpeed - Holds a fixed road speed (or releases it with null)
+ * @returns {Function} return.update - Advances the drivetrain (call once per frame, after the engine)
+ * @returns {Function} return.getState - Returns a snapshot of the gearbox state
+ *
+ * @example
+ * const gearbox = createGearbox({ engine })
+ * gearbox.shiftUp() // neutral -> 1st
+ *
+ * function animate() {
+ *     engine.update(deltaTime)
+ *     gearbox.update(deltaTime)
+ *     console.log(gearbox.getSpeedKmh())
+ * }
+ */
+export function createGearbox({ engine, settings = GearboxSettings }) {
+    const topGear = settings.gearRatios.length
+    const { inertia: engineInertia } = engine.getSettings()
+
+    let gear = 0
+    let speed = 0 // m/s
+    let clutch = 1 // engagement, 0 = open, 1 = fully engaged
+    let locked = false
+    let shiftTimer = 0
+    let shiftDirection = 0
+    let heldSpeed = null
+    let heldRpm = null
+    let shiftCallback = null
+
+    /**
+     * Overall ratio from crankshaft to wheels for a gear
+     * @param {number} g - Gear number (0 = neutral)
+     * @returns {number} Ratio, or 0 in neutral
+     */
+    function getRatio(g = gear) {
+        if (g <= 0 || g > topGear) return 0
+        return settings.gearRatios[g - 1] * settings.finalDrive
+    }
+
+    /**
+     * Engine RPM that corresponds to a road speed in a gear
+     * @param {number} v - Road speed (m/s)
+     * @param {number} [g=gear] - Gear number
+     * @returns {number} Engine RPM, 0 in neutral
+     */
+    function speedToRpm(v, g = gear) {
+        return (v / settings.tireRadius) * getRatio(g) / RPM_TO_RAD
+    }
+
+    /**
+     * Road speed that corresponds to an engine RPM in a gear
+     * @param {number} rpm - Engine RPM
+     * @param {number} [g=gear] - Gear number
+     * @returns {number} Road speed (m/s), 0 in neutral
+     */
+    function rpmToSpeed(rpm, g = gear) {
+        const ratio = getRatio(g)
+        return ratio > 0 ? rpm * RPM_TO_RAD * settings.tireRadius / ratio : 0
+    }
+
+    /**
+     * Rolling resistance plus aerodynamic drag
+     * @private
+     * @param {number} v - Road speed (m/s)
+     * @returns {number} Resisting force (N)
+     */
+    function resistance(v) {
+        if (v <= 0) return 0
+        return settings.rollingResistance * settings.mass * GRAVITY + 0.5 * settings.airDensity * settings.dragArea * v * v
+    }
+
+    /**
+     * Sets the callback fired when a gear change starts
+     * @param {Function} callback - Called with (newGear, previousGear, { rpm, targetRpm }), where
+     *   targetRpm is the engine speed the new gear needs at the current road speed (0 into neutral)
+     */
+    function registerShiftCallback(callback) {
+        shiftCallback = callback
+    }
+
+    /**
+     * Selects a gear, opening the clutch for the shift
+     * @param {number} g - Gear number (0 = neutral, 1-5)
+     */
+    function setGear(g) {
+        const next = Math.max(0, Math.min(topGear, Math.round(g)))
+        if (next === gear) return
+        const previous = gear
+        gear = next
+        locked = false
+        clutch = 0
+        shiftTimer = settings.shiftTime
+        // Only gear-to-gear changes need a lift or blip
+        shiftDirection = previous > 0 && gear > 0 ? Math.sign(gear - previous) : 0
+        if (shiftCallback) shiftCallback(gear, previous, { rpm: engine.getRpm(), targetRpm: speedToRpm(speed) })
+    }
+
+    /**
+     * Shifts up one gear
+     */
+    function shiftUp() {
+        setGear(gear + 1)
+    }
+
+    /**
+     * Shifts down one gear
+     */
+    function shiftDown() {
+        setGear(gear - 1)
+    }
+
+    /**
+     * Holds the vehicle at a fixed road speed, pinning the engine to the matching RPM
+     * Used to cruise at a set speed regardless of throttle (e.g. a drive-by pass)
+     * @param {number|null} value - Road speed (m/s), or null to release
+     */
+    function holdSpeed(value) {
+        heldSpeed = value === null ? null : Math.max(0, value)
+        if (heldSpeed === null && heldRpm !== null) {
+            heldRpm = null
+            engine.holdRpm(null)
+        }
+    }
+
+    /**
+     * Advances clutch engagement, drivetrain coupling and road speed
+     * Loads the engine for its next update
+     * @param {number} deltaTime - Time elapsed since last frame in seconds
+     */
+    function update(deltaTime) {
+        if (!(deltaTime > 0)) return
+
+        if (shiftTimer > 0) {
+            shiftTimer = Math.max(0, shiftTimer - deltaTime)
+            if (shiftDirection > 0) {
+                engine.setThrottleOverride(0)
+            } else if (shiftDirection < 0) {
+                // Proportional blip towards the rev-matched speed, the limiter still caps it
+                const shortfall = speedToRpm(speed) - engine.getRpm()
+                engine.setThrottleOverride(Math.max(0, Math.min(1, shortfall * settings.revMatchGain)))
+            }
+            if (shiftTimer === 0) {
+                shiftDirection = 0
+                engine.setThrottleOverride(null)
+            }
+        } else if (clutch < 1) {
+            clutch = Math.min(1, clutch + deltaTime / settings.engageTime)
+        }
+
+        const ratio = getRatio()
+        const rpm = engine.getRpm()
+
+        if (heldSpeed !== null) {
+            speed = heldSpeed
+            locked = ratio > 0
+            engine.setLoad(0, 0)
+            const rpmTarget = locked && engine.isRunning() ? speedToRpm(speed) : null
+            if (rpmTarget !== heldRpm) {
+                heldRpm = rpmTarget
+                engine.holdRpm(heldRpm)
+            }
+            return
+        }
+
+        // Dip the clutch when the engine is off or about to stall
+        const clutchOpen = ratio === 0 || clutch === 0 || !engine.isRunning() || rpm < settings.antiStallRpm
+        if (clutchOpen) {
+            locked = false
+            engine.setLoad(0, 0)
+            speed = Math.max(0, speed - (resistance(speed) / settings.mass) * deltaTime)
+            return
+        }
+
+        const vehicleInertia = settings.mass * settings.tireRadius * settings.tireRadius / (ratio * ratio)
+
+        if (locked) {
+            speed = rpmToSpeed(rpm)
+            engine.setLoad(resistance(speed) * settings.tireRadius / ratio, vehicleInertia)
+            return
+        }
+
+        // Slipping: clutch torque opposes the speed difference, limited by engagement. The load is
+        // only refreshed once per frame, so the gain is capped to keep the coupling stable
+        const slipRpm = rpm - speedToRpm(speed)
+        const capacity = settings.clutchCapacity * clutch
+        const maxGain = 0.5 * engineInertia * RPM_TO_RAD / deltaTime
+        const clutchTorque = Math.max(-capacity, Math.min(capacity, slipRpm * Math.min(settings.clutchSlipGain, maxGain)))
+        engine.setLoad(clutchTorque, 0)
+
+        const force = clutchTorque * ratio / settings.tireRadius - resistance(speed)
+        speed = Math.max(0, speed + (force / settings.mass) * deltaTime)
+
+        const remainingSlip = rpm - speedToRpm(speed)
+        if (clutch >= 1 && Math.abs(remainingSlip) < settings.clutchLockRpm) {
+            // Lock up: engine and vehicle meet at a common speed that conserves angular momentum
+            const lockedRpm = (engineInertia * rpm + vehicleInertia * speedToRpm(speed)) / (engineInertia + vehicleInertia)
+            engine.setRpm(lockedRpm)
+            speed = rpmToSpeed(lockedRpm)
+            locked = true
+        }
+    }
+
+    /**
+     * Gets a snapshot of the gearbox state
+     * @returns {Object} State object
+     * @returns {number} return.gear - Selected gear (0 = neutral)
+     * @returns {number} return.speed - Road speed (m/s)
+     * @returns {number} return.speedKmh - Road speed (km/h)
+     * @returns {number} return.clutch - Clutch engagement (0-1)
+     * @returns {boolean} return.locked - Whether the clutch is fully locked up
+     * @returns {boolean} return.shifting - Whether a shift is in progress
+     */
+    function getState() {
+        return {
+            gear,
+            speed,
+            speedKmh: speed * 3.6,
+            clutch,
+            locked,
+            shifting: shiftTimer > 0 || clutch < 1
+        }
+    }
+
+    /**
+     * Stops the vehicle and returns to neutral
+     */
+    function reset() {
+        gear = 0
+        speed = 0
+        clutch = 1
+        locked = false
+        shiftTimer = 0
+        shiftDirection = 0
+        heldSpeed = null
+        heldRpm = null
+        engine.holdRpm(null)
+        engine.setThrottleOverride(null)
+        engine.setLoad(0, 0)
+    }
+
+    return {
+        registerShiftCallback,
+        setGear,
+        shiftUp,
+        shiftDown,
+        holdSpeed,
+        update,
+        reset,
+        getState,
+        getGear: () => gear,
+        getRatio,
+        getSpeed: () => speed,
+        getSpeedKmh: () => speed * 3.6,
+        speedToRpm,
+        rpmToSpeed,
+        getGearLabel: () => gear === 0 ? 'N' : `${gear}`
+    }
+}
@@ -330,6 +330,82 @@ export function loadHDRTexture(loader, path) {
     })
 }
 
+/**
+ * Offers a Blob to the user as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+/** File extension for each MediaRecorder container */
+const RECORDING_EXTENSIONS = {
+    'audio/webm': 'webm',
+    'audio/ogg': 'ogg',
+    'audio/mp4': 'm4a',
+    'video/webm': 'webm',
+    'video/mp4': 'mp4'
+}
+
+/**
+ * Picks the first MIME type MediaRecorder supports
+ * @param {Array<string>} mimeTypes - Candidates in order of preference
+ * @returns {string} MIME type, empty to let the browser choose
+ */
+export function pickRecordingMimeType(mimeTypes) {
+    return mimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || ''
+}
+
+/**
+ * Gets the file extension for a recording's MIME type
+ * @param {string} mimeType - MIME type the MediaRecorder reports, codecs included (e.g. 'video/mp4;codecs=avc1')
+ * @param {string} fallback - Extension when the container is unknown
+ * @returns {string} Extension without the dot
+ */
+export function recordingExtension(mimeType, fallback) {
+    return RECORDING_EXTENSIONS[mimeType.split(';')[0].trim()] || fallback
+}
+
+/**
+ * Builds a file name stamped with the local date and time, e.g. rx7sim-2024-05-01-14-03-22-mix.wav
+ * @param {string} prefix - Start of the name
+ * @param {string} extension - File extension without the dot
+ * @param {string} [suffix=''] - Part appended after the timestamp
+ * @returns {string} File name
+ */
+export function timestampedFileName(prefix, extension, suffix = '') {
+    const now = new Date()
+    const pad = n => String(n).padStart(2, '0')
+    const stamp = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}-${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`
+    return `${prefix}-${stamp}${suffix ? `-${suffix}` : ''}.${extension}`
+}
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32), a drop-in for Math.random where a run
+ * has to come out the same every time (e.g. offline renders and replays)
+ * @param {number} seed - Any 32-bit integer
+ * @returns {function(): number} Generator returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
 /**
  * Recursively dispose of Three.js object and all its children
  * Cleans up geometries, materials, textures, and render targets
@@ -417,19 +493,6 @@ export function disposeAudioEmitter(emitter) {
             emitter.stop()
         }
 
-        // Disconnect custom reverb nodes if present
-        if (emitter._reverbNodes) {
-            const { dryGain, wetGain, convolver } = emitter._reverbNodes
-            try {
-                dryGain.disconnect()
-                wetGain.disconnect()
-                convolver.disconnect()
-            } catch (err) {
-                console.warn('Error disconnecting reverb nodes:', err)
-            }
-            emitter._reverbNodes = null
-        }
-
         // Disconnect the emitter itself
         emitter.disconnect()
 
@@ -629,7 +692,7 @@ export function createHeadlightSpots({ color = 0xFFFFDE, intensity = 3.0, distan
  * @param {Object} [opts.store=null] - Optional object to cache loaded buffers (e.g., soundEngine)
  * @param {string} [opts.storeKey=null] - Key on the store where the buffer will be saved/loaded
  * @param {boolean} [opts.loop=false] - Whether to loop the audio
- * @param {number} [opts.refDistance=20] - Emitter reference distance for spatial audio falloff
+ * @param {number|null} [opts.refDistance=null] - Emitter reference distance for spatial audio falloff, null keeps the emitter's own
  * @param {number|null} [opts.volume=null] - Optional volume to set (0..1)
  * @param {number} [opts.offset=0] - Playback start offset in seconds
  * @param {function(): void|null} [opts.onEnded=null] - Optional onEnded callback to set on emitter
@@ -642,12 +705,12 @@ export function createHeadlightSpots({ color = 0xFFFFDE, intensity = 3.0, distan
  *   volume: 0.8
  * });
  */
-export function playPositionalAudio(audioLoader, emitter, path, { store = null, storeKey = null, loop = false, refDistance = 20, volume = null, offset = 0, onEnded = null } = {}) {
+export function playPositionalAudio(audioLoader, emitter, path, { store = null, storeKey = null, loop = false, refDistance = null, volume = null, offset = 0, onEnded = null } = {}) {
     const playBuffer = (buffer) => {
         try {
             emitter.stop()
             emitter.setBuffer(buffer)
-            emitter.setRefDistance(refDistance)
+            if (refDistance !== null) emitter.setRefDistance(refDistance)
             emitter.setLoop(loop)
             if (typeof volume === 'number' && emitter.setVolume) emitter.setVolume(volume)
             if (onEnded) emitter.onEnded = onEnded
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Loading user-supplied impulse responses by drag-and-drop or file picker
+ * @module systems/impulses
+ */
+
+import { ImpulseSettings } from './constants.js'
+
+/**
+ * Creates the impulse response loader
+ * Audio files dropped anywhere on the page, or chosen through `openFilePicker()`, are checked,
+ * decoded in the given context and handed to the load callback with a name taken from the file
+ *
+ * @param {Object} options - Configuration options
+ * @param {BaseAudioContext} options.context - Audio context used to decode files
+ * @param {EventTarget} [options.target=window] - Element accepting drops
+ * @param {Object} [options.settings=ImpulseSettings] - Accepted formats and limits
+ * @returns {Object} Loader instance with control methods
+ * @returns {Function} return.registerLoadCallback - Sets the callback fired with each decoded impulse response
+ * @returns {Function} return.registerErrorCallback - Sets the callback fired when a file is rejected
+ * @returns {Function} return.openFilePicker - Opens the browser's file picker
+ * @returns {Function} return.loadFile - Checks and decodes a File
+ * @returns {Function} return.dispose - Removes listeners and the drop overlay
+ *
+ * @example
+ * const impulses = createImpulseLoader({ context: listener.context })
+ * impulses.registerLoadCallback((name, buffer) => soundEngine.applyConvolutionReverb(buffer))
+ * impulses.openFilePicker()
+ */
+export function createImpulseLoader({ context, target = window, settings = ImpulseSettings }) {
+    let loadCallback = null
+    let errorCallback = null
+    let overlay = null
+    let dragDepth = 0 // dragenter/dragleave also fire for children, so count them
+
+    /**
+     * Whether a drag carries files
+     * @private
+     * @param {DragEvent} e - Drag event
+     * @returns {boolean} True if files are being dragged
+     */
+    function hasFiles(e) {
+        return !!e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files')
+    }
+
+    /**
+     * Ensures the drop overlay exists
+     * @private
+     * @returns {HTMLDivElement} The overlay element
+     */
+    function ensureOverlay() {
+        if (overlay) return overlay
+        overlay = document.createElement('div')
+        overlay.id = 'impulse-drop-overlay'
+        overlay.textContent = `Drop an impulse response (${settings.extensions.map(ext => `.${ext}`).join(', ')})`
+        Object.assign(overlay.style, {
+            position: 'fixed',
+            inset: '0',
+            display: 'none',
+            alignItems: 'center',
+            justifyContent: 'center',
+            background: 'rgba(0,0,0,0.5)',
+            border: '3px dashed rgba(255,255,255,0.7)',
+            color: '#fff',
+            fontFamily: 'monospace',
+            fontSize: '18px',
+            zIndex: 10000,
+            pointerEvents: 'none'
+        })
+        document.body.appendChild(overlay)
+        return overlay
+    }
+
+    /**
+     * Shows or hides the drop overlay
+     * @private
+     * @param {boolean} show - Whether to show it
+     */
+    function showOverlay(show) {
+        ensureOverlay().style.display = show ? 'flex' : 'none'
+    }
+
+    /**
+     * Shows the overlay when files are dragged over the page
+     * Nested elements fire enter and leave in pairs, so the depth tracks when the drag really leaves
+     * @private
+     * @param {DragEvent} e - Drag event
+     */
+    function onDragEnter(e) {
+        if (!hasFiles(e)) return
+        e.preventDefault()
+        dragDepth++
+        showOverlay(true)
+    }
+
+    /**
+     * Accepts dragged files so the browser allows dropping them
+     * @private
+     * @param {DragEvent} e - Drag event
+     */
+    function onDragOver(e) {
+        if (!hasFiles(e)) return
+        e.preventDefault()
+        e.dataTransfer.dropEffect = 'copy'
+    }
+
+    /**
+     * Hides the overlay once the drag has left the page
+     * @private
+     * @param {DragEvent} e - Drag event
+     */
+    function onDragLeave(e) {
+        if (!hasFiles(e)) return
+        dragDepth = Math.max(0, dragDepth - 1)
+        if (dragDepth === 0) showOverlay(false)
+    }
+
+    /**
+     * Loads every dropped file instead of letting the browser open it
+     * @private
+     * @param {DragEvent} e - Drop event
+     */
+    function onDrop(e) {
+        if (!hasFiles(e)) return
+        e.preventDefault()
+        dragDepth = 0
+        showOverlay(false)
+        Array.from(e.dataTransfer.files).forEach(handleFile)
+    }
+
+    target.addEventListener('dragenter', onDragEnter)
+    target.addEventListener('dragover', onDragOver)
+    target.addEventListener('dragleave', onDragLeave)
+    target.addEventListener('drop', onDrop)
+
+    /**
+     * Loads a file and reports the result through the callbacks
+     * @private
+     * @param {File} file - File to load
+     */
+    function handleFile(file) {
+        loadFile(file).then(({ name, buffer }) => {
+            console.log(`✓ Loaded impulse response: ${file.name} (${buffer.duration.toFixed(2)} s, ${buffer.numberOfChannels} ch)`)
+            if (loadCallback) loadCallback(name, buffer)
+        }).catch(err => {
+            console.error(`✗ Failed to load impulse response: ${file.name}`, err)
+            if (errorCallback) errorCallback(err, file)
+        })
+    }
+
+    /**
+     * Checks and decodes an impulse response file
+     * @param {File} file - WAV or OGG file
+     * @returns {Promise<{name: string, buffer: AudioBuffer}>} Display name (file name without extension) and decoded buffer
+     * @throws {Error} If the file has the wrong type, is too large or too long, or does not decode
+     */
+    async function loadFile(file) {
+        const extension = (file.name.split('.').pop() || '').toLowerCase()
+        if (!settings.extensions.includes(extension)) {
+            throw new Error(`${file.name} is not a supported impulse response (${settings.extensions.join(', ')})`)
+        }
+        if (file.size > settings.maxFileSize) {
+            throw new Error(`${file.name} is larger than ${Math.round(settings.maxFileSize / 1024 / 1024)} MB`)
+        }
+
+        let buffer
+        try {
+            buffer = await context.decodeAudioData(await file.arrayBuffer())
+        } catch (err) {
+            throw new Error(`Could not decode ${file.name}: ${err.message}`)
+        }
+        if (buffer.duration > settings.maxDuration) {
+            throw new Error(`${file.name} is longer than ${settings.maxDuration} s`)
+        }
+        return { name: file.name.replace(/\.[^.]+$/, ''), buffer }
+    }
+
+    /**
+     * Opens the browser's file picker for impulse responses
+     */
+    function openFilePicker() {
+        const input = document.createElement('input')
+        input.type = 'file'
+        input.accept = settings.extensions.map(ext => `.${ext}`).join(',')
+        input.multiple = true
+        input.addEventListener('change', () => Array.from(input.files || []).forEach(handleFile))
+        input.click()
+    }
+
+    /**
+     * Sets the callback fired with each decoded impulse response
+     * @param {Function} callback - Called with the display name and AudioBuffer
+     */
+    function registerLoadCallback(callback) {
+        loadCallback = callback
+    }
+
+    /**
+     * Sets the callback fired when a file is rejected or fails to decode
+     * @param {Function} callback - Called with the Error and the File
+     */
+    function registerErrorCallback(callback) {
+        errorCallback = callback
+    }
+
+    /**
+     * Removes drop listeners and the overlay
+     */
+    function dispose() {
+        target.removeEventListener('dragenter', onDragEnter)
+        target.removeEventListener('dragover', onDragOver)
+        target.removeEventListener('dragleave', onDragLeave)
+        target.removeEventListener('drop', onDrop)
+        if (overlay && overlay.parentElement) {
+            overlay.parentElement.removeChild(overlay)
+        }
+        overlay = null
+        loadCallback = null
+        errorCallback = null
+    }
+
+    return {
+        registerLoadCallback,
+        registerErrorCallback,
+        openFilePicker,
+        loadFile,
+        dispose
+    }
+}
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Configurable keyboard mapping for vehicle and audio perspective controls
+ * @module systems/keyboard
+ */
+
+import { KeyBindings } from './constants.js'
+
+/** localStorage key bindings are persisted under */
+const STORAGE_KEY = 'rx7sim.keyBindings'
+
+/**
+ * Formats a KeyboardEvent.code value for display
+ * @param {string|null} code - Key code (e.g. 'KeyI', 'Digit1', 'Space')
+ * @returns {string} Human readable key name
+ * @example
+ * formatKey('KeyI') // "I"
+ * formatKey('Digit1') // "1"
+ * formatKey('ArrowUp') // "Up"
+ */
+export function formatKey(code) {
+    if (!code) return '—'
+    if (code.startsWith('Key')) return code.slice(3)
+    if (code.startsWith('Digit')) return code.slice(5)
+    if (code.startsWith('Arrow')) return code.slice(5)
+    if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`
+    return code
+}
+
+/**
+ * Checks whether a key event originated from a text entry element (e.g. lil-gui number fields)
+ * @private
+ * @param {EventTarget|null} target - Event target
+ * @returns {boolean} True if typing should not trigger actions
+ */
+function isTypingTarget(target) {
+    if (!target || !target.tagName) return false
+    const tag = target.tagName.toLowerCase()
+    return tag === 'input' || tag === 'textarea' || tag === 'select' || target.isContentEditable
+}
+
+/**
+ * Creates the keyboard controls
+ * Each action's callback receives `true` on key press and `false` on release; toggle actions
+ * can simply ignore releases. Bindings are persisted to localStorage
+ *
+ * @param {Object} options - Configuration options
+ * @param {Object.<string, string>} [options.defaults=KeyBindings] - Default key codes keyed by action
+ * @param {EventTarget} [options.target=window] - Element keyboard events are read from
+ * @returns {Object} Keyboard instance with control methods
+ * @returns {Function} return.registerCallback - Sets the callback for an action
+ * @returns {Function} return.getBindings - Returns a copy of the current bindings
+ * @returns {Function} return.setBinding - Binds an action to a key code
+ * @returns {Function} return.beginRebind - Binds the next key pressed to an action
+ * @returns {Function} return.resetBindings - Restores the default bindings
+ * @returns {Function} return.dispose - Removes event listeners
+ *
+ * @example
+ * const keyboard = createKeyboardControls()
+ * keyboard.registerCallback('ignition', pressed => { if (pressed) controlsPanel.toggleIgnition() })
+ * keyboard.registerCallback('throttle', pressed => controlsPanel.setThrottlePressed(pressed))
+ */
+export function createKeyboardControls({ defaults = KeyBindings, target = window } = {}) {
+    const bindings = { ...defaults, ...loadBindings() }
+    const callbacks = new Map()
+    const held = new Map() // code -> action, so releases reach the action that was pressed
+
+    let rebindAction = null
+    let rebindCallback = null
+
+    /**
+     * Reads persisted bindings, ignoring unknown actions
+     * @private
+     * @returns {Object.<string, string>} Stored bindings
+     */
+    function loadBindings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+            return Object.fromEntries(Object.entries(stored).filter(([action]) => action in defaults))
+        } catch (err) {
+            console.warn('Failed to load key bindings:', err)
+            return {}
+        }
+    }
+
+    /**
+     * Persists the current bindings
+     * @private
+     */
+    function saveBindings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings))
+        } catch (err) {
+            console.warn('Failed to save key bindings:', err)
+        }
+    }
+
+    /**
+     * Finds the action bound to a key code
+     * @private
+     * @param {string} code - Key code
+     * @returns {string|undefined} Action name
+     */
+    function getAction(code) {
+        return Object.keys(bindings).find(action => bindings[action] === code)
+    }
+
+    /**
+     * Fires an action's callback
+     * @private
+     * @param {string} action - Action name
+     * @param {boolean} pressed - Whether the key went down or up
+     */
+    function trigger(action, pressed) {
+        const callback = callbacks.get(action)
+        if (callback) callback(pressed)
+    }
+
+    function onKeyDown(e) {
+        if (rebindAction) {
+            e.preventDefault()
+            if (e.code !== 'Escape') setBinding(rebindAction, e.code)
+            const done = rebindCallback
+            rebindAction = null
+            rebindCallback = null
+            if (done) done(getBindings())
+            return
+        }
+
+        if (isTypingTarget(e.target)) return
+        const action = getAction(e.code)
+        if (!action) return
+
+        e.preventDefault()
+        if (e.repeat || held.has(e.code)) return
+        held.set(e.code, action)
+        trigger(action, true)
+    }
+
+    function onKeyUp(e) {
+        const action = held.get(e.code)
+        if (!action) return
+        held.delete(e.code)
+        trigger(action, false)
+    }
+
+    // Release everything when focus leaves the page, otherwise a held throttle sticks open
+    function onBlur() {
+        held.forEach(action => trigger(action, false))
+        held.clear()
+    }
+
+    target.addEventListener('keydown', onKeyDown)
+    target.addEventListener('keyup', onKeyUp)
+    target.addEventListener('blur', onBlur)
+
+    /**
+     * Sets the callback for an action
+     * @param {string} action - Action name (e.g. 'throttle', 'ignition', 'soloIntake')
+     * @param {Function} callback - Called with `true` on press and `false` on release
+     */
+    function registerCallback(action, callback) {
+        callbacks.set(action, callback)
+    }
+
+    /**
+     * Returns a copy of the current bindings
+     * @returns {Object.<string, string>} Key codes keyed by action
+     */
+    function getBindings() {
+        return { ...bindings }
+    }
+
+    /**
+     * Binds an action to a key code; an action already using that key takes over the old key
+     * @param {string} action - Action name
+     * @param {string} code - KeyboardEvent.code value
+     */
+    function setBinding(action, code) {
+        if (!(action in bindings)) return
+        const previousOwner = getAction(code)
+        if (previousOwner && previousOwner !== action) {
+            bindings[previousOwner] = bindings[action]
+        }
+        bindings[action] = code
+        saveBindings()
+    }
+
+    /**
+     * Binds the next key pressed to an action (Escape cancels)
+     * @param {string} action - Action name
+     * @param {Function} [onDone] - Called with the updated bindings once a key is pressed
+     */
+    function beginRebind(action, onDone = null) {
+        rebindAction = action
+        rebindCallback = onDone
+    }
+
+    /**
+     * Restores the default bindings
+     */
+    function resetBindings() {
+        Object.assign(bindings, defaults)
+        saveBindings()
+    }
+
+    /**
+     * Removes keyboard listeners and releases held keys
+     */
+    function dispose() {
+        onBlur()
+        target.removeEventListener('keydown', onKeyDown)
+        target.removeEventListener('keyup', onKeyUp)
+        target.removeEventListener('blur', onBlur)
+        callbacks.clear()
+    }
+
+    return {
+        registerCallback,
+        getBindings,
+        setBinding,
+        beginRebind,
+        isRebinding: () => rebindAction !== null,
+        resetBindings,
+        dispose
+    }
+}
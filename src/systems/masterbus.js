@@ -0,0 +1,310 @@
+/**
+ * @fileoverview Master bus processing chain: parametric EQ, compressor and brickwall limiter
+ * @module systems/masterbus
+ */
+
+import { MasterBusSettings } from './constants.js'
+
+/** Resolution of the safety clipper's curve */
+const CLIP_CURVE_SIZE = 4097
+
+/** Level the safety clipper holds the bus to (dBFS), just under full scale so only a stray overshoot reaches it */
+const CLIP_CEILING = -0.1
+
+/**
+ * Converts decibels to a linear gain
+ * @private
+ * @param {number} db - Level in dB
+ * @returns {number} Linear gain
+ */
+function dbToGain(db) {
+    return Math.pow(10, db / 20)
+}
+
+/**
+ * Converts a linear gain to decibels
+ * @private
+ * @param {number} gain - Linear gain
+ * @returns {number} Level in dB
+ */
+function gainToDb(gain) {
+    return 20 * Math.log10(gain)
+}
+
+/**
+ * Works out the makeup gain a DynamicsCompressorNode adds on its own
+ * The Web Audio spec has the node boost its output by (1 / curve(0 dBFS))^0.6 whatever the settings,
+ * so a compressor at -18 dB 3:1 is some 7 dB louder than its input below threshold. This follows
+ * the spec's static curve (exponential knee whose slope meets 1/ratio at threshold + knee) to get
+ * that boost, so the bus can take it back off
+ * @private
+ * @param {number} threshold - Threshold (dB)
+ * @param {number} knee - Knee width (dB)
+ * @param {number} ratio - Compression ratio
+ * @returns {number} Automatic makeup gain (linear)
+ */
+function compressorMakeup(threshold, knee, ratio) {
+    const linearThreshold = dbToGain(threshold)
+    const kneeCurve = (x, k) => x < linearThreshold ? x : linearThreshold + (1 - Math.exp(-k * (x - linearThreshold))) / k
+    const slopeAt = (x, k) => {
+        if (x < linearThreshold) return 1
+        const x2 = x * 1.001
+        return (gainToDb(kneeCurve(x2, k)) - gainToDb(kneeCurve(x, k))) / (gainToDb(x2) - gainToDb(x))
+    }
+
+    // Find the knee sharpness whose slope at the top of the knee matches the ratio
+    const kneeTop = dbToGain(threshold + knee)
+    let minK = 0.1
+    let maxK = 10000
+    let k = 5
+    for (let i = 0; i < 15; i++) {
+        if (slopeAt(kneeTop, k) < 1 / ratio) maxK = k
+        else minK = k
+        k = Math.sqrt(minK * maxK)
+    }
+
+    // Curve output for a full scale input
+    const fullRange = kneeTop > 1
+        ? kneeCurve(1, k)
+        : dbToGain(gainToDb(kneeCurve(kneeTop, k)) - gainToDb(kneeTop) / ratio)
+    return Math.pow(1 / fullRange, 0.6)
+}
+
+/**
+ * Builds a hard clipping curve for a WaveShaperNode
+ * Inputs beyond the curve's [-1, 1] range take the end values, so anything over the ceiling is clipped
+ * @private
+ * @param {number} ceiling - Clip level (linear)
+ * @returns {Float32Array} Shaping curve
+ */
+function createClipCurve(ceiling) {
+    const curve = new Float32Array(CLIP_CURVE_SIZE)
+    for (let i = 0; i < CLIP_CURVE_SIZE; i++) {
+        const x = i / (CLIP_CURVE_SIZE - 1) * 2 - 1
+        curve[i] = Math.max(-ceiling, Math.min(ceiling, x))
+    }
+    return curve
+}
+
+/**
+ * Creates the master bus
+ * input -> EQ bands -> compressor -> makeup gain -> output trim -> limiter -> limiter gain -> clipper -> output -> destination
+ * Sections are bypassed by moving their parameters to neutral rather than rewiring, so toggling
+ * never interrupts the signal. Both compressor nodes add a hidden makeup gain of their own (see
+ * compressorMakeup), which the makeup and limiter gain stages take back off, so the Makeup setting
+ * is the only boost and the limiter holds its ceiling. The limiter is a fast, hard-kneed compressor
+ * at the ceiling; a clipper just under full scale is left as a safety net for what its attack lets
+ * through. The output trim drives the limiter rather than following it, so no output setting can
+ * push the bus past the ceiling
+ *
+ * @param {Object} options - Configuration options
+ * @param {BaseAudioContext} options.context - Audio context (an OfflineAudioContext works too)
+ * @param {AudioNode} [options.destination=context.destination] - Where the bus output goes
+ * @param {Object} [options.settings=MasterBusSettings] - Initial processing settings
+ * @returns {Object} Master bus instance with control methods
+ * @returns {GainNode} return.input - Connect sources (e.g. the listener) here
+ * @returns {GainNode} return.output - Final node of the chain, for metering
+ * @returns {Function} return.setEqEnabled - Puts the EQ in or out of circuit
+ * @returns {Function} return.setEqBand - Changes an EQ band's frequency, gain or Q
+ * @returns {Function} return.setCompressor - Changes compressor settings
+ * @returns {Function} return.setLimiter - Changes limiter settings
+ * @returns {Function} return.setOutputGain - Sets the output trim ahead of the limiter
+ * @returns {Function} return.getReduction - Returns the current compressor and limiter gain reduction
+ * @returns {Function} return.getSettings - Returns the current processing in settings form, to build a copy of the bus
+ * @returns {Function} return.dispose - Disconnects the chain
+ *
+ * @example
+ * const masterBus = createMasterBus({ context: listener.context })
+ * listener.getInput().disconnect()
+ * listener.getInput().connect(masterBus.input)
+ * masterBus.setCompressor({ threshold: -24, ratio: 4 })
+ */
+export function createMasterBus({ context, destination = context.destination, settings = MasterBusSettings }) {
+    const state = {
+        eqEnabled: settings.eqEnabled,
+        eq: settings.eq.map(band => ({ ...band })),
+        compressor: { ...settings.compressor },
+        limiter: { ...settings.limiter },
+        outputGain: settings.outputGain
+    }
+    const tc = settings.smoothing
+
+    const input = context.createGain()
+    const bands = state.eq.map(({ type, frequency, q }) => {
+        const filter = context.createBiquadFilter()
+        filter.type = type
+        filter.frequency.value = frequency
+        filter.Q.value = q
+        filter.gain.value = 0
+        return filter
+    })
+    const compressor = context.createDynamicsCompressor()
+    const makeup = context.createGain()
+    const trim = context.createGain()
+    const limiter = context.createDynamicsCompressor()
+    const limiterGain = context.createGain()
+    const clipper = context.createWaveShaper()
+    clipper.oversample = '4x'
+    clipper.curve = createClipCurve(dbToGain(CLIP_CEILING))
+    const output = context.createGain()
+
+    // Wire the chain
+    let previous = input
+    ;[...bands, compressor, makeup, trim, limiter, limiterGain, clipper, output].forEach(node => {
+        previous.connect(node)
+        previous = node
+    })
+    output.connect(destination)
+
+    /**
+     * Glides an AudioParam to a value
+     * @private
+     * @param {AudioParam} param - Parameter to change
+     * @param {number} value - Target value
+     */
+    function glide(param, value) {
+        param.setTargetAtTime(value, context.currentTime, tc)
+    }
+
+    /**
+     * Applies the EQ state to the filters, neutral gains when the EQ is out of circuit
+     * @private
+     */
+    function applyEq() {
+        state.eq.forEach((band, i) => {
+            glide(bands[i].frequency, band.frequency)
+            glide(bands[i].Q, band.q)
+            glide(bands[i].gain, state.eqEnabled ? band.gain : 0)
+        })
+    }
+
+    /**
+     * Applies the compressor state, a 1:1 ratio with no makeup when it is out of circuit
+     * @private
+     */
+    function applyCompressor() {
+        const c = state.compressor
+        const ratio = c.enabled ? c.ratio : 1
+        glide(compressor.threshold, c.threshold)
+        glide(compressor.knee, c.knee)
+        glide(compressor.ratio, ratio)
+        glide(compressor.attack, c.attack)
+        glide(compressor.release, c.release)
+        glide(makeup.gain, (c.enabled ? dbToGain(c.makeup) : 1) / compressorMakeup(c.threshold, c.knee, ratio))
+    }
+
+    /**
+     * Applies the limiter state; out of circuit it does not compress
+     * @private
+     */
+    function applyLimiter() {
+        const l = state.limiter
+        const threshold = l.enabled ? l.ceiling : 0
+        const ratio = l.enabled ? 20 : 1
+        glide(limiter.threshold, threshold)
+        glide(limiter.ratio, ratio)
+        glide(limiter.release, l.release)
+        glide(limiterGain.gain, 1 / compressorMakeup(threshold, 0, ratio))
+    }
+
+    limiter.knee.value = 0
+    limiter.attack.value = 0.001
+    applyEq()
+    applyCompressor()
+    applyLimiter()
+    trim.gain.value = dbToGain(settings.outputGain)
+
+    /**
+     * Puts the EQ in or out of circuit
+     * @param {boolean} enabled - Whether the EQ bands apply their gain
+     */
+    function setEqEnabled(enabled) {
+        state.eqEnabled = !!enabled
+        applyEq()
+    }
+
+    /**
+     * Changes an EQ band
+     * @param {number} index - Band index
+     * @param {Object} changes - Band settings to change
+     * @param {number} [changes.frequency] - Centre or corner frequency (Hz)
+     * @param {number} [changes.gain] - Boost or cut (dB)
+     * @param {number} [changes.q] - Bandwidth
+     */
+    function setEqBand(index, changes) {
+        const band = state.eq[index]
+        if (!band) return
+        Object.assign(band, changes)
+        applyEq()
+    }
+
+    /**
+     * Changes compressor settings
+     * @param {Object} changes - Settings to change ({enabled, threshold, knee, ratio, attack, release, makeup})
+     */
+    function setCompressor(changes) {
+        Object.assign(state.compressor, changes)
+        applyCompressor()
+    }
+
+    /**
+     * Changes limiter settings
+     * @param {Object} changes - Settings to change ({enabled, ceiling, release})
+     */
+    function setLimiter(changes) {
+        Object.assign(state.limiter, changes)
+        applyLimiter()
+    }
+
+    /**
+     * Sets the output trim, which feeds the limiter so the ceiling still holds
+     * @param {number} db - Output gain (dB)
+     */
+    function setOutputGain(db) {
+        state.outputGain = db
+        glide(trim.gain, dbToGain(db))
+    }
+
+    /**
+     * Gets the gain reduction currently applied
+     * @returns {{compressor: number, limiter: number}} Reduction in dB (0 or negative)
+     */
+    function getReduction() {
+        return { compressor: compressor.reduction, limiter: limiter.reduction }
+    }
+
+    /**
+     * Gets the current processing in the same shape as MasterBusSettings
+     * @returns {Object} Settings a copy of this bus can be created with (e.g. on an OfflineAudioContext)
+     */
+    function getSettings() {
+        return {
+            ...settings,
+            eqEnabled: state.eqEnabled,
+            eq: state.eq.map(band => ({ ...band })),
+            compressor: { ...state.compressor },
+            limiter: { ...state.limiter },
+            outputGain: state.outputGain
+        }
+    }
+
+    /**
+     * Disconnects every node in the chain
+     */
+    function dispose() {
+        ;[input, ...bands, compressor, makeup, trim, limiter, limiterGain, clipper, output].forEach(node => node.disconnect())
+    }
+
+    return {
+        input,
+        output,
+        setEqEnabled,
+        setEqBand,
+        setCompressor,
+        setLimiter,
+        setOutputGain,
+        getReduction,
+        getSettings,
+        dispose
+    }
+}
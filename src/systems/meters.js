@@ -3,19 +3,167 @@
  * @module systems/meters
  */
 
-import * as THREE from 'three'
-import { SoloBtnColors } from './constants.js'
+import { SoloBtnColors, EngineSettings, EmitterVolMults, MeterSettings, SpectrumSettings } from './constants.js'
 import { colorToHex } from './helpers.js'
+import { createGaugeCanvas } from './gauges.js'
+
+/** localStorage key mixer channel settings are persisted under */
+const STORAGE_KEY = 'rx7sim.mixer'
+
+/** Oversampling factor for true peak detection */
+const TRUE_PEAK_OVERSAMPLE = 4
+
+/** Lanczos kernel half-width (in input samples) of the true peak interpolator */
+const TRUE_PEAK_TAPS = 6
+
+/**
+ * Interpolation coefficients for the in-between phases of the true peak oversampler
+ * coefficients[p - 1][m] weights input sample n + m - TRUE_PEAK_TAPS + 1 for output n + p / TRUE_PEAK_OVERSAMPLE
+ * @type {Array<Float32Array>}
+ */
+const TRUE_PEAK_COEFFICIENTS = Array.from({ length: TRUE_PEAK_OVERSAMPLE - 1 }, (_, i) => {
+    const phase = (i + 1) / TRUE_PEAK_OVERSAMPLE
+    const sinc = x => x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x)
+    return Float32Array.from({ length: TRUE_PEAK_TAPS * 2 }, (_, m) => {
+        const x = phase - (m - TRUE_PEAK_TAPS + 1)
+        return sinc(x) * sinc(x / TRUE_PEAK_TAPS)
+    })
+})
+
+/**
+ * Measures RMS and true peak of a block of samples
+ * True peak follows the ITU-R BS.1770 approach of oversampling 4x before taking the peak, so
+ * inter-sample overs that a sample peak meter would miss still show
+ * @private
+ * @param {Float32Array} samples - Time-domain samples (-1 to 1 is full scale)
+ * @returns {{rms: number, peak: number}} Linear RMS and true peak
+ */
+function measureLevels(samples) {
+    let sumSquares = 0
+    let peak = 0
+    const last = samples.length - TRUE_PEAK_TAPS
+    for (let n = 0; n < samples.length; n++) {
+        const x = samples[n]
+        sumSquares += x * x
+        const abs = Math.abs(x)
+        if (abs > peak) peak = abs
+
+        if (n < TRUE_PEAK_TAPS - 1 || n >= last) continue
+        const offset = n - TRUE_PEAK_TAPS + 1
+        for (let p = 0; p < TRUE_PEAK_COEFFICIENTS.length; p++) {
+            const coefficients = TRUE_PEAK_COEFFICIENTS[p]
+            let y = 0
+            for (let m = 0; m < coefficients.length; m++) y += coefficients[m] * samples[offset + m]
+            if (Math.abs(y) > peak) peak = Math.abs(y)
+        }
+    }
+    return { rms: Math.sqrt(sumSquares / samples.length), peak }
+}
+
+/**
+ * Creates an analyser tapping a node unless the cache already holds one, and applies its FFT size
+ * and smoothing. The level meters and the spectrum panel tap the same nodes with different FFT
+ * sizes, so each keeps its own cache
+ * @private
+ * @param {Map<string, Object>} analysers - Analyser cache
+ * @param {string} key - Cache key (emitter position or 'master')
+ * @param {AudioNode|null} source - Node to tap
+ * @param {Object} [options] - Analyser options
+ * @param {number} [options.fftSize=2048] - FFT size, also the time-domain window (power of two)
+ * @param {number} [options.smoothing=0.8] - Spectrum smoothing time constant (0-1)
+ * @returns {Object|undefined} Analyser entry: the AnalyserNode, its source, and sample and spectrum buffers
+ */
+function ensureAnalyser(analysers, key, source, { fftSize = 2048, smoothing = 0.8 } = {}) {
+    let entry = analysers.get(key)
+    if (!entry && source) {
+        const analyser = source.context.createAnalyser()
+        source.connect(analyser)
+        entry = { analyser, source, samples: null, spectrum: null }
+        analysers.set(key, entry)
+    }
+    if (!entry) return undefined
+
+    if (entry.analyser.fftSize !== fftSize) entry.analyser.fftSize = fftSize
+    entry.analyser.smoothingTimeConstant = smoothing
+    if (!entry.samples || entry.samples.length !== fftSize) {
+        entry.samples = new Float32Array(fftSize)
+        entry.spectrum = new Float32Array(fftSize / 2)
+    }
+    return entry
+}
+
+/**
+ * Disconnects every analyser in a cache from its source and empties it
+ * @private
+ * @param {Map<string, Object>} analysers - Analyser cache
+ */
+function disconnectAnalysers(analysers) {
+    analysers.forEach(({ analyser, source }) => {
+        try {
+            source.disconnect(analyser)
+        } catch (err) {
+            console.warn('Error disposing analyser:', err)
+        }
+    })
+    analysers.clear()
+}
+
+/**
+ * Converts a linear level to dBFS
+ * @private
+ * @param {number} value - Linear level
+ * @returns {number} Level in dBFS (-Infinity for silence)
+ */
+function toDb(value) {
+    return value > 0 ? 20 * Math.log10(value) : -Infinity
+}
+
+/**
+ * Formats a dBFS value for a meter readout
+ * @private
+ * @param {number} db - Level in dBFS
+ * @returns {string} Readout text
+ */
+function formatDb(db) {
+    return db > -100 ? db.toFixed(1) : '-inf'
+}
+
+/**
+ * Styles a small toggle button (mute/solo) for its state
+ * @private
+ * @param {HTMLButtonElement} btn - Button to style
+ * @param {boolean} on - Whether the toggle is engaged
+ * @param {string} color - Background color when engaged
+ */
+function styleToggle(btn, on, color) {
+    btn.style.background = on ? color : 'rgba(255,255,255,0.12)'
+    btn.style.color = on ? '#272727' : '#fff'
+}
 
 /**
  * Creates an audio mixer panel with volume meters for each emitter
- * Displays real-time volume levels with color-coded bars
+ * Meters read RMS (bar) and true peak (lighter bar, with a peak-hold marker) in dBFS, after the
+ * emitter's fader, plus a clip LED that latches until clicked. An optional master meter reads the
+ * listener bus. Each emitter has a gain fader, mute and solo; channel settings default to
+ * EmitterVolMults and are persisted to localStorage, and `getChannelGain()` folds them into the
+ * multiplier the sound engine applies per emitter
  * 
  * @param {Object} options - Configuration options
  * @param {Object.<string, THREE.PositionalAudio>} [options.emitters={}] - Map of audio emitters to monitor
+ * @param {AudioNode|null} [options.master=null] - Master bus node to meter (e.g. listener.getInput())
+ * @param {Object|null} [options.engine=null] - Engine model whose RPM is shown beneath the emitter meters
  * @param {boolean} [options.initialVisible=false] - Whether the panel should be visible initially
+ * @param {Object.<string, number>} [options.defaults=EmitterVolMults] - Default fader gains keyed by upper-case emitter name
+ * @param {Object} [options.settings=MeterSettings] - Meter scale and ballistics
  * @returns {Object} Mixer instance with control methods
+ * @returns {Function} return.registerChangeCallback - Sets the callback fired when a channel changes
  * @returns {Function} return.update - Updates all volume meters (call once per frame)
+ * @returns {Function} return.getLevels - Returns the current meter readings in dBFS
+ * @returns {Function} return.resetPeaks - Clears clip LEDs and peak holds
+ * @returns {Function} return.getChannelGain - Returns an emitter's effective gain after fader, mute and solo
+ * @returns {Function} return.getChannels - Returns a copy of the channel settings
+ * @returns {Function} return.setChannel - Changes a channel's gain, mute or solo
+ * @returns {Function} return.reset - Restores the default channel settings
  * @returns {Function} return.setVisible - Shows/hides the mixer panel
  * @returns {Function} return.dispose - Removes panel and cleans up resources
  * 
@@ -27,13 +175,64 @@ import { colorToHex } from './helpers.js'
  * 
  * function animate() {
  *     audioMeters.update()
+ *     exhaust.setVolume(audioMeters.getChannelGain('exhaust'))
  *     // ... rendering code
  * }
  */
-export function createMixer({ emitters = {}, initialVisible = false } = {}) {
+export function createMixer({ emitters = {}, master = null, engine = null, initialVisible = false, defaults = EmitterVolMults, settings = MeterSettings } = {}) {
     let visible = initialVisible
     let panel = null
+    let changeCallback = null
     const analysers = new Map() // Store audio analysers for each emitter
+    const meterStates = new Map() // Ballistics state for each meter
+
+    // Disabling mix channel, as now just using separate assets for mix
+    const channelNames = Object.keys(emitters).filter(pos => pos !== 'mix')
+    const meterNames = master ? [...channelNames, 'master'] : channelNames
+    const channels = Object.fromEntries(channelNames.map(pos => [pos, { ...getDefaultChannel(pos), ...loadChannel(pos) }]))
+
+    /**
+     * Gets the default settings for a channel
+     * @private
+     * @param {string} pos - Emitter position name
+     * @returns {{gain: number, mute: boolean, solo: boolean}} Channel settings
+     */
+    function getDefaultChannel(pos) {
+        const gain = defaults[pos.toUpperCase()]
+        return { gain: gain !== undefined ? gain : 1.0, mute: false, solo: false }
+    }
+
+    /**
+     * Reads a persisted channel, ignoring malformed values
+     * @private
+     * @param {string} pos - Emitter position name
+     * @returns {Object} Stored channel settings (may be partial)
+     */
+    function loadChannel(pos) {
+        try {
+            const stored = (JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') || {})[pos] || {}
+            const channel = {}
+            if (typeof stored.gain === 'number' && isFinite(stored.gain)) channel.gain = Math.max(0, Math.min(1, stored.gain))
+            if (typeof stored.mute === 'boolean') channel.mute = stored.mute
+            if (typeof stored.solo === 'boolean') channel.solo = stored.solo
+            return channel
+        } catch (err) {
+            console.warn('Failed to load mixer settings:', err)
+            return {}
+        }
+    }
+
+    /**
+     * Persists the channel settings
+     * @private
+     */
+    function saveChannels() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(channels))
+        } catch (err) {
+            console.warn('Failed to save mixer settings:', err)
+        }
+    }
 
     /**
      * Ensures the mixer panel DOM element exists
@@ -59,6 +258,9 @@ export function createMixer({ emitters = {}, initialVisible = false } = {}) {
             display: visible ? '' : 'none'
         })
         document.body.appendChild(panel)
+
+        meterNames.forEach(pos => panel.appendChild(buildRow(pos)))
+        panel.appendChild(buildFooter())
         return panel
     }
 
@@ -90,7 +292,7 @@ export function createMixer({ emitters = {}, initialVisible = false } = {}) {
         const barContainer = document.createElement('div')
         barContainer.className = 'vol-bar-container'
         Object.assign(barContainer.style, {
-            width: '64px',
+            width: '96px',
             height: '12px',
             background: 'rgba(255,255,255,0.08)',
             borderRadius: '3px',
@@ -129,71 +331,391 @@ export function createMixer({ emitters = {}, initialVisible = false } = {}) {
         row.appendChild(label)
         row.appendChild(barContainer)
         // row.appendChild(value)
+        if (meterNames.includes(pos)) buildMeter(row, pos)
+        if (channels[pos]) buildChannelControls(row, pos)
         return row
     }
 
     /**
-     * Creates an audio analyser for an emitter if one doesn't exist
+     * Turns a row's bar into a dBFS meter with a peak bar, peak-hold marker, readouts and clip LED
+     * @private
+     * @param {HTMLDivElement} row - The meter row element
+     * @param {string} pos - Meter name
+     */
+    function buildMeter(row, pos) {
+        const barContainer = row.querySelector('.vol-bar-container')
+        const barInner = row.querySelector('.vol-bar')
+        barContainer.style.position = 'relative'
+        Object.assign(barInner.style, {
+            position: 'relative',
+            zIndex: 1,
+            transition: 'none'
+        })
+        if (pos === 'master') barInner.style.background = '#dddddd'
+
+        // True peak sits behind the RMS bar, in the same colour but lighter
+        const peakBar = document.createElement('div')
+        peakBar.className = 'vol-peak'
+        Object.assign(peakBar.style, {
+            position: 'absolute',
+            left: '0',
+            top: '0',
+            width: '0%',
+            height: '100%',
+            background: barInner.style.background,
+            opacity: '0.35'
+        })
+        const hold = document.createElement('div')
+        hold.className = 'vol-hold'
+        Object.assign(hold.style, {
+            position: 'absolute',
+            top: '0',
+            width: '2px',
+            height: '100%',
+            background: '#fff',
+            zIndex: 2,
+            display: 'none'
+        })
+        // 0 dBFS mark
+        const zero = document.createElement('div')
+        Object.assign(zero.style, {
+            position: 'absolute',
+            left: `${dbToBar(0) * 100}%`,
+            top: '0',
+            width: '1px',
+            height: '100%',
+            background: 'rgba(255,64,64,0.8)',
+            zIndex: 2
+        })
+        barContainer.appendChild(peakBar)
+        barContainer.appendChild(hold)
+        barContainer.appendChild(zero)
+        barContainer.title = `${settings.minDb} to +${settings.maxDb} dBFS: RMS bar, true peak behind it`
+
+        const makeReadout = (className, title) => {
+            const readout = document.createElement('div')
+            readout.className = className
+            readout.title = title
+            readout.textContent = '-inf'
+            Object.assign(readout.style, {
+                width: '38px',
+                textAlign: 'right'
+            })
+            return readout
+        }
+
+        const clip = document.createElement('div')
+        clip.className = 'vol-clip'
+        clip.title = 'Clip (click to clear)'
+        Object.assign(clip.style, {
+            width: '8px',
+            height: '8px',
+            borderRadius: '50%',
+            margin: '0 8px 0 6px',
+            background: 'rgba(255,255,255,0.15)',
+            cursor: 'pointer'
+        })
+        clip.addEventListener('click', () => resetPeaks(pos))
+
+        row.appendChild(makeReadout('vol-rms-value', 'RMS (dBFS)'))
+        row.appendChild(makeReadout('vol-peak-value', 'Peak hold, true peak (dBFS)'))
+        row.appendChild(clip)
+    }
+
+    /**
+     * Adds the fader, mute and solo controls to an emitter's row
      * @private
+     * @param {HTMLDivElement} row - The meter row element
      * @param {string} pos - Emitter position name
-     * @param {THREE.PositionalAudio} emitter - The audio emitter to analyze
-     * @returns {THREE.AudioAnalyser|undefined} The analyser instance
      */
-    function ensureAnalyser(pos, emitter) {
-        if (!analysers.has(pos) && emitter?.getOutput()) {
-            const analyser = new THREE.AudioAnalyser(emitter, 32)
-            analysers.set(pos, analyser)
+    function buildChannelControls(row, pos) {
+        const fader = document.createElement('input')
+        fader.className = 'vol-fader'
+        fader.type = 'range'
+        fader.min = '0'
+        fader.max = '1'
+        fader.step = '0.01'
+        fader.title = `${pos} gain`
+        Object.assign(fader.style, {
+            width: '72px',
+            margin: '0 6px 0 0',
+            cursor: 'pointer'
+        })
+        fader.addEventListener('input', () => setChannel(pos, { gain: parseFloat(fader.value) }))
+        // Double-click returns the fader to its default
+        fader.addEventListener('dblclick', () => setChannel(pos, { gain: getDefaultChannel(pos).gain }))
+
+        const gainValue = document.createElement('div')
+        gainValue.className = 'vol-gain'
+        Object.assign(gainValue.style, {
+            width: '32px',
+            textAlign: 'right',
+            marginRight: '6px'
+        })
+
+        const makeToggle = (text, title, key) => {
+            const btn = document.createElement('button')
+            btn.className = `vol-${key}`
+            btn.textContent = text
+            btn.title = title
+            Object.assign(btn.style, {
+                width: '20px',
+                height: '18px',
+                padding: '0',
+                marginLeft: '2px',
+                border: 'none',
+                borderRadius: '3px',
+                fontFamily: 'monospace',
+                fontSize: '11px',
+                cursor: 'pointer'
+            })
+            btn.addEventListener('click', () => setChannel(pos, { [key]: !channels[pos][key] }))
+            return btn
         }
-        return analysers.get(pos)
+
+        row.appendChild(fader)
+        row.appendChild(gainValue)
+        row.appendChild(makeToggle('M', `Mute ${pos}`, 'mute'))
+        row.appendChild(makeToggle('S', `Solo ${pos}`, 'solo'))
+        syncRow(pos, row)
+    }
+
+    /**
+     * Builds the footer row holding the reset button
+     * @private
+     * @returns {HTMLDivElement} The footer element
+     */
+    function buildFooter() {
+        const footer = document.createElement('div')
+        footer.dataset.pos = 'footer'
+        Object.assign(footer.style, {
+            display: 'flex',
+            justifyContent: 'flex-end',
+            pointerEvents: 'auto'
+        })
+        const resetBtn = document.createElement('button')
+        resetBtn.textContent = 'Reset Mix'
+        Object.assign(resetBtn.style, {
+            padding: '1px 6px',
+            border: 'none',
+            borderRadius: '3px',
+            background: 'rgba(255,255,255,0.12)',
+            color: '#fff',
+            fontFamily: 'monospace',
+            fontSize: '11px',
+            cursor: 'pointer'
+        })
+        resetBtn.addEventListener('click', reset)
+        footer.appendChild(resetBtn)
+        return footer
     }
 
     /**
-     * Calculates the current volume level for an emitter
+     * Updates an emitter row's controls to match its channel settings
      * @private
      * @param {string} pos - Emitter position name
-     * @param {THREE.PositionalAudio} emitter - The audio emitter
-     * @returns {number} Volume level (0-1)
+     * @param {HTMLDivElement} [row] - The row element, for a row not yet added to the panel
+     */
+    function syncRow(pos, row = panel && panel.querySelector(`[data-pos="${pos}"]`)) {
+        if (!row || !row.querySelector('.vol-fader')) return
+        const { gain, mute, solo } = channels[pos]
+        row.querySelector('.vol-fader').value = `${gain}`
+        row.querySelector('.vol-gain').textContent = gain.toFixed(2)
+        styleToggle(row.querySelector('.vol-mute'), mute, '#ff6060')
+        styleToggle(row.querySelector('.vol-solo'), solo, '#ffd040')
+    }
+
+    /**
+     * Sets the callback fired when a channel's settings change
+     * @param {Function} callback - Called with the channel name and a copy of its settings
+     */
+    function registerChangeCallback(callback) {
+        changeCallback = callback
+    }
+
+    /**
+     * Changes a channel's settings and persists them
+     * @param {string} pos - Emitter position name
+     * @param {Object} changes - Settings to change
+     * @param {number} [changes.gain] - Fader gain (0-1)
+     * @param {boolean} [changes.mute] - Whether the channel is muted
+     * @param {boolean} [changes.solo] - Whether the channel is soloed
+     */
+    function setChannel(pos, { gain, mute, solo }) {
+        const channel = channels[pos]
+        if (!channel) return
+        if (typeof gain === 'number' && isFinite(gain)) channel.gain = Math.max(0, Math.min(1, gain))
+        if (typeof mute === 'boolean') channel.mute = mute
+        if (typeof solo === 'boolean') channel.solo = solo
+        saveChannels()
+        syncRow(pos)
+        if (changeCallback) changeCallback(pos, { ...channel })
+    }
+
+    /**
+     * Restores every channel to its default gain, unmuted and unsoloed
+     */
+    function reset() {
+        channelNames.forEach(pos => setChannel(pos, getDefaultChannel(pos)))
+    }
+
+    /**
+     * Gets the gain the sound engine should apply to an emitter
+     * Muted channels are silent, and while any channel is soloed only soloed channels pass
+     * @param {string} pos - Emitter position name
+     * @returns {number} Gain multiplier (0-1), 1 for emitters without a channel
+     */
+    function getChannelGain(pos) {
+        const channel = channels[pos]
+        if (!channel) return 1.0
+        const anySolo = channelNames.some(name => channels[name].solo)
+        if (channel.mute || (anySolo && !channel.solo)) return 0
+        return channel.gain
+    }
+
+    /**
+     * Gets a copy of every channel's settings
+     * @returns {Object.<string, {gain: number, mute: boolean, solo: boolean}>} Channel settings keyed by emitter
+     */
+    function getChannels() {
+        return Object.fromEntries(channelNames.map(pos => [pos, { ...channels[pos] }]))
+    }
+
+    /**
+     * Gets the node a meter taps: the emitter's gain (after fader, mute and solo) or the master bus
+     * @private
+     * @param {string} pos - Meter name
+     * @returns {AudioNode|null} Node to tap
      */
-    function getEmitterVolume(pos, emitter) {
-        const analyser = ensureAnalyser(pos, emitter)
-        if (!analyser) return 0
+    function getMeterSource(pos) {
+        if (pos === 'master') return master
+        const emitter = emitters[pos]
+        return emitter && emitter.gain ? emitter.gain : null
+    }
 
-        const volume = analyser.getAverageFrequency() / 255 // Normalize to 0-1
-        const soloScaling = emitter && emitter.getVolume ? emitter.getVolume() : 0
-        return volume * soloScaling
+    /**
+     * Measures the latest analyser window and applies peak-hold and decay ballistics
+     * @private
+     * @param {string} pos - Meter name
+     * @param {number} deltaTime - Time since the last update in seconds
+     * @returns {Object} Meter state (dBFS values, and whether the clip LED is lit)
+     */
+    function measure(pos, deltaTime) {
+        let meter = meterStates.get(pos)
+        if (!meter) {
+            meter = { rmsDb: -Infinity, peakDb: -Infinity, holdDb: -Infinity, holdTime: 0, clip: false }
+            meterStates.set(pos, meter)
+        }
+
+        const entry = ensureAnalyser(analysers, pos, getMeterSource(pos), { fftSize: settings.fftSize })
+        let rms = 0
+        let peak = 0
+        if (entry) {
+            entry.analyser.getFloatTimeDomainData(entry.samples)
+            ;({ rms, peak } = measureLevels(entry.samples))
+        }
+        const rmsDb = toDb(rms)
+        const peakDb = toDb(peak)
+
+        // Instant attack, linear decay in dB
+        meter.rmsDb = Math.max(rmsDb, meter.rmsDb - settings.rmsRelease * deltaTime)
+        meter.peakDb = Math.max(peakDb, meter.peakDb - settings.peakRelease * deltaTime)
+
+        // Peak hold, falling at the peak release rate once the hold time runs out
+        if (peakDb >= meter.holdDb) {
+            meter.holdDb = peakDb
+            meter.holdTime = settings.peakHoldTime
+        } else if ((meter.holdTime -= deltaTime) <= 0) {
+            meter.holdDb = Math.max(peakDb, meter.holdDb - settings.peakRelease * deltaTime)
+        }
+
+        // Clip LED latches until clicked
+        if (peakDb >= settings.clipLevel) meter.clip = true
+        return meter
+    }
+
+    /**
+     * Converts a dBFS value to a bar position on the meter scale
+     * @private
+     * @param {number} db - Level in dBFS
+     * @returns {number} Position (0-1)
+     */
+    function dbToBar(db) {
+        return Math.max(0, Math.min(1, (db - settings.minDb) / (settings.maxDb - settings.minDb)))
     }
 
     /**
      * Updates all volume meters with current audio levels
      * Should be called once per frame
+     * @param {number} [deltaTime=1/60] - Time elapsed since last frame in seconds, for meter ballistics
      */
-    function update() {
+    function update(deltaTime = 1 / 60) {
         const p = ensurePanel()
-        Object.entries(emitters).forEach(([pos, emitter]) => {
-            // Disabling mix row, as now just using separate assets for mix
-            if (pos === 'mix') return
-            
+        meterNames.forEach(pos => {
             let row = p.querySelector(`[data-pos="${pos}"]`)
             if (!row) {
                 row = buildRow(pos)
-                p.appendChild(row)
+                p.insertBefore(row, p.querySelector('[data-pos="footer"]'))
             }
 
-            const volume = getEmitterVolume(pos, emitter) * 3
-            const barInner = row.querySelector('.vol-bar')
-            barInner.style.width = `${Math.max(0, Math.min(1, volume)) * 100}%`
-            
-            // const value = row.querySelector('.vol-value')
-            // value.textContent = `${Math.round(volume * 100)}%`
+            // Hidden meters are not measured, the true-peak oversampling is too costly to run unseen
+            if (!visible) return
+            const meter = measure(pos, deltaTime)
+
+            row.querySelector('.vol-bar').style.width = `${dbToBar(meter.rmsDb) * 100}%`
+            row.querySelector('.vol-peak').style.width = `${dbToBar(meter.peakDb) * 100}%`
+            const hold = row.querySelector('.vol-hold')
+            hold.style.left = `calc(${dbToBar(meter.holdDb) * 100}% - 1px)`
+            hold.style.display = meter.holdDb > settings.minDb ? '' : 'none'
+            row.querySelector('.vol-rms-value').textContent = formatDb(meter.rmsDb)
+            row.querySelector('.vol-peak-value').textContent = formatDb(meter.holdDb)
+            row.querySelector('.vol-clip').style.background = meter.clip ? '#ff3030' : 'rgba(255,255,255,0.15)'
         })
+
+        if (engine) {
+            let row = p.querySelector('[data-pos="rpm"]')
+            if (!row) {
+                row = buildRow('rpm')
+                row.querySelector('.vol-label').textContent = 'RPM'
+                p.insertBefore(row, p.querySelector('[data-pos="footer"]'))
+            }
+
+            const rpm = engine.getRpm()
+            const barInner = row.querySelector('.vol-bar')
+            barInner.style.width = `${Math.max(0, Math.min(1, rpm / EngineSettings.limiterRpm)) * 100}%`
+            barInner.style.background = rpm >= EngineSettings.redlineRpm ? '#ff4040' : '#dddddd'
+        }
         panel.style.display = visible ? '' : 'none'
     }
 
+    /**
+     * Gets the current meter readings
+     * @returns {Object.<string, {rmsDb: number, peakDb: number, holdDb: number, clip: boolean}>} Levels in dBFS keyed by meter
+     */
+    function getLevels() {
+        return Object.fromEntries(Array.from(meterStates, ([pos, { rmsDb, peakDb, holdDb, clip }]) => [pos, { rmsDb, peakDb, holdDb, clip }]))
+    }
+
+    /**
+     * Clears the clip LEDs and peak holds
+     * @param {string} [pos] - Meter to clear, all meters when omitted
+     */
+    function resetPeaks(pos) {
+        meterStates.forEach((meter, name) => {
+            if (pos !== undefined && name !== pos) return
+            meter.clip = false
+            meter.holdDb = -Infinity
+            meter.holdTime = 0
+        })
+    }
+
     /**
      * Sets the visibility of the mixer panel
+     * Meters start afresh when it is shown again, so no hold or clip survives from before it was hidden
      * @param {boolean} v - Whether the panel should be visible
      */
     function setVisible(v) {
+        if (v && !visible) meterStates.clear()
         visible = !!v
         if (panel) panel.style.display = visible ? '' : 'none'
     }
@@ -203,16 +725,9 @@ export function createMixer({ emitters = {}, initialVisible = false } = {}) {
      */
     function dispose() {
         // Clean up analysers
-        analysers.forEach(analyser => {
-            if (analyser && analyser.analyser) {
-                try {
-                    analyser.analyser.disconnect()
-                } catch (err) {
-                    console.warn('Error disposing analyser:', err)
-                }
-            }
-        })
-        analysers.clear()
+        disconnectAnalysers(analysers)
+        meterStates.clear()
+        changeCallback = null
 
         // Remove DOM panel
         if (panel && panel.parentElement) {
@@ -221,10 +736,326 @@ export function createMixer({ emitters = {}, initialVisible = false } = {}) {
         }
     }
 
+    return {
+        registerChangeCallback,
+        update,
+        getLevels,
+        resetPeaks,
+        getChannelGain,
+        getChannels,
+        setChannel,
+        reset,
+        setVisible,
+        isVisible: () => visible,
+        dispose
+    }
+}
+
+/** Spectrum panel plot size in CSS pixels */
+const SPECTRUM_WIDTH = 360
+const SPECTRUM_HEIGHT = 130
+const SPECTROGRAM_HEIGHT = 110
+
+/**
+ * Spectrogram colour map from silence to full scale (black, purple, red, yellow, white)
+ * @type {Array<Array<number>>} 256 RGB entries
+ */
+const SPECTROGRAM_COLORS = (() => {
+    const stops = [[0, 0, 0], [80, 18, 120], [200, 40, 60], [250, 170, 20], [255, 255, 220]]
+    return Array.from({ length: 256 }, (_, i) => {
+        const t = i / 255 * (stops.length - 1)
+        const k = Math.min(stops.length - 2, Math.floor(t))
+        const f = t - k
+        return stops[k].map((c, j) => Math.round(c + (stops[k + 1][j] - c) * f))
+    })
+})()
+
+/**
+ * Creates the spectrum analyser panel
+ * Shows a log-frequency FFT of one source above a scrolling spectrogram, with the engine's firing
+ * harmonics marked so their movement with RPM can be followed. Analysers are created through the
+ * same path as the level meters, with their own FFT size and smoothing
+ *
+ * @param {Object} options - Configuration options
+ * @param {Object.<string, AudioNode>} options.sources - Nodes that can be analysed, keyed by name (e.g. emitters and 'master')
+ * @param {Object|null} [options.engine=null] - Engine model whose firing harmonics are marked
+ * @param {boolean} [options.initialVisible=false] - Whether the panel should be visible initially
+ * @param {Object} [options.settings=SpectrumSettings] - Analyser and display settings
+ * @returns {Object} Spectrum instance with control methods
+ * @returns {Function} return.update - Redraws the spectrum and scrolls the spectrogram (call once per frame)
+ * @returns {Function} return.setSource - Selects the source to analyse
+ * @returns {Function} return.setFftSize - Sets the FFT size
+ * @returns {Function} return.setSmoothing - Sets the analyser smoothing
+ * @returns {Function} return.setVisible - Shows/hides the panel
+ * @returns {Function} return.dispose - Removes the panel and disconnects analysers
+ *
+ * @example
+ * const spectrum = createSpectrum({ sources: { exhaust: exhaust.gain, master: listener.getInput() }, engine })
+ * spectrum.setSource('exhaust')
+ * spectrum.setVisible(true)
+ *
+ * function animate() {
+ *     spectrum.update()
+ * }
+ */
+export function createSpectrum({ sources, engine = null, initialVisible = false, settings = SpectrumSettings }) {
+    const analysers = new Map()
+    const logRange = Math.log(settings.maxFreq / settings.minFreq)
+
+    let visible = initialVisible
+    let source = Object.keys(sources)[0]
+    let fftSize = settings.fftSize
+    let smoothing = settings.smoothing
+    let panel = null
+    let title = null
+    let plot = null
+    let spectrogram = null
+    let spectrogramCtx = null
+    let column = null
+
+    /**
+     * Ensures the panel DOM element exists
+     * @private
+     * @returns {HTMLDivElement} The panel element
+     */
+    function ensurePanel() {
+        if (panel) return panel
+        panel = document.createElement('div')
+        panel.id = 'spectrum-panel'
+        Object.assign(panel.style, {
+            position: 'fixed',
+            top: '50%', // Middle of the left edge, clear of the controls panel and stats
+            left: '10px',
+            transform: 'translateY(-50%)',
+            padding: '8px',
+            background: 'rgba(0,0,0,0.6)',
+            color: '#fff',
+            borderRadius: '6px',
+            zIndex: 9999,
+            fontFamily: 'monospace',
+            fontSize: '11px',
+            pointerEvents: 'none',
+            display: visible ? '' : 'none'
+        })
+
+        title = document.createElement('div')
+        title.style.marginBottom = '4px'
+        panel.appendChild(title)
+
+        plot = createGaugeCanvas(SPECTRUM_WIDTH, SPECTRUM_HEIGHT)
+        panel.appendChild(plot.canvas)
+
+        // The spectrogram is drawn a pixel column at a time, so it stays at CSS resolution
+        spectrogram = document.createElement('canvas')
+        spectrogram.width = SPECTRUM_WIDTH
+        spectrogram.height = SPECTROGRAM_HEIGHT
+        Object.assign(spectrogram.style, {
+            display: 'block',
+            width: `${SPECTRUM_WIDTH}px`,
+            height: `${SPECTROGRAM_HEIGHT}px`,
+            marginTop: '4px'
+        })
+        spectrogramCtx = spectrogram.getContext('2d')
+        spectrogramCtx.fillStyle = '#000'
+        spectrogramCtx.fillRect(0, 0, SPECTRUM_WIDTH, SPECTROGRAM_HEIGHT)
+        column = spectrogramCtx.createImageData(1, SPECTROGRAM_HEIGHT)
+        panel.appendChild(spectrogram)
+
+        document.body.appendChild(panel)
+        return panel
+    }
+
+    /**
+     * Maps a frequency to its position along the log frequency axis
+     * @private
+     * @param {number} freq - Frequency (Hz)
+     * @returns {number} Position (0-1)
+     */
+    function freqToAxis(freq) {
+        return Math.log(freq / settings.minFreq) / logRange
+    }
+
+    /**
+     * Maps a level to its position on the level scale
+     * @private
+     * @param {number} db - Level in dBFS
+     * @returns {number} Position (0-1)
+     */
+    function dbToAxis(db) {
+        if (!(db > settings.minDb)) return 0 // Silent bins can read -Infinity
+        return Math.min(1, (db - settings.minDb) / (settings.maxDb - settings.minDb))
+    }
+
+    /**
+     * Resamples the FFT bins onto a log frequency axis
+     * Where a pixel spans several bins the loudest wins, so narrow harmonics are not averaged away
+     * @private
+     * @param {Float32Array} spectrum - FFT magnitudes in dB
+     * @param {number} sampleRate - Context sample rate
+     * @param {number} count - Number of points along the axis
+     * @returns {Float32Array} Level per point (dB)
+     */
+    function resample(spectrum, sampleRate, count) {
+        const binWidth = sampleRate / fftSize
+        const levels = new Float32Array(count)
+        for (let i = 0; i < count; i++) {
+            const f0 = settings.minFreq * Math.exp(logRange * i / count)
+            const f1 = settings.minFreq * Math.exp(logRange * (i + 1) / count)
+            const b0 = f0 / binWidth
+            const b1 = Math.min(spectrum.length - 1, f1 / binWidth)
+            let level
+            if (b1 - b0 < 1) {
+                const b = Math.min(spectrum.length - 2, Math.floor(b0))
+                level = spectrum[b] + (spectrum[b + 1] - spectrum[b]) * (b0 - b)
+            } else {
+                level = -Infinity
+                for (let b = Math.floor(b0); b <= b1; b++) level = Math.max(level, spectrum[b])
+            }
+            levels[i] = level
+        }
+        return levels
+    }
+
+    /**
+     * Draws the frequency grid and firing harmonic markers behind the spectrum
+     * @private
+     * @param {CanvasRenderingContext2D} ctx - Plot context
+     */
+    function drawGrid(ctx) {
+        ctx.strokeStyle = 'rgba(255,255,255,0.15)'
+        ctx.fillStyle = 'rgba(255,255,255,0.6)'
+        ctx.lineWidth = 1
+        ctx.font = '9px monospace'
+        ctx.textAlign = 'left'
+        ctx.textBaseline = 'top'
+        ;[50, 100, 200, 500, 1000, 2000, 5000, 10000].forEach(freq => {
+            const x = Math.round(freqToAxis(freq) * SPECTRUM_WIDTH) + 0.5
+            ctx.beginPath()
+            ctx.moveTo(x, 0)
+            ctx.lineTo(x, SPECTRUM_HEIGHT)
+            ctx.stroke()
+            ctx.fillText(freq >= 1000 ? `${freq / 1000}k` : `${freq}`, x + 2, SPECTRUM_HEIGHT - 10)
+        })
+
+        if (!engine || !engine.isRunning()) return
+        // Firing frequency: pulses per eccentric shaft revolution at the current RPM
+        const firing = engine.getRpm() / 60 * settings.pulsesPerRev
+        ctx.setLineDash([3, 3])
+        ctx.strokeStyle = 'rgba(120,220,255,0.7)'
+        ctx.fillStyle = 'rgba(120,220,255,0.9)'
+        for (let k = 1; k <= settings.harmonics; k++) {
+            const freq = firing * k
+            if (freq < settings.minFreq || freq > settings.maxFreq) continue
+            const x = Math.round(freqToAxis(freq) * SPECTRUM_WIDTH) + 0.5
+            ctx.beginPath()
+            ctx.moveTo(x, 10)
+            ctx.lineTo(x, SPECTRUM_HEIGHT - 12)
+            ctx.stroke()
+            ctx.fillText(`${k}x`, x + 2, 1)
+        }
+        ctx.setLineDash([])
+    }
+
+    /**
+     * Redraws the spectrum and adds a column to the spectrogram
+     */
+    function update() {
+        ensurePanel()
+        if (!visible) return
+
+        const entry = ensureAnalyser(analysers, source, sources[source], { fftSize, smoothing })
+        if (!entry) return
+        entry.analyser.getFloatFrequencyData(entry.spectrum)
+        const sampleRate = entry.analyser.context.sampleRate
+
+        const firing = engine && engine.isRunning() ? ` | firing ${Math.round(engine.getRpm() / 60 * settings.pulsesPerRev)} Hz` : ''
+        title.textContent = `Spectrum: ${source} | FFT ${fftSize}${firing}`
+
+        // Spectrum
+        const ctx = plot.ctx
+        ctx.clearRect(0, 0, SPECTRUM_WIDTH, SPECTRUM_HEIGHT)
+        drawGrid(ctx)
+        const levels = resample(entry.spectrum, sampleRate, SPECTRUM_WIDTH)
+        ctx.beginPath()
+        for (let x = 0; x < SPECTRUM_WIDTH; x++) {
+            const y = SPECTRUM_HEIGHT * (1 - dbToAxis(levels[x]))
+            if (x === 0) ctx.moveTo(x, y)
+            else ctx.lineTo(x, y)
+        }
+        ctx.lineWidth = 1.5
+        ctx.strokeStyle = '#ffd040'
+        ctx.stroke()
+
+        // Spectrogram: scroll left and paint the newest column on the right, low frequencies at the bottom
+        spectrogramCtx.drawImage(spectrogram, -1, 0)
+        const rows = resample(entry.spectrum, sampleRate, SPECTROGRAM_HEIGHT)
+        for (let y = 0; y < SPECTROGRAM_HEIGHT; y++) {
+            const [r, g, b] = SPECTROGRAM_COLORS[Math.round(dbToAxis(rows[SPECTROGRAM_HEIGHT - 1 - y]) * 255)]
+            const i = y * 4
+            column.data[i] = r
+            column.data[i + 1] = g
+            column.data[i + 2] = b
+            column.data[i + 3] = 255
+        }
+        spectrogramCtx.putImageData(column, SPECTRUM_WIDTH - 1, 0)
+    }
+
+    /**
+     * Selects the source to analyse
+     * @param {string} name - Source name (a key of `sources`)
+     */
+    function setSource(name) {
+        if (!(name in sources)) {
+            console.warn(`Unknown spectrum source: ${name}`)
+            return
+        }
+        source = name
+    }
+
+    /**
+     * Sets the FFT size, trading time resolution for frequency resolution
+     * @param {number} size - FFT size (power of two, 32-32768)
+     */
+    function setFftSize(size) {
+        fftSize = size
+    }
+
+    /**
+     * Sets the analyser smoothing between frames
+     * @param {number} value - Smoothing time constant (0-1)
+     */
+    function setSmoothing(value) {
+        smoothing = Math.max(0, Math.min(1, value))
+    }
+
+    /**
+     * Sets the visibility of the panel
+     * @param {boolean} v - Whether the panel should be visible
+     */
+    function setVisible(v) {
+        visible = !!v
+        if (panel) panel.style.display = visible ? '' : 'none'
+    }
+
+    /**
+     * Disconnects analysers and removes the panel from the DOM
+     */
+    function dispose() {
+        disconnectAnalysers(analysers)
+        if (panel && panel.parentElement) {
+            panel.parentElement.removeChild(panel)
+        }
+        panel = null
+    }
+
     return {
         update,
+        setSource,
+        setFftSize,
+        setSmoothing,
         setVisible,
         isVisible: () => visible,
+        getSource: () => source,
         dispose
     }
 }
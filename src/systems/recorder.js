@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Live recording of an audio node to a compressed file with MediaRecorder
+ * @module systems/recorder
+ */
+
+import { RecorderSettings } from './constants.js'
+import { pickRecordingMimeType, recordingExtension } from './helpers.js'
+
+/**
+ * Creates the audio recorder
+ * The source is tapped into a MediaStreamAudioDestinationNode, so recording runs alongside normal
+ * playback without changing what is heard. The tap is only connected while something uses the stream
+ *
+ * @param {Object} options - Configuration options
+ * @param {AudioContext} options.context - Realtime audio context
+ * @param {AudioNode} options.source - Node to record (e.g. the master bus output)
+ * @param {Object} [options.settings=RecorderSettings] - Format and bitrate
+ * @returns {Object} Recorder instance with control methods
+ * @returns {Function} return.registerStopCallback - Sets the callback fired with the finished recording
+ * @returns {Function} return.registerErrorCallback - Sets the callback fired when a running recording fails
+ * @returns {Function} return.start - Starts recording
+ * @returns {Function} return.stop - Stops recording, the stop callback receives the file
+ * @returns {Function} return.isRecording - Returns whether a recording is running
+ * @returns {Function} return.getElapsed - Returns the length of the running recording (seconds)
+ * @returns {Function} return.getStream - Returns the tapped MediaStream, for other recorders (e.g. video)
+ * @returns {Function} return.releaseStream - Lets go of a stream taken with getStream
+ * @returns {Function} return.dispose - Stops recording and disconnects the tap
+ *
+ * @example
+ * const recorder = createAudioRecorder({ context: audioContext, source: masterBus.output })
+ * recorder.registerStopCallback((blob, extension) => downloadBlob(blob, `session.${extension}`))
+ * recorder.start()
+ */
+export function createAudioRecorder({ context, source, settings = RecorderSettings }) {
+    let destination = null
+    let streamUsers = 0
+    let recorder = null
+    let startTime = 0
+    let stopCallback = null
+    let errorCallback = null
+
+    /**
+     * Whether this browser can record audio
+     * @private
+     * @returns {boolean} True when MediaRecorder and MediaStreamAudioDestinationNode exist
+     */
+    function isSupported() {
+        return typeof MediaRecorder !== 'undefined' && typeof context.createMediaStreamDestination === 'function'
+    }
+
+    /**
+     * Takes the tapped stream, connecting the tap for the first user
+     * @returns {MediaStream} Stream carrying the source audio
+     * @throws {Error} If the browser cannot record
+     */
+    function getStream() {
+        if (!isSupported()) throw new Error('Recording is not supported in this browser')
+        if (!destination) destination = context.createMediaStreamDestination()
+        if (streamUsers++ === 0) source.connect(destination)
+        return destination.stream
+    }
+
+    /**
+     * Lets go of a stream taken with getStream, disconnecting the tap after the last user
+     */
+    function releaseStream() {
+        if (streamUsers === 0) return
+        if (--streamUsers === 0) source.disconnect(destination)
+    }
+
+    /**
+     * Sets the callback fired with the finished recording
+     * @param {Function} callback - Called with the Blob and a file extension for it
+     */
+    function registerStopCallback(callback) {
+        stopCallback = callback
+    }
+
+    /**
+     * Sets the callback fired when the encoder fails part way through; the recording is dropped
+     * @param {Function} callback - Called with the error
+     */
+    function registerErrorCallback(callback) {
+        errorCallback = callback
+    }
+
+    /**
+     * Starts recording
+     * @throws {Error} If the browser cannot record
+     */
+    function start() {
+        if (recorder) return
+        const stream = getStream()
+        const mimeType = pickRecordingMimeType(settings.mimeTypes)
+        let active
+        try {
+            active = new MediaRecorder(stream, { mimeType, audioBitsPerSecond: settings.audioBitsPerSecond })
+        } catch (err) {
+            releaseStream()
+            throw err
+        }
+        // Chunks belong to this recording, a new one can start before its encoder finishes
+        const chunks = []
+        let failed = false
+        active.addEventListener('dataavailable', e => {
+            if (e.data && e.data.size > 0) chunks.push(e.data)
+        })
+        // The recorder stops itself after an error, browsers differ on whether 'stop' follows
+        active.addEventListener('error', e => {
+            if (failed) return
+            failed = true
+            if (recorder === active) recorder = null
+            releaseStream()
+            const err = e.error || new Error('The recorder stopped unexpectedly')
+            console.error('Audio recording failed:', err)
+            if (errorCallback) errorCallback(err)
+        })
+        active.addEventListener('stop', () => {
+            if (failed) return
+            const type = active.mimeType || mimeType || 'audio/webm'
+            const blob = new Blob(chunks, { type })
+            releaseStream()
+            if (stopCallback) stopCallback(blob, recordingExtension(type, 'webm'))
+        })
+        active.start(settings.timeslice)
+        recorder = active
+        startTime = performance.now()
+    }
+
+    /**
+     * Stops recording; the stop callback receives the file once the encoder has finished
+     */
+    function stop() {
+        if (!recorder) return
+        const active = recorder
+        recorder = null
+        if (active.state !== 'inactive') active.stop()
+    }
+
+    /**
+     * Gets the length of the running recording
+     * @returns {number} Seconds, 0 when not recording
+     */
+    function getElapsed() {
+        return recorder ? (performance.now() - startTime) / 1000 : 0
+    }
+
+    /**
+     * Stops any recording, drops the callback and disconnects the tap
+     */
+    function dispose() {
+        stopCallback = null
+        errorCallback = null
+        stop()
+        if (destination && streamUsers > 0) source.disconnect(destination)
+        streamUsers = 0
+        destination = null
+    }
+
+    return {
+        registerStopCallback,
+        registerErrorCallback,
+        start,
+        stop,
+        isRecording: () => recorder !== null,
+        getElapsed,
+        getStream,
+        releaseStream,
+        dispose
+    }
+}
@@ -0,0 +1,343 @@
+/**
+ * @fileoverview Offline rendering of a scripted session to WAV through a copy of the live audio graph
+ * @module systems/render
+ */
+
+import { RenderSettings, SoloState, EmitterVolMults, GearboxSettings, CameraPresets } from './constants.js'
+import { createEngine } from './engine.js'
+import { createGearbox } from './gearbox.js'
+import { createBoost } from './boost.js'
+import { createEngineSound } from './enginesound.js'
+import { createReverbBus } from './reverb.js'
+import { createMasterBus } from './masterbus.js'
+import { createRandom } from './helpers.js'
+
+/** Microphone perspectives rendered, each also gets a stem of its own */
+const PERSPECTIVES = [SoloState.INTAKE, SoloState.EXHAUST, SoloState.INTERIOR]
+
+/** Outputs of a render: the mix following the timeline's solo changes, then one stem per perspective */
+const OUTPUTS = [SoloState.MIX, ...PERSPECTIVES]
+
+/**
+ * Sets a 3D AudioParam triple, falling back to the setter for browsers without the params
+ * @private
+ * @param {Object} node - PannerNode or AudioListener
+ * @param {string} prefix - Param name prefix ('position', 'orientation', 'forward' or 'up')
+ * @param {Array<number>} value - [x, y, z]
+ * @param {Function} [fallback] - Called with x, y, z when the params are missing
+ */
+function setVector(node, prefix, [x, y, z], fallback) {
+    if (node[`${prefix}X`]) {
+        node[`${prefix}X`].value = x
+        node[`${prefix}Y`].value = y
+        node[`${prefix}Z`].value = z
+    } else {
+        fallback(x, y, z)
+    }
+}
+
+/**
+ * Turns a recorded session into a render timeline
+ * Keeps the actions that change the sound: ignition, throttle, gear (absolute, or shifts counted
+ * from the starting gear), solo and whether the listener sits in the cabin
+ * @param {Object} session - Session from the session recorder ({initial, events, duration})
+ * @param {Object} [gearbox=GearboxSettings] - Gearbox settings, for the top gear
+ * @returns {Array<Object>} Timeline events (see RenderTimeline), in time order
+ */
+export function sessionToTimeline(session, gearbox = GearboxSettings) {
+    const timeline = []
+    let gear = 0
+
+    /**
+     * Adds the timeline event for a session action
+     * @private
+     * @param {number} time - Session time
+     * @param {string} action - Session action
+     * @param {*} value - Recorded value
+     */
+    function add(time, action, value) {
+        switch (action) {
+            case 'ignition':
+                timeline.push({ time, action: value ? 'ignitionOn' : 'ignitionOff' })
+                break
+            case 'throttle':
+                timeline.push({ time, action: 'throttle', value })
+                break
+            case 'gear':
+                gear = value
+                timeline.push({ time, action: 'shift', value })
+                break
+            case 'shift':
+                gear = Math.max(0, Math.min(gearbox.gearRatios.length, gear + value))
+                timeline.push({ time, action: 'shift', value: gear })
+                break
+            case 'solo':
+                timeline.push({ time, action: 'solo', value })
+                break
+            case 'cockpit':
+                timeline.push({ time, action: 'cabin', value: !!value })
+                break
+            case 'preset':
+                if (CameraPresets[value]) timeline.push({ time, action: 'cabin', value: !!CameraPresets[value].cockpit })
+                break
+        }
+    }
+
+    const { initial = {} } = session
+    // Gear first, so ignition and throttle act on the starting gear
+    ;['gear', 'solo', 'cockpit', 'ignition', 'throttle'].forEach(action => {
+        if (action in initial) add(0, action, initial[action])
+    })
+    session.events.forEach(({ time, action, value }) => add(time, action, value))
+    timeline.sort((a, b) => a.time - b.time)
+    if (session.duration > 0) timeline.push({ time: session.duration, action: 'end' })
+    return timeline
+}
+
+/**
+ * Renders a scripted session offline
+ * A fresh engine, gearbox and boost model are stepped through the timeline at a fixed rate while
+ * the engine sound chain (synths, turbo layer, shift dips, downshift pops and body filters, the same
+ * chain live playback uses) and the ignition recordings are scheduled on an OfflineAudioContext.
+ * Grain and noise randomness is seeded, so a timeline renders the same every time. Every output
+ * has its own panners, body filters, reverb bus and master bus built from the live settings, all
+ * fed by the same sources, so the perspective stems line up sample for sample with the mix
+ *
+ * @param {Object} options - Render options
+ * @param {Array<Object>} options.timeline - Timeline events (see RenderTimeline, or sessionToTimeline for a recorded session)
+ * @param {Object.<string, Object.<string, AudioBuffer>>} options.buffers - Recordings by perspective and key (soundEngine.buffers)
+ * @param {Object} options.scene - Snapshot of the live graph
+ * @param {Object} options.scene.listener - Listener {position, forward, up}, each [x, y, z]
+ * @param {Object.<string, Object>} options.scene.emitters - Per perspective {position, orientation, panner}, panner holding the PannerNode settings
+ * @param {Object.<string, number>} options.scene.channelGains - Mixer channel gain per perspective, used by the mix
+ * @param {Object} options.scene.reverb - Reverb bus {settings, impulse}
+ * @param {Object} options.scene.master - Master bus settings
+ * @param {boolean} options.scene.turbo - Whether the turbo layer is audible
+ * @param {boolean} options.scene.downshiftPops - Whether aggressive downshifts pop
+ * @param {boolean} options.scene.cabin - Whether the listener starts in the cabin
+ * @param {Object} [options.settings=RenderSettings] - Render settings
+ * @returns {Promise<Object.<string, AudioBuffer>>} Stereo render per output ('mix', 'intake', 'exhaust', 'interior')
+ *
+ * @example
+ * const renders = await renderSession({ timeline: RenderTimeline, buffers: soundEngine.buffers, scene })
+ * downloadBlob(encodeWav(renders.mix), 'mix.wav')
+ */
+export async function renderSession({ timeline, buffers, scene, settings = RenderSettings }) {
+    const events = [...timeline].sort((a, b) => a.time - b.time)
+    const duration = (events.length > 0 ? events[events.length - 1].time : 0) + settings.tail
+    const context = new OfflineAudioContext(OUTPUTS.length * 2, Math.ceil(duration * settings.sampleRate), settings.sampleRate)
+
+    const { listener } = context
+    const { position, forward, up } = scene.listener
+    setVector(listener, 'position', position, (x, y, z) => listener.setPosition(x, y, z))
+    if (listener.forwardX) {
+        setVector(listener, 'forward', forward)
+        setVector(listener, 'up', up)
+    } else {
+        listener.setOrientation(...forward, ...up)
+    }
+
+    // Sources, shared by every output
+    const chain = createEngineSound({ context, buffers, random: createRandom(settings.seed) })
+    const { turbo } = chain
+    const sources = {}
+    PERSPECTIVES.forEach(pos => {
+        sources[pos] = { input: chain.outputs[pos], synth: chain.synths[pos], oneShot: null, synthStart: null }
+    })
+    turbo.setEnabled(scene.turbo, 0)
+    // Body filters start in the scene's cabin state
+    chain.setCabinListening(scene.cabin, 0)
+
+    // One copy of the emitter, reverb and master graph per output, each into its own channel pair
+    const merger = context.createChannelMerger(OUTPUTS.length * 2)
+    merger.connect(context.destination)
+    const levels = {}
+    OUTPUTS.forEach((output, index) => {
+        const tap = context.createGain()
+        tap.channelCount = 2
+        tap.channelCountMode = 'explicit'
+        const splitter = context.createChannelSplitter(2)
+        tap.connect(splitter)
+        splitter.connect(merger, 0, index * 2)
+        splitter.connect(merger, 1, index * 2 + 1)
+
+        const masterBus = createMasterBus({ context, destination: tap, settings: scene.master })
+        // No crossfade: the impulse response is in place from the first sample
+        const reverbBus = createReverbBus({ context, destination: masterBus.input, settings: { ...scene.reverb.settings, crossfadeTime: 0 } })
+        if (scene.reverb.impulse) reverbBus.setImpulse(scene.reverb.impulse)
+
+        levels[output] = {}
+        PERSPECTIVES.forEach(pos => {
+            const emitter = scene.emitters[pos]
+            const panner = context.createPanner()
+            Object.assign(panner, emitter.panner)
+            setVector(panner, 'position', emitter.position, (x, y, z) => panner.setPosition(x, y, z))
+            setVector(panner, 'orientation', emitter.orientation, (x, y, z) => panner.setOrientation(x, y, z))
+
+            const level = context.createGain()
+            level.gain.value = output === pos ? 1 : 0
+            sources[pos].input.connect(panner)
+            panner.connect(level)
+            chain.addBodyFilter(pos, level, reverbBus.dry)
+            reverbBus.addSend(pos, level)
+            levels[output][pos] = level
+        })
+    })
+
+    /**
+     * Fades the mix to a solo state, the way the live emitter volumes follow it
+     * @private
+     * @param {string} soloState - Solo state
+     * @param {number} time - Context time
+     */
+    function setSolo(soloState, time) {
+        PERSPECTIVES.forEach(pos => {
+            const base = soloState === SoloState.MIX ? EmitterVolMults.MIX : pos === soloState ? 1 : 0
+            const target = Math.max(0, Math.min(1, base * (scene.channelGains[pos] ?? 1)))
+            levels[SoloState.MIX][pos].gain.setTargetAtTime(target, time, settings.soloFadeTime / 3)
+        })
+    }
+
+    /**
+     * Plays a recording on a perspective, cutting off the one before it like the live emitter does
+     * @private
+     * @param {string} pos - Perspective
+     * @param {string} key - Buffer key (e.g. 'ignitionOn')
+     * @param {number} time - Context time
+     * @returns {number} Length of the recording (seconds), 0 if it is missing
+     */
+    function playOneShot(pos, key, time) {
+        const source = sources[pos]
+        if (source.oneShot) source.oneShot.stop(time)
+        source.oneShot = null
+        const buffer = buffers[pos][key]
+        if (!buffer) return 0
+        const node = context.createBufferSource()
+        node.buffer = buffer
+        node.connect(source.input)
+        node.start(time)
+        source.oneShot = node
+        return buffer.duration
+    }
+
+    const engine = createEngine()
+    const gearbox = createGearbox({ engine })
+    const boost = createBoost()
+    let now = 0
+    boost.registerBlowOffCallback(amount => turbo.blowOff(amount, now))
+    gearbox.registerShiftCallback((gear, previousGear, info) => {
+        chain.shift(gear, previousGear, info, { running: engine.isRunning(), pops: scene.downshiftPops, time: now })
+    })
+
+    /**
+     * Applies one timeline event at its time
+     * @private
+     * @param {Object} event - Timeline event
+     */
+    function applyEvent({ time, action, value }) {
+        switch (action) {
+            case 'ignitionOn':
+                if (engine.isRunning()) return
+                engine.start()
+                turbo.start(time)
+                // Each synth takes over when its ignition recording ends
+                PERSPECTIVES.forEach(pos => {
+                    sources[pos].synthStart = time + playOneShot(pos, 'ignitionOn', time)
+                })
+                break
+            case 'ignitionOff':
+                PERSPECTIVES.forEach(pos => {
+                    sources[pos].synthStart = null
+                    sources[pos].synth.stop(time)
+                    playOneShot(pos, 'ignitionOff', time)
+                })
+                engine.stop()
+                break
+            case 'throttle':
+                engine.setThrottle(value)
+                break
+            case 'shift':
+                gearbox.setGear(value)
+                break
+            case 'solo':
+                setSolo(value, time)
+                break
+            case 'cabin':
+                chain.setCabinListening(value, time)
+                break
+            case 'end':
+                break
+            default:
+                console.warn('Unknown timeline action:', action)
+        }
+    }
+
+    setSolo(SoloState.MIX, 0)
+    let nextEvent = 0
+    const steps = Math.ceil(duration / settings.step)
+    for (let i = 0; i <= steps; i++) {
+        now = i * settings.step
+        while (nextEvent < events.length && events[nextEvent].time <= now) applyEvent(events[nextEvent++])
+
+        PERSPECTIVES.forEach(pos => {
+            const source = sources[pos]
+            if (source.synthStart !== null && now >= source.synthStart) {
+                source.synthStart = null
+                if (engine.isRunning()) source.synth.start(now)
+            }
+        })
+
+        engine.update(settings.step)
+        gearbox.update(settings.step)
+        const engineState = engine.getState()
+        boost.update(settings.step, engineState)
+        chain.update(engineState, boost.getState(), { time: now })
+    }
+
+    const rendered = await context.startRendering()
+    return Object.fromEntries(OUTPUTS.map((output, index) => {
+        const buffer = new AudioBuffer({ numberOfChannels: 2, length: rendered.length, sampleRate: rendered.sampleRate })
+        buffer.copyToChannel(rendered.getChannelData(index * 2), 0)
+        buffer.copyToChannel(rendered.getChannelData(index * 2 + 1), 1)
+        return [output, buffer]
+    }))
+}
+
+/**
+ * Encodes an AudioBuffer as a 16-bit PCM WAV file
+ * @param {AudioBuffer} buffer - Audio to encode
+ * @returns {Blob} WAV file
+ */
+export function encodeWav(buffer) {
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c))
+    const blockAlign = channels.length * 2
+    const dataSize = buffer.length * blockAlign
+    const view = new DataView(new ArrayBuffer(44 + dataSize))
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i))
+    }
+
+    writeString(0, 'RIFF')
+    view.setUint32(4, 36 + dataSize, true)
+    writeString(8, 'WAVE')
+    writeString(12, 'fmt ')
+    view.setUint32(16, 16, true) // fmt chunk size
+    view.setUint16(20, 1, true) // PCM
+    view.setUint16(22, channels.length, true)
+    view.setUint32(24, buffer.sampleRate, true)
+    view.setUint32(28, buffer.sampleRate * blockAlign, true)
+    view.setUint16(32, blockAlign, true)
+    view.setUint16(34, 16, true)
+    writeString(36, 'data')
+    view.setUint32(40, dataSize, true)
+
+    let offset = 44
+    for (let i = 0; i < buffer.length; i++) {
+        channels.forEach(data => {
+            const sample = Math.max(-1, Math.min(1, data[i]))
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true)
+            offset += 2
+        })
+    }
+    return new Blob([view], { type: 'audio/wav' })
+}
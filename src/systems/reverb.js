@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Shared convolution reverb bus with per-emitter sends
+ * @module systems/reverb
+ */
+
+import { ReverbSettings } from './constants.js'
+
+/**
+ * Creates the reverb send/return bus
+ * Emitters feed the bus through their own send gains; the bus runs one pre-delay and damping
+ * filter into two convolvers that take turns, so a new impulse response loads into the idle one
+ * and the returns crossfade without rebuilding the graph. Direct sound passes through `dry`, so
+ * the wet/dry balance lives in one place
+ *
+ *     sends --> input -> pre-delay -> damping -+-> convolver A -> fade A -+-> wet --> destination
+ *                                               +-> convolver B -> fade B -+
+ *     direct sound --> dry ----------------------------------------------------> destination
+ *
+ * @param {Object} options - Configuration options
+ * @param {BaseAudioContext} options.context - Audio context
+ * @param {AudioNode} options.destination - Where the dry and wet signals go (e.g. listener.getInput())
+ * @param {Object} [options.settings=ReverbSettings] - Initial bus settings
+ * @returns {Object} Reverb bus instance with control methods
+ * @returns {GainNode} return.dry - Connect direct (unreverberated) emitter outputs here
+ * @returns {Function} return.addSend - Feeds a node into the reverb through a send gain
+ * @returns {Function} return.removeSend - Disconnects a send
+ * @returns {Function} return.setSend - Sets a send level
+ * @returns {Function} return.setImpulse - Crossfades to a new impulse response, or out to no reverb
+ * @returns {Function} return.setMix - Sets the dry and wet levels
+ * @returns {Function} return.setPreDelay - Sets the pre-delay
+ * @returns {Function} return.setDamping - Sets the damping cutoff
+ * @returns {Function} return.hasImpulse - Returns whether an impulse response is loaded
+ * @returns {Function} return.getImpulse - Returns the impulse response last requested
+ * @returns {Function} return.getSettings - Returns the current levels in settings form, to build a copy of the bus
+ * @returns {Function} return.dispose - Disconnects the bus
+ *
+ * @example
+ * const reverb = createReverbBus({ context, destination: listener.getInput() })
+ * interior.gain.disconnect()
+ * interior.gain.connect(reverb.dry)
+ * reverb.addSend('interior', interior.gain)
+ * reverb.setImpulse(garageBuffer)
+ */
+export function createReverbBus({ context, destination, settings = ReverbSettings }) {
+    const tc = settings.smoothing
+
+    const dry = context.createGain()
+    dry.gain.value = settings.dry
+    dry.connect(destination)
+
+    const input = context.createGain()
+    const preDelay = context.createDelay(settings.maxPreDelay)
+    preDelay.delayTime.value = Math.min(settings.preDelay, settings.maxPreDelay)
+    const damping = context.createBiquadFilter()
+    damping.type = 'lowpass'
+    damping.frequency.value = settings.damping
+    damping.Q.value = 0.5
+    const wet = context.createGain()
+    wet.gain.value = settings.wet
+    input.connect(preDelay)
+    preDelay.connect(damping)
+    wet.connect(destination)
+
+    // Two convolvers so a new impulse response never loads into the one being heard
+    const slots = [0, 1].map(() => {
+        const convolver = context.createConvolver()
+        const fade = context.createGain()
+        fade.gain.value = 0
+        damping.connect(convolver)
+        convolver.connect(fade)
+        fade.connect(wet)
+        return { convolver, fade }
+    })
+    let active = null // index of the slot being heard, null with no impulse response
+    let fadeEnd = 0 // context time the last crossfade finishes
+    let pending // impulse response waiting for a crossfade to finish (undefined when none)
+    let pendingTimer = null
+
+    let impulse = null // impulse response last requested, including one still waiting on a crossfade
+    const sends = new Map()
+    const state = {
+        dry: settings.dry,
+        wet: settings.wet,
+        preDelay: Math.min(settings.preDelay, settings.maxPreDelay),
+        damping: settings.damping
+    }
+
+    /**
+     * Glides an AudioParam to a value
+     * @private
+     * @param {AudioParam} param - Parameter to change
+     * @param {number} value - Target value
+     */
+    function glide(param, value) {
+        param.setTargetAtTime(value, context.currentTime, tc)
+    }
+
+    /**
+     * Linearly ramps a slot's fade gain from where it is now
+     * @private
+     * @param {Object} slot - Convolver slot
+     * @param {number} value - Target gain
+     * @param {number} endTime - Context time the ramp finishes
+     */
+    function rampFade(slot, value, endTime) {
+        const param = slot.fade.gain
+        const now = context.currentTime
+        param.cancelScheduledValues(now)
+        param.setValueAtTime(param.value, now)
+        param.linearRampToValueAtTime(value, endTime)
+    }
+
+    /**
+     * Feeds a node into the reverb through its own send gain
+     * @param {string} name - Send name (e.g. 'exhaust')
+     * @param {AudioNode} source - Node to send from
+     * @param {number} [level=settings.sends[name] ?? 1] - Send level (0-1)
+     */
+    function addSend(name, source, level = settings.sends[name] ?? 1) {
+        removeSend(name)
+        const gain = context.createGain()
+        gain.gain.value = level
+        source.connect(gain)
+        gain.connect(input)
+        sends.set(name, { source, gain, level })
+    }
+
+    /**
+     * Disconnects a send
+     * @param {string} name - Send name
+     */
+    function removeSend(name) {
+        const send = sends.get(name)
+        if (!send) return
+        send.source.disconnect(send.gain)
+        send.gain.disconnect()
+        sends.delete(name)
+    }
+
+    /**
+     * Sets a send level
+     * @param {string} name - Send name
+     * @param {number} level - Send level (0-1)
+     */
+    function setSend(name, level) {
+        const send = sends.get(name)
+        if (!send) return
+        send.level = level
+        glide(send.gain.gain, level)
+    }
+
+    /**
+     * Crossfades the returns to a new impulse response, or fades the reverb out
+     * A swap requested while a crossfade is still running waits for it, so an impulse response is
+     * never replaced while its convolver can be heard
+     * @param {AudioBuffer|null} buffer - Impulse response, null for no reverb
+     */
+    function setImpulse(buffer) {
+        impulse = buffer
+        const now = context.currentTime
+        if (now < fadeEnd) {
+            pending = buffer
+            if (!pendingTimer) {
+                pendingTimer = setTimeout(() => {
+                    pendingTimer = null
+                    const next = pending
+                    pending = undefined
+                    setImpulse(next)
+                }, (fadeEnd - now) * 1000 + 20)
+            }
+            return
+        }
+
+        fadeEnd = now + settings.crossfadeTime
+        if (active !== null) rampFade(slots[active], 0, fadeEnd)
+        if (!buffer) {
+            active = null
+            return
+        }
+
+        const next = active === 0 ? 1 : 0
+        slots[next].convolver.buffer = buffer
+        rampFade(slots[next], 1, fadeEnd)
+        active = next
+    }
+
+    /**
+     * Sets the dry and wet levels
+     * @param {Object} levels - Levels to change
+     * @param {number} [levels.dry] - Direct sound level (0-1)
+     * @param {number} [levels.wet] - Reverb return level (0-1)
+     */
+    function setMix({ dry: dryLevel, wet: wetLevel }) {
+        if (typeof dryLevel === 'number') {
+            state.dry = dryLevel
+            glide(dry.gain, dryLevel)
+        }
+        if (typeof wetLevel === 'number') {
+            state.wet = wetLevel
+            glide(wet.gain, wetLevel)
+        }
+    }
+
+    /**
+     * Sets the gap between the direct sound and the reverb onset
+     * @param {number} seconds - Pre-delay (0 to maxPreDelay)
+     */
+    function setPreDelay(seconds) {
+        state.preDelay = Math.max(0, Math.min(settings.maxPreDelay, seconds))
+        glide(preDelay.delayTime, state.preDelay)
+    }
+
+    /**
+     * Sets the lowpass cutoff damping the reverb's high end
+     * @param {number} frequency - Cutoff (Hz)
+     */
+    function setDamping(frequency) {
+        state.damping = frequency
+        glide(damping.frequency, frequency)
+    }
+
+    /**
+     * Gets the current levels in the same shape as ReverbSettings
+     * @returns {Object} Settings a copy of this bus can be created with (e.g. on an OfflineAudioContext)
+     */
+    function getSettings() {
+        const sendLevels = { ...settings.sends }
+        sends.forEach(({ level }, name) => { sendLevels[name] = level })
+        return { ...settings, ...state, sends: sendLevels }
+    }
+
+    /**
+     * Disconnects the sends and every node of the bus
+     */
+    function dispose() {
+        if (pendingTimer) clearTimeout(pendingTimer)
+        pendingTimer = null
+        Array.from(sends.keys()).forEach(removeSend)
+        ;[dry, input, preDelay, damping, wet].forEach(node => node.disconnect())
+        slots.forEach(({ convolver, fade }) => {
+            convolver.disconnect()
+            fade.disconnect()
+        })
+    }
+
+    return {
+        dry,
+        addSend,
+        removeSend,
+        setSend,
+        setImpulse,
+        setMix,
+        setPreDelay,
+        setDamping,
+        hasImpulse: () => active !== null,
+        getImpulse: () => impulse,
+        getSettings,
+        dispose
+    }
+}
@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Recording of user actions to a JSON session and timed replay of them
+ * @module systems/session
+ */
+
+import { SessionSettings } from './constants.js'
+
+/** Slack when comparing event times, which the file rounds to the millisecond (seconds) */
+const TIME_TOLERANCE = 0.001
+
+/**
+ * Checks a parsed session file
+ * @private
+ * @param {*} session - Parsed JSON
+ * @param {number} version - Supported format version
+ * @throws {Error} If it is not a session this version can replay
+ */
+function validateSession(session, version) {
+    if (!session || typeof session !== 'object') throw new Error('Not a session file')
+    if (session.version !== version) throw new Error(`Unsupported session version ${session.version} (expected ${version})`)
+    if (!Array.isArray(session.events)) throw new Error('Session has no event list')
+    session.events.forEach((event, i) => {
+        if (!event || !Number.isFinite(event.time) || typeof event.action !== 'string') {
+            throw new Error(`Session event ${i} is malformed`)
+        }
+    })
+}
+
+/**
+ * Creates the session recorder
+ * While recording, every action reported through `record()` is stored with the scene time it
+ * happened at; the initial state handed to `startRecording()` is stored with it. Replay applies
+ * the initial state, then fires each action's registered callback when the scene time reaches it.
+ * Time only advances through `update()`, so events line up with simulation steps rather than
+ * the wall clock; step it at a fixed rate and a replay fires each event on the step it was recorded on
+ *
+ * @param {Object} [options] - Configuration options
+ * @param {Object} [options.settings=SessionSettings] - Format version and sampling
+ * @returns {Object} Session recorder instance with control methods
+ * @returns {Function} return.registerCallback - Sets the callback that replays an action
+ * @returns {Function} return.registerStateCallback - Sets the callback fired when recording or replay starts or stops
+ * @returns {Function} return.registerErrorCallback - Sets the callback fired when a session file is rejected
+ * @returns {Function} return.record - Stores an action while recording
+ * @returns {Function} return.startRecording - Starts a new session from an initial state
+ * @returns {Function} return.stopRecording - Ends the session and returns it
+ * @returns {Function} return.replay - Replays a session
+ * @returns {Function} return.stopReplay - Stops a replay
+ * @returns {Function} return.openFilePicker - Picks a session file and replays it
+ * @returns {Function} return.update - Advances session time and fires due events (call once per step)
+ * @returns {Function} return.getState - Returns 'idle', 'recording' or 'replaying'
+ * @returns {Function} return.dispose - Stops recording or replay and clears callbacks
+ *
+ * @example
+ * const session = createSessionRecorder()
+ * session.registerCallback('solo', state => setSoloState(state))
+ * session.startRecording({ solo: soloState })
+ * session.record('solo', SoloState.EXHAUST)
+ * const file = session.stopRecording()
+ * session.replay(file)
+ *
+ * function animate() {
+ *     session.update(deltaTime)
+ * }
+ */
+export function createSessionRecorder({ settings = SessionSettings } = {}) {
+    const callbacks = {}
+    let stateCallback = null
+    let errorCallback = null
+
+    let state = 'idle'
+    let time = 0
+
+    // Recording
+    let initial = {}
+    let events = []
+    const lastSample = {}
+    const pending = new Map()
+
+    // Replay
+    let session = null
+    let nextEvent = 0
+
+    /**
+     * Moves to a new state and reports it
+     * @private
+     * @param {string} next - 'idle', 'recording' or 'replaying'
+     */
+    function setState(next) {
+        state = next
+        if (stateCallback) stateCallback(state)
+    }
+
+    /**
+     * Rounds a time to the millisecond for the file
+     * @private
+     * @param {number} t - Seconds
+     * @returns {number} Rounded seconds
+     */
+    function roundTime(t) {
+        return Math.round(t * 1000) / 1000
+    }
+
+    /**
+     * Stores sampled values whose interval has passed
+     * @private
+     * @param {boolean} [all=false] - Store every held value regardless of interval
+     */
+    function flushPending(all = false) {
+        pending.forEach((value, action) => {
+            if (!all && time - lastSample[action] < settings.sampleIntervals[action]) return
+            lastSample[action] = time
+            events.push({ time: roundTime(time), action, value })
+            pending.delete(action)
+        })
+    }
+
+    /**
+     * Fires the replay callback for an action
+     * @private
+     * @param {string} action - Action name
+     * @param {*} value - Recorded value
+     */
+    function fire(action, value) {
+        const callback = callbacks[action]
+        if (!callback) {
+            console.warn('No replay callback for session action:', action)
+            return
+        }
+        try {
+            callback(value)
+        } catch (err) {
+            console.error(`Error replaying ${action}:`, err)
+        }
+    }
+
+    /**
+     * Sets the callback that replays an action
+     * @param {string} action - Action name (e.g. 'ignition')
+     * @param {Function} callback - Called with the recorded value; it should set that state, so it also serves the initial state
+     */
+    function registerCallback(action, callback) {
+        callbacks[action] = callback
+    }
+
+    /**
+     * Sets the callback fired when recording or replay starts or stops
+     * @param {Function} callback - Called with 'idle', 'recording' or 'replaying'
+     */
+    function registerStateCallback(callback) {
+        stateCallback = callback
+    }
+
+    /**
+     * Sets the callback fired when a session file is rejected
+     * @param {Function} callback - Called with the Error
+     */
+    function registerErrorCallback(callback) {
+        errorCallback = callback
+    }
+
+    /**
+     * Stores an action at the current session time; does nothing unless recording
+     * Actions with a sample interval keep at most one event per interval, holding the latest value
+     * @param {string} action - Action name
+     * @param {*} [value] - JSON-serializable value
+     */
+    function record(action, value = null) {
+        if (state !== 'recording') return
+        const interval = settings.sampleIntervals[action]
+        if (interval) {
+            if (action in lastSample && time - lastSample[action] < interval) {
+                pending.set(action, value)
+                return
+            }
+            lastSample[action] = time
+            pending.delete(action)
+        }
+        events.push({ time: roundTime(time), action, value })
+    }
+
+    /**
+     * Starts a new session
+     * @param {Object} [initialState={}] - Values by action describing the scene when recording starts
+     * @throws {Error} If a session is replaying
+     */
+    function startRecording(initialState = {}) {
+        if (state === 'replaying') throw new Error('Stop the replay before recording')
+        if (state === 'recording') return
+        initial = JSON.parse(JSON.stringify(initialState))
+        events = []
+        pending.clear()
+        Object.keys(lastSample).forEach(action => delete lastSample[action])
+        time = 0
+        setState('recording')
+    }
+
+    /**
+     * Ends the session
+     * @returns {Object|null} Session ({version, createdAt, duration, initial, events}), null if not recording
+     */
+    function stopRecording() {
+        if (state !== 'recording') return null
+        flushPending(true)
+        setState('idle')
+        return {
+            version: settings.version,
+            createdAt: new Date().toISOString(),
+            duration: roundTime(time),
+            initial,
+            events
+        }
+    }
+
+    /**
+     * Replays a session: applies its initial state, then its events as time reaches them
+     * @param {Object} file - Session from stopRecording or a parsed session file
+     * @throws {Error} If recording, or the session is malformed
+     */
+    function replay(file) {
+        if (state === 'recording') throw new Error('Stop recording before replaying')
+        validateSession(file, settings.version)
+        session = { ...file, events: [...file.events].sort((a, b) => a.time - b.time) }
+        nextEvent = 0
+        time = 0
+        setState('replaying')
+        Object.entries(session.initial || {}).forEach(([action, value]) => fire(action, value))
+    }
+
+    /**
+     * Stops a replay where it is
+     */
+    function stopReplay() {
+        if (state !== 'replaying') return
+        session = null
+        setState('idle')
+    }
+
+    /**
+     * Opens the browser's file picker for a session file and replays it
+     */
+    function openFilePicker() {
+        const input = document.createElement('input')
+        input.type = 'file'
+        input.accept = '.json,application/json'
+        input.addEventListener('change', () => {
+            const file = input.files && input.files[0]
+            if (!file) return
+            file.text().then(text => {
+                replay(JSON.parse(text))
+                console.log(`✓ Replaying session: ${file.name} (${session.events.length} events)`)
+            }).catch(err => {
+                console.error(`✗ Failed to replay session: ${file.name}`, err)
+                if (errorCallback) errorCallback(err)
+            })
+        })
+        input.click()
+    }
+
+    /**
+     * Advances session time; stores held samples while recording, fires due events while replaying
+     * @param {number} deltaTime - Step length in seconds
+     */
+    function update(deltaTime) {
+        if (state === 'idle') return
+        time += deltaTime
+
+        if (state === 'recording') {
+            flushPending()
+            return
+        }
+
+        const { events: replayEvents } = session
+        while (nextEvent < replayEvents.length && replayEvents[nextEvent].time <= time + TIME_TOLERANCE) {
+            const { action, value } = replayEvents[nextEvent++]
+            fire(action, value)
+            // A callback may have stopped the replay
+            if (state !== 'replaying') return
+        }
+        if (nextEvent >= replayEvents.length && time >= (session.duration || 0)) stopReplay()
+    }
+
+    /**
+     * Stops recording or replay and clears callbacks
+     */
+    function dispose() {
+        stateCallback = null
+        errorCallback = null
+        stopRecording()
+        stopReplay()
+        Object.keys(callbacks).forEach(action => delete callbacks[action])
+    }
+
+    return {
+        registerCallback,
+        registerStateCallback,
+        registerErrorCallback,
+        record,
+        startRecording,
+        stopRecording,
+        replay,
+        stopReplay,
+        openFilePicker,
+        update,
+        getState: () => state,
+        dispose
+    }
+}
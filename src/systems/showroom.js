@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Showroom mode: auto-rotating orbit camera and scripted demo actions after an idle timeout
+ * @module systems/showroom
+ */
+
+import { ShowroomSettings } from './constants.js'
+
+/** DOM events that count as user input */
+const INPUT_EVENTS = ['pointerdown', 'pointermove', 'wheel', 'keydown', 'touchstart']
+
+/**
+ * Creates the showroom mode
+ * Counts idle time between inputs; once idleTimeout passes with nothing from the user the orbit
+ * controls auto-rotate around the car and the showroom fires its lights, blip and solo callbacks
+ * on their own timers. Any input stops it instantly. DOM input is detected here, other devices
+ * (e.g. gamepads, which have no events) report in through `notifyActivity()`
+ *
+ * @param {Object} options - Configuration options
+ * @param {Object} options.controls - Orbit controls to auto-rotate
+ * @param {EventTarget} [options.target=window] - Element to watch for input
+ * @param {Object} [options.settings=ShowroomSettings] - Showroom settings
+ * @returns {Object} Showroom instance with control methods
+ * @returns {Function} return.registerChangeCallback - Sets the callback fired when the showroom starts or stops
+ * @returns {Function} return.registerLightsCallback - Sets the callback fired to toggle the headlights
+ * @returns {Function} return.registerBlipCallback - Sets the callback fired to press and release the throttle
+ * @returns {Function} return.registerSoloCallback - Sets the callback fired to move to the next solo perspective
+ * @returns {Function} return.notifyActivity - Reports user input from a device without DOM events
+ * @returns {Function} return.setEnabled - Enables/disables the idle timeout
+ * @returns {Function} return.setIdleTimeout - Sets how long input must stop before the showroom starts
+ * @returns {Function} return.update - Advances the idle and demo timers (call once per frame)
+ * @returns {Function} return.isActive - Returns whether the showroom is running
+ * @returns {Function} return.isEnabled - Returns whether idling starts the showroom
+ * @returns {Function} return.dispose - Stops the showroom and removes listeners
+ *
+ * @example
+ * const showroom = createShowroom({ controls })
+ * showroom.registerBlipCallback(value => controlsPanel.setExternalThrottle(value, { source: 'showroom' }))
+ * gamepad.registerActivityCallback(() => showroom.notifyActivity())
+ *
+ * function animate() {
+ *     showroom.update(deltaTime)
+ *     controls.update()
+ * }
+ */
+export function createShowroom({ controls, target = window, settings = ShowroomSettings }) {
+    let enabled = settings.enabled
+    let idleTimeout = settings.idleTimeout
+    let active = false
+    let idleTime = 0
+    let lightsTimer = 0
+    let soloTimer = 0
+    let blipTimer = 0
+    let blipHeld = 0 // seconds left on the current blip, 0 when released
+    let savedAutoRotate = null
+
+    let changeCallback = null
+    let lightsCallback = null
+    let blipCallback = null
+    let soloCallback = null
+
+    /**
+     * Picks the wait before the next throttle blip
+     * @private
+     * @returns {number} Seconds
+     */
+    function nextBlipDelay() {
+        return settings.blipMinInterval + Math.random() * (settings.blipMaxInterval - settings.blipMinInterval)
+    }
+
+    /**
+     * Starts orbiting and arms the demo timers
+     * @private
+     */
+    function activate() {
+        active = true
+        savedAutoRotate = { autoRotate: controls.autoRotate, autoRotateSpeed: controls.autoRotateSpeed }
+        controls.autoRotate = true
+        controls.autoRotateSpeed = settings.autoRotateSpeed
+        lightsTimer = settings.lightsInterval
+        soloTimer = settings.soloInterval
+        blipTimer = nextBlipDelay()
+        blipHeld = 0
+        if (changeCallback) changeCallback(true)
+    }
+
+    /**
+     * Stops orbiting and lets go of any blip in progress
+     * @private
+     */
+    function deactivate() {
+        if (!active) return
+        active = false
+        controls.autoRotate = savedAutoRotate.autoRotate
+        controls.autoRotateSpeed = savedAutoRotate.autoRotateSpeed
+        if (blipHeld > 0) {
+            blipHeld = 0
+            if (blipCallback) blipCallback(0)
+        }
+        if (changeCallback) changeCallback(false)
+    }
+
+    /**
+     * Resets the idle timer, stopping the showroom if it is running
+     */
+    function notifyActivity() {
+        idleTime = 0
+        deactivate()
+    }
+
+    INPUT_EVENTS.forEach(type => target.addEventListener(type, notifyActivity, { capture: true, passive: true }))
+
+    /**
+     * Sets the callback fired when the showroom starts or stops
+     * @param {Function} callback - Called with true on start, false on stop
+     */
+    function registerChangeCallback(callback) {
+        changeCallback = callback
+    }
+
+    /**
+     * Sets the callback fired every lightsInterval seconds to toggle the headlights
+     * @param {Function} callback - Called with no arguments
+     */
+    function registerLightsCallback(callback) {
+        lightsCallback = callback
+    }
+
+    /**
+     * Sets the callback fired to blip the throttle
+     * @param {Function} callback - Called with the throttle position, then with 0 to release it
+     */
+    function registerBlipCallback(callback) {
+        blipCallback = callback
+    }
+
+    /**
+     * Sets the callback fired every soloInterval seconds to move to the next solo perspective
+     * @param {Function} callback - Called with no arguments
+     */
+    function registerSoloCallback(callback) {
+        soloCallback = callback
+    }
+
+    /**
+     * Enables or disables the showroom, disabling stops it if it is running
+     * @param {boolean} value - Whether idling should start the showroom
+     */
+    function setEnabled(value) {
+        enabled = !!value
+        idleTime = 0
+        if (!enabled) deactivate()
+    }
+
+    /**
+     * Sets how long input must stop before the showroom starts
+     * @param {number} seconds - Idle timeout
+     */
+    function setIdleTimeout(seconds) {
+        idleTimeout = Math.max(0, seconds)
+    }
+
+    /**
+     * Advances the idle timer, and the demo timers while the showroom runs
+     * @param {number} deltaTime - Time elapsed since last frame in seconds
+     */
+    function update(deltaTime) {
+        if (!enabled) return
+
+        if (!active) {
+            idleTime += deltaTime
+            if (idleTime >= idleTimeout) activate()
+            return
+        }
+
+        if (blipHeld > 0) {
+            blipHeld -= deltaTime
+            if (blipHeld <= 0) {
+                blipHeld = 0
+                if (blipCallback) blipCallback(0)
+            }
+        } else if ((blipTimer -= deltaTime) <= 0) {
+            blipTimer = nextBlipDelay()
+            blipHeld = settings.blipDuration
+            if (blipCallback) blipCallback(settings.blipThrottle)
+        }
+
+        if ((lightsTimer -= deltaTime) <= 0) {
+            lightsTimer = settings.lightsInterval
+            if (lightsCallback) lightsCallback()
+        }
+
+        if ((soloTimer -= deltaTime) <= 0) {
+            soloTimer = settings.soloInterval
+            if (soloCallback) soloCallback()
+        }
+    }
+
+    /**
+     * Stops the showroom, removes listeners and clears callbacks
+     */
+    function dispose() {
+        deactivate()
+        INPUT_EVENTS.forEach(type => target.removeEventListener(type, notifyActivity, { capture: true }))
+        changeCallback = null
+        lightsCallback = null
+        blipCallback = null
+        soloCallback = null
+    }
+
+    return {
+        registerChangeCallback,
+        registerLightsCallback,
+        registerBlipCallback,
+        registerSoloCallback,
+        notifyActivity,
+        setEnabled,
+        setIdleTimeout,
+        update,
+        isActive: () => active,
+        isEnabled: () => enabled,
+        dispose
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Speaker/headphone spatial rendering for the positional audio emitters
+ * @module systems/spatial
+ */
+
+import { SpatialSettings } from './constants.js'
+
+/**
+ * Creates the spatial rendering switch
+ * Applies the speaker or headphone profile to every emitter's PannerNode. The A/B compare keeps
+ * the selected profile's distance model but swaps its panning model (HRTF for equal-power or back),
+ * so a listening test hears only the difference the HRTF makes whichever profile is selected
+ *
+ * @param {Object} options - Configuration options
+ * @param {Object.<string, THREE.PositionalAudio>} options.emitters - Emitters to configure
+ * @param {Object} [options.settings=SpatialSettings] - Speaker and headphone profiles
+ * @returns {Object} Spatial instance with control methods
+ * @returns {Function} return.setBinaural - Switches between the headphone and speaker profiles
+ * @returns {Function} return.setCompare - Pans with the other panning model while keeping the profile's distance model
+ * @returns {Function} return.apply - Re-applies the current profile (e.g. after something else changed the panners)
+ * @returns {Function} return.isBinaural - Returns whether the headphone profile is selected
+ * @returns {Function} return.isComparing - Returns whether the A/B compare is on
+ * @returns {Function} return.getPanningModel - Returns the panning model in use
+ *
+ * @example
+ * const spatial = createSpatialAudio({ emitters: audioEmitters })
+ * spatial.setBinaural(true)
+ * spatial.setCompare(true) // same distances, equal-power instead of HRTF panning
+ */
+export function createSpatialAudio({ emitters, settings = SpatialSettings }) {
+    let binaural = settings.binaural
+    let compare = false
+
+    /**
+     * Gets the panning model in use
+     * @returns {string} 'HRTF' or 'equalpower'
+     */
+    function getPanningModel() {
+        const { panningModel } = binaural ? settings.headphones : settings.speakers
+        if (!compare) return panningModel
+        return panningModel === 'HRTF' ? 'equalpower' : 'HRTF'
+    }
+
+    /**
+     * Applies the current profile to every emitter's panner
+     */
+    function apply() {
+        const profile = binaural ? settings.headphones : settings.speakers
+        const panningModel = getPanningModel()
+        Object.values(emitters).forEach(emitter => {
+            emitter.panner.panningModel = panningModel
+            emitter.setDistanceModel(profile.distanceModel)
+            emitter.setRefDistance(profile.refDistance)
+            emitter.setMaxDistance(profile.maxDistance)
+            emitter.setRolloffFactor(profile.rolloffFactor)
+        })
+    }
+
+    /**
+     * Switches between the headphone (binaural) and speaker profiles
+     * @param {boolean} enabled - True for headphones
+     */
+    function setBinaural(enabled) {
+        binaural = !!enabled
+        apply()
+    }
+
+    /**
+     * Turns the A/B compare against the other panning model on or off
+     * @param {boolean} enabled - True to pan with the model the profile does not use
+     */
+    function setCompare(enabled) {
+        compare = !!enabled
+        apply()
+    }
+
+    apply()
+
+    return {
+        setBinaural,
+        setCompare,
+        apply,
+        isBinaural: () => binaural,
+        isComparing: () => compare,
+        getPanningModel
+    }
+}
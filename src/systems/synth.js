@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Granular engine synthesis that follows a continuous RPM value
+ * Crossfades and pitch-shifts grains cut from the idle and rev recordings
+ * @module systems/synth
+ */
+
+import { SynthLayers, SynthSettings } from './constants.js'
+
+/** Length of the RMS analysis frames used to locate the loudest part of a recording (seconds) */
+const ANALYSIS_FRAME = 0.02
+
+/**
+ * Cache of analysed recordings so each buffer is only scanned once
+ * @type {WeakMap<AudioBuffer, {peakTime: number}>}
+ */
+const bufferAnalysis = new WeakMap()
+
+/**
+ * Finds the loudest region of a recording, which for a rev one-shot is the top of the rev
+ * @private
+ * @param {AudioBuffer} buffer - Decoded recording
+ * @returns {{peakTime: number}} Time in seconds of the loudest analysis frame
+ */
+function analyseBuffer(buffer) {
+    let analysis = bufferAnalysis.get(buffer)
+    if (analysis) return analysis
+
+    const data = buffer.getChannelData(0)
+    const frameLength = Math.max(1, Math.floor(ANALYSIS_FRAME * buffer.sampleRate))
+    let peakFrame = 0
+    let peakEnergy = -1
+    for (let start = 0; start + frameLength <= data.length; start += frameLength) {
+        let energy = 0
+        for (let i = start; i < start + frameLength; i++) energy += data[i] * data[i]
+        if (energy > peakEnergy) {
+            peakEnergy = energy
+            peakFrame = start
+        }
+    }
+
+    analysis = { peakTime: (peakFrame + frameLength / 2) / buffer.sampleRate }
+    bufferAnalysis.set(buffer, analysis)
+    return analysis
+}
+
+/**
+ * Computes equal-power crossfade weights for each layer at a given RPM
+ * Only the two layers bracketing the RPM receive non-zero weight
+ * @param {number} rpm - Engine RPM
+ * @param {Array<Object>} [layers=SynthLayers] - Layer definitions sorted by ascending RPM
+ * @returns {Array<number>} Weight per layer (0-1)
+ */
+export function getLayerWeights(rpm, layers = SynthLayers) {
+    const weights = layers.map(() => 0)
+    if (layers.length === 0) return weights
+
+    if (rpm <= layers[0].rpm) {
+        weights[0] = 1
+        return weights
+    }
+    const last = layers.length - 1
+    if (rpm >= layers[last].rpm) {
+        weights[last] = 1
+        return weights
+    }
+
+    for (let i = 0; i < last; i++) {
+        const lo = layers[i].rpm
+        const hi = layers[i + 1].rpm
+        if (rpm >= lo && rpm < hi) {
+            const x = (rpm - lo) / (hi - lo)
+            weights[i] = Math.cos(x * Math.PI * 0.5)
+            weights[i + 1] = Math.sin(x * Math.PI * 0.5)
+            break
+        }
+    }
+    return weights
+}
+
+/**
+ * Creates a granular engine synthesizer for a single microphone perspective
+ * Overlapping windowed grains are scheduled slightly ahead of the audio clock; each grain is
+ * drawn from the layers bracketing the current RPM and resampled by RPM / layer RPM
+ *
+ * @param {Object} options - Configuration options
+ * @param {BaseAudioContext} options.context - Audio context (realtime or offline) grains are scheduled on
+ * @param {Object.<string, AudioBuffer|null>} options.buffers - Recordings for this perspective keyed by layer name
+ * @param {Array<Object>} [options.layers=SynthLayers] - RPM layer definitions
+ * @param {Object} [options.settings=SynthSettings] - Grain and crossfade tuning
+ * @param {Function} [options.random=Math.random] - Source of grain offsets, seeded for repeatable output
+ * @returns {Object} Synth instance with control methods
+ * @returns {GainNode} return.output - Synth output node, connect it into the emitter graph
+ * @returns {Function} return.start - Fades the synth in and begins scheduling grains
+ * @returns {Function} return.stop - Fades the synth out and stops scheduling grains
+ * @returns {Function} return.update - Schedules grains for the current RPM (call once per frame)
+ * @returns {Function} return.dip - Briefly drops the level, e.g. while the clutch is open on a shift
+ * @returns {Function} return.dispose - Stops playback and disconnects the output
+ *
+ * @example
+ * const synth = createEngineSynth({ context: listener.context, buffers: soundEngine.buffers.exhaust })
+ * synth.output.connect(exhaustEmitter.getOutput())
+ * synth.start()
+ *
+ * function animate() {
+ *     synth.update(engine.getRpm(), { load: engine.getThrottle() })
+ * }
+ */
+export function createEngineSynth({ context, buffers, layers = SynthLayers, settings = SynthSettings, random = Math.random }) {
+    const output = context.createGain()
+    output.gain.value = 0
+    // Separate from the start/stop fade on the output, so a shift dip never cancels a fade
+    const body = context.createGain()
+    body.connect(output)
+
+    const hop = settings.grainDuration / settings.overlap
+    const activeGrains = new Set()
+
+    let running = false
+    let nextGrainTime = 0
+    let smoothedLoad = 1
+
+    /**
+     * Picks a random start offset for a grain within the usable region of a recording
+     * @private
+     * @param {AudioBuffer} buffer - Recording the grain is cut from
+     * @param {Object} layer - Layer definition
+     * @param {number} span - Buffer time consumed by the grain (seconds)
+     * @returns {number} Offset in seconds
+     */
+    function pickOffset(buffer, layer, span) {
+        const maxOffset = Math.max(0, buffer.duration - span)
+        if (layer.region === 'peak') {
+            const { peakTime } = analyseBuffer(buffer)
+            const offset = peakTime - span / 2 + (random() - 0.5) * settings.peakWindow
+            return Math.max(0, Math.min(maxOffset, offset))
+        }
+        return random() * maxOffset
+    }
+
+    /**
+     * Schedules one triangular-windowed grain; 50% overlapping triangles sum to unity gain
+     * @private
+     * @param {AudioBuffer} buffer - Recording the grain is cut from
+     * @param {Object} layer - Layer definition
+     * @param {number} pitch - Playback rate
+     * @param {number} gain - Peak grain gain
+     * @param {number} when - Context time the grain starts
+     */
+    function scheduleGrain(buffer, layer, pitch, gain, when) {
+        const duration = settings.grainDuration
+        const source = context.createBufferSource()
+        source.buffer = buffer
+        source.playbackRate.value = pitch
+
+        const envelope = context.createGain()
+        envelope.gain.setValueAtTime(0, when)
+        envelope.gain.linearRampToValueAtTime(gain, when + duration / 2)
+        envelope.gain.linearRampToValueAtTime(0, when + duration)
+
+        source.connect(envelope)
+        envelope.connect(body)
+
+        const grain = { source, envelope }
+        activeGrains.add(grain)
+        source.onended = () => {
+            envelope.disconnect()
+            activeGrains.delete(grain)
+        }
+
+        source.start(when, pickOffset(buffer, layer, duration * pitch))
+        source.stop(when + duration)
+    }
+
+    /**
+     * Fades the synth in and begins scheduling grains
+     * @param {number} [time=context.currentTime] - Context time to start at
+     */
+    function start(time = context.currentTime) {
+        running = true
+        nextGrainTime = time
+        output.gain.cancelScheduledValues(time)
+        output.gain.setTargetAtTime(1, time, settings.fadeTime / 3)
+    }
+
+    /**
+     * Fades the synth out; grains already scheduled ring out under the fade
+     * @param {number} [time=context.currentTime] - Context time to stop at
+     */
+    function stop(time = context.currentTime) {
+        running = false
+        output.gain.cancelScheduledValues(time)
+        output.gain.setTargetAtTime(0, time, settings.fadeTime / 3)
+    }
+
+    /**
+     * Schedules grains up to the lookahead horizon for the current engine speed
+     * @param {number} rpm - Engine RPM
+     * @param {Object} [opts] - Options
+     * @param {number} [opts.load=1] - Throttle load (0-1); closed-throttle grains play quieter
+     * @param {number} [opts.pitchScale=1] - Extra playback rate factor (e.g. Doppler), applied after the RPM clamp
+     * @param {number} [opts.time=context.currentTime] - Current context time
+     */
+    function update(rpm, { load = 1, pitchScale = 1, time = context.currentTime } = {}) {
+        if (!running) return
+
+        // Smooth load per grain hop so snapping the throttle does not step the level
+        const loadGain = settings.offLoadGain + (1 - settings.offLoadGain) * load
+
+        if (nextGrainTime < time) nextGrainTime = time
+        while (nextGrainTime < time + settings.lookahead) {
+            smoothedLoad += (loadGain - smoothedLoad) * 0.5
+            const weights = getLayerWeights(rpm, layers)
+            layers.forEach((layer, i) => {
+                const buffer = buffers[layer.key]
+                if (!buffer || weights[i] < 0.001) return
+                const pitch = Math.max(settings.minPitch, Math.min(settings.maxPitch, rpm / layer.rpm)) * pitchScale
+                scheduleGrain(buffer, layer, pitch, weights[i] * smoothedLoad * (layer.gain ?? 1), nextGrainTime)
+            })
+            nextGrainTime += hop
+        }
+    }
+
+    /**
+     * Drops the level quickly and lets it recover, the sound of the drive being taken off the engine
+     * @param {number} depth - Fraction of the level removed at the bottom of the dip (0-1)
+     * @param {number} duration - Time held at the bottom before recovering (seconds)
+     * @param {number} [time=context.currentTime] - Context time the dip starts
+     */
+    function dip(depth, duration, time = context.currentTime) {
+        const floor = 1 - Math.max(0, Math.min(1, depth))
+        body.gain.cancelScheduledValues(time)
+        body.gain.setValueAtTime(body.gain.value, time)
+        body.gain.linearRampToValueAtTime(floor, time + settings.dipAttack)
+        body.gain.setValueAtTime(floor, time + settings.dipAttack + duration)
+        body.gain.setTargetAtTime(1, time + settings.dipAttack + duration, settings.dipRelease / 3)
+    }
+
+    /**
+     * Stops all grains and disconnects the synth output
+     */
+    function dispose() {
+        running = false
+        activeGrains.forEach(({ source, envelope }) => {
+            try {
+                source.onended = null
+                source.stop()
+                envelope.disconnect()
+            } catch (err) {
+                console.warn('Error stopping synth grain:', err)
+            }
+        })
+        activeGrains.clear()
+        body.disconnect()
+        output.disconnect()
+    }
+
+    return {
+        output,
+        start,
+        stop,
+        update,
+        dip,
+        dispose,
+        isRunning: () => running
+    }
+}
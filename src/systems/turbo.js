@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Procedural turbo sound layer: compressor whine, intake rush, wastegate and blow-off valve
+ * Built from oscillators and filtered noise, so it needs no recordings
+ * @module systems/turbo
+ */
+
+import { TurboSoundSettings } from './constants.js'
+
+/** Length of the looped white noise buffer (seconds) */
+const NOISE_LENGTH = 2
+
+/**
+ * Cache of noise buffers so each context only generates one
+ * @type {WeakMap<BaseAudioContext, AudioBuffer>}
+ */
+const noiseBuffers = new WeakMap()
+
+/**
+ * Gets a looping white noise buffer for a context
+ * @private
+ * @param {BaseAudioContext} context - Audio context
+ * @param {Function} random - Source of the noise, used the first time the context asks
+ * @returns {AudioBuffer} Mono white noise
+ */
+function getNoiseBuffer(context, random) {
+    let buffer = noiseBuffers.get(context)
+    if (buffer) return buffer
+
+    buffer = context.createBuffer(1, Math.floor(NOISE_LENGTH * context.sampleRate), context.sampleRate)
+    const data = buffer.getChannelData(0)
+    for (let i = 0; i < data.length; i++) data[i] = random() * 2 - 1
+    noiseBuffers.set(context, buffer)
+    return buffer
+}
+
+/**
+ * Creates the turbo sound layer
+ * The whine is a pair of slightly detuned oscillators tracking shaft speed; intake rush and
+ * wastegate flutter are band-passed noise. Blow-off bursts are one-shot noise sweeps
+ *
+ * @param {Object} options - Configuration options
+ * @param {BaseAudioContext} options.context - Audio context (realtime or offline)
+ * @param {Object} [options.settings=TurboSoundSettings] - Sound tuning
+ * @param {Function} [options.random=Math.random] - Source of the noise and blow-off offsets, seeded for repeatable output
+ * @returns {Object} Turbo sound instance with control methods
+ * @returns {GainNode} return.output - Layer output node, connect it into the emitter graph
+ * @returns {Function} return.start - Starts the continuous layers
+ * @returns {Function} return.update - Follows the boost state (call once per frame)
+ * @returns {Function} return.blowOff - Fires a blow-off valve burst
+ * @returns {Function} return.setEnabled - Fades the whole layer in or out
+ * @returns {Function} return.dispose - Stops playback and disconnects the output
+ *
+ * @example
+ * const turbo = createTurboSound({ context: listener.context })
+ * turbo.output.connect(intakeEmitter.getOutput())
+ * turbo.start()
+ * boost.registerBlowOffCallback(amount => turbo.blowOff(amount))
+ *
+ * function animate() {
+ *     turbo.update(boost.getState())
+ * }
+ */
+export function createTurboSound({ context, settings = TurboSoundSettings, random = Math.random }) {
+    const output = context.createGain()
+    output.gain.value = 1
+
+    // Compressor whine
+    const whineGain = context.createGain()
+    whineGain.gain.value = 0
+    const whineOscs = [
+        { type: 'sine', detune: 0 },
+        { type: 'triangle', detune: 14 }
+    ].map(({ type, detune }) => {
+        const osc = context.createOscillator()
+        osc.type = type
+        osc.frequency.value = settings.whineMinFreq
+        osc.detune.value = detune
+        osc.connect(whineGain)
+        return osc
+    })
+    whineGain.connect(output)
+
+    /**
+     * Creates a looping band-passed noise voice
+     * @private
+     * @param {number} frequency - Band centre (Hz)
+     * @param {number} q - Band quality factor
+     * @returns {{source: AudioBufferSourceNode, filter: BiquadFilterNode, gain: GainNode}} Noise voice
+     */
+    function createNoiseVoice(frequency, q) {
+        const source = context.createBufferSource()
+        source.buffer = getNoiseBuffer(context, random)
+        source.loop = true
+        const filter = context.createBiquadFilter()
+        filter.type = 'bandpass'
+        filter.frequency.value = frequency
+        filter.Q.value = q
+        const gain = context.createGain()
+        gain.gain.value = 0
+        source.connect(filter)
+        filter.connect(gain)
+        gain.connect(output)
+        return { source, filter, gain }
+    }
+
+    const hiss = createNoiseVoice(2500, 0.8)
+    const wastegate = createNoiseVoice(900, 2.5)
+
+    // Wastegate flutter: a low oscillator modulating the gate noise level
+    const flutter = context.createOscillator()
+    flutter.frequency.value = 22
+    const flutterDepth = context.createGain()
+    flutterDepth.gain.value = 0
+    flutter.connect(flutterDepth)
+    flutterDepth.connect(wastegate.gain.gain)
+
+    const blowOffs = new Set()
+
+    let started = false
+    let disposed = false
+
+    /**
+     * Starts the continuous oscillators and noise loops (silent until boost builds)
+     * @param {number} [time=context.currentTime] - Context time to start at
+     */
+    function start(time = context.currentTime) {
+        if (started || disposed) return
+        started = true
+        whineOscs.forEach(osc => osc.start(time))
+        hiss.source.start(time)
+        wastegate.source.start(time)
+        flutter.start(time)
+    }
+
+    /**
+     * Glides the continuous layers to the current boost state
+     * @param {Object} boostState - Boost state snapshot (see createBoost)
+     * @param {Object} [opts] - Options
+     * @param {number} [opts.pitchScale=1] - Frequency factor applied to the whine and rush (e.g. Doppler)
+     * @param {number} [opts.time=context.currentTime] - Current context time
+     */
+    function update({ boostNormalized, shaft, wastegate: gateOpen }, { pitchScale = 1, time = context.currentTime } = {}) {
+        if (!started) return
+        const tc = settings.smoothing
+        const frequency = (settings.whineMinFreq + (settings.whineMaxFreq - settings.whineMinFreq) * shaft) * pitchScale
+
+        whineOscs.forEach(osc => osc.frequency.setTargetAtTime(frequency, time, tc))
+        whineGain.gain.setTargetAtTime(settings.whineGain * shaft * shaft, time, tc)
+
+        hiss.filter.frequency.setTargetAtTime(frequency * 0.5, time, tc)
+        hiss.gain.gain.setTargetAtTime(settings.hissGain * boostNormalized, time, tc)
+
+        const gateLevel = gateOpen ? settings.wastegateGain : 0
+        wastegate.gain.gain.setTargetAtTime(gateLevel, time, tc * 3)
+        flutterDepth.gain.setTargetAtTime(gateLevel * 0.6, time, tc * 3)
+    }
+
+    /**
+     * Fires a blow-off valve "pssh": a noise burst sweeping down as the charge vents
+     * @param {number} [amount=1] - Normalized boost being vented (0-1), scales level and length
+     * @param {number} [time=context.currentTime] - Context time to fire at
+     */
+    function blowOff(amount = 1, time = context.currentTime) {
+        if (disposed) return
+        const level = settings.blowOffGain * Math.max(0, Math.min(1, amount))
+        const duration = settings.blowOffDuration * (0.4 + 0.6 * amount)
+
+        const voice = context.createBufferSource()
+        voice.buffer = getNoiseBuffer(context, random)
+        voice.loop = true
+
+        const filter = context.createBiquadFilter()
+        filter.type = 'bandpass'
+        filter.Q.value = 1.2
+        filter.frequency.setValueAtTime(4500, time)
+        filter.frequency.exponentialRampToValueAtTime(1200, time + duration)
+
+        const envelope = context.createGain()
+        envelope.gain.setValueAtTime(0, time)
+        envelope.gain.linearRampToValueAtTime(level, time + 0.01)
+        envelope.gain.setTargetAtTime(0, time + 0.04, duration / 4)
+
+        voice.connect(filter)
+        filter.connect(envelope)
+        envelope.connect(output)
+
+        const burst = { voice, envelope }
+        blowOffs.add(burst)
+        voice.onended = () => {
+            envelope.disconnect()
+            blowOffs.delete(burst)
+        }
+        voice.start(time, random() * Math.max(0, NOISE_LENGTH - duration))
+        voice.stop(time + duration + 0.2)
+    }
+
+    /**
+     * Fades the whole layer in or out
+     * @param {boolean} enabled - Whether the turbo layer is audible
+     * @param {number} [time=context.currentTime] - Context time to fade at
+     */
+    function setEnabled(enabled, time = context.currentTime) {
+        output.gain.setTargetAtTime(enabled ? 1 : 0, time, 0.05)
+    }
+
+    /**
+     * Stops all voices and disconnects the output
+     */
+    function dispose() {
+        disposed = true
+        const sources = started ? [...whineOscs, hiss.source, wastegate.source, flutter] : []
+        blowOffs.forEach(({ voice, envelope }) => {
+            voice.onended = null
+            sources.push(voice)
+            envelope.disconnect()
+        })
+        blowOffs.clear()
+        sources.forEach(source => {
+            try {
+                source.stop()
+            } catch (err) {
+                console.warn('Error stopping turbo voice:', err)
+            }
+        })
+        output.disconnect()
+    }
+
+    return {
+        output,
+        start,
+        update,
+        blowOff,
+        setEnabled,
+        dispose
+    }
+}
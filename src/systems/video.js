@@ -0,0 +1,294 @@
+/**
+ * @fileoverview Video capture of the WebGL canvas with the audio output, to WebM
+ * @module systems/video
+ */
+
+import { VideoSettings } from './constants.js'
+import { pickRecordingMimeType, recordingExtension } from './helpers.js'
+
+/**
+ * Creates the video capture
+ * After a countdown the canvas stream and the recorder's audio stream are combined and encoded by
+ * a MediaRecorder. Where the browser allows it the canvas is captured frame by frame: the render
+ * loop calls `captureFrame()` after each frame it renders at the fixed step from `getFrameStep()`,
+ * so every video frame is one equal step of the scene
+ *
+ * @param {Object} options - Configuration options
+ * @param {HTMLCanvasElement} options.canvas - Canvas to capture
+ * @param {Object} options.audio - Audio recorder providing the sound (see createAudioRecorder)
+ * @param {Object} [options.settings=VideoSettings] - Capture settings
+ * @returns {Object} Capture instance with control methods
+ * @returns {Function} return.registerStateCallback - Sets the callback fired when the capture state changes
+ * @returns {Function} return.registerStopCallback - Sets the callback fired with the finished video
+ * @returns {Function} return.registerErrorCallback - Sets the callback fired when recording fails to start
+ * @returns {Function} return.start - Counts down, then starts recording
+ * @returns {Function} return.stop - Cancels the countdown or stops recording
+ * @returns {Function} return.captureFrame - Captures the frame just rendered (call after rendering)
+ * @returns {Function} return.getFrameStep - Returns the fixed timestep while recording, null otherwise
+ * @returns {Function} return.getState - Returns 'idle', 'countdown' or 'recording'
+ * @returns {Function} return.dispose - Stops any capture and removes the countdown overlay
+ *
+ * @example
+ * const video = createVideoCapture({ canvas, audio: audioRecorder })
+ * video.registerStopCallback((blob, extension) => downloadBlob(blob, `clip.${extension}`))
+ * video.start({ frameRate: 30 })
+ *
+ * function animate() {
+ *     const step = video.getFrameStep() ?? clock.getDelta()
+ *     renderer.render(scene, camera)
+ *     video.captureFrame()
+ * }
+ */
+export function createVideoCapture({ canvas, audio, settings = VideoSettings }) {
+    let state = 'idle'
+    let frameRate = settings.frameRate
+    let countdownTimer = null
+    let overlay = null
+
+    let recorder = null
+    let videoTrack = null
+    let frameDriven = false
+
+    let stateCallback = null
+    let stopCallback = null
+    let errorCallback = null
+
+    /**
+     * Ensures the countdown overlay exists
+     * @private
+     * @returns {HTMLDivElement} The overlay element
+     */
+    function ensureOverlay() {
+        if (overlay) return overlay
+        overlay = document.createElement('div')
+        overlay.id = 'video-countdown'
+        Object.assign(overlay.style, {
+            position: 'fixed',
+            inset: '0',
+            display: 'none',
+            alignItems: 'center',
+            justifyContent: 'center',
+            color: '#fff',
+            fontFamily: 'monospace',
+            fontSize: '120px',
+            fontWeight: 'bold',
+            textShadow: '0 4px 16px rgba(0,0,0,0.8)',
+            zIndex: 10000,
+            pointerEvents: 'none'
+        })
+        document.body.appendChild(overlay)
+        return overlay
+    }
+
+    /**
+     * Shows a countdown number, or hides the overlay
+     * @private
+     * @param {number|null} count - Number to show, null to hide
+     */
+    function showCount(count) {
+        const element = ensureOverlay()
+        element.textContent = count === null ? '' : String(count)
+        element.style.display = count === null ? 'none' : 'flex'
+    }
+
+    /**
+     * Moves to a new state and reports it
+     * @private
+     * @param {string} next - 'idle', 'countdown' or 'recording'
+     */
+    function setState(next) {
+        state = next
+        if (stateCallback) stateCallback(state)
+    }
+
+    /**
+     * Starts the MediaRecorder on the canvas and audio streams
+     * @private
+     */
+    function beginRecording() {
+        // A frame rate of 0 makes the stream wait for requestFrame, where the browser supports it
+        let track = canvas.captureStream(0).getVideoTracks()[0]
+        frameDriven = !!(track && typeof track.requestFrame === 'function')
+        if (!frameDriven) {
+            if (track) track.stop()
+            track = canvas.captureStream(frameRate).getVideoTracks()[0]
+        }
+
+        let audioTracks = []
+        let hasAudio = false
+        try {
+            audioTracks = audio.getStream().getAudioTracks()
+            hasAudio = true
+        } catch (err) {
+            console.warn('Recording video without sound:', err.message)
+        }
+
+        const stream = new MediaStream([track, ...audioTracks])
+        const mimeType = pickRecordingMimeType(settings.mimeTypes)
+        let active
+        try {
+            active = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: settings.videoBitsPerSecond })
+        } catch (err) {
+            endCapture(track, hasAudio)
+            throw err
+        }
+        const chunks = []
+        active.addEventListener('dataavailable', e => {
+            if (e.data && e.data.size > 0) chunks.push(e.data)
+        })
+        active.addEventListener('stop', () => {
+            // With no supported preference the browser picks the container (e.g. mp4 in Safari)
+            const type = active.mimeType || mimeType || 'video/webm'
+            const blob = new Blob(chunks, { type })
+            endCapture(track, hasAudio)
+            if (stopCallback) stopCallback(blob, recordingExtension(type, 'webm'))
+        })
+        active.start(1000)
+        recorder = active
+        videoTrack = track
+        setState('recording')
+    }
+
+    /**
+     * Starts recording, reporting a failure through the error callback
+     * @private
+     */
+    function tryBeginRecording() {
+        try {
+            beginRecording()
+        } catch (err) {
+            console.error('Failed to start video capture:', err)
+            setState('idle')
+            if (errorCallback) errorCallback(err)
+        }
+    }
+
+    /**
+     * Releases the canvas track and the audio stream once a recording is over
+     * @private
+     * @param {MediaStreamTrack} track - Canvas track the recording used
+     * @param {boolean} hasAudio - Whether the audio stream was taken
+     */
+    function endCapture(track, hasAudio) {
+        track.stop()
+        if (videoTrack === track) videoTrack = null
+        if (hasAudio) audio.releaseStream()
+    }
+
+    /**
+     * Sets the callback fired when the capture state changes
+     * @param {Function} callback - Called with 'idle', 'countdown' or 'recording'
+     */
+    function registerStateCallback(callback) {
+        stateCallback = callback
+    }
+
+    /**
+     * Sets the callback fired with the finished video
+     * @param {Function} callback - Called with the Blob and a file extension for it
+     */
+    function registerStopCallback(callback) {
+        stopCallback = callback
+    }
+
+    /**
+     * Sets the callback fired when recording fails to start
+     * @param {Function} callback - Called with the Error
+     */
+    function registerErrorCallback(callback) {
+        errorCallback = callback
+    }
+
+    /**
+     * Counts down, then starts recording
+     * @param {Object} [options] - Capture options
+     * @param {number} [options.frameRate=settings.frameRate] - Video frame rate and fixed step rate (fps)
+     * @param {number} [options.countdown=settings.countdown] - Seconds to count down first
+     * @throws {Error} If the browser cannot capture the canvas
+     */
+    function start({ frameRate: rate = settings.frameRate, countdown = settings.countdown } = {}) {
+        if (state !== 'idle') return
+        if (typeof canvas.captureStream !== 'function' || typeof MediaRecorder === 'undefined') {
+            throw new Error('Video capture is not supported in this browser')
+        }
+        frameRate = rate
+
+        let remaining = Math.max(0, Math.round(countdown))
+        if (remaining === 0) {
+            tryBeginRecording()
+            return
+        }
+
+        setState('countdown')
+        showCount(remaining)
+        countdownTimer = setInterval(() => {
+            remaining--
+            if (remaining > 0) {
+                showCount(remaining)
+                return
+            }
+            clearInterval(countdownTimer)
+            countdownTimer = null
+            showCount(null)
+            tryBeginRecording()
+        }, 1000)
+    }
+
+    /**
+     * Cancels the countdown, or stops recording; the stop callback receives the video once encoded
+     */
+    function stop() {
+        if (countdownTimer) {
+            clearInterval(countdownTimer)
+            countdownTimer = null
+            showCount(null)
+        }
+        if (recorder) {
+            const active = recorder
+            recorder = null
+            if (active.state !== 'inactive') active.stop()
+        }
+        if (state !== 'idle') setState('idle')
+    }
+
+    /**
+     * Captures the frame just rendered, when the stream is driven frame by frame
+     */
+    function captureFrame() {
+        if (state === 'recording' && frameDriven && videoTrack) videoTrack.requestFrame()
+    }
+
+    /**
+     * Gets the fixed timestep the render loop should advance by
+     * @returns {number|null} Seconds per frame while recording, null otherwise
+     */
+    function getFrameStep() {
+        return state === 'recording' ? 1 / frameRate : null
+    }
+
+    /**
+     * Stops any capture, drops the callbacks and removes the overlay
+     */
+    function dispose() {
+        stateCallback = null
+        stopCallback = null
+        errorCallback = null
+        stop()
+        if (overlay && overlay.parentElement) {
+            overlay.parentElement.removeChild(overlay)
+        }
+        overlay = null
+    }
+
+    return {
+        registerStateCallback,
+        registerStopCallback,
+        registerErrorCallback,
+        start,
+        stop,
+        captureFrame,
+        getFrameStep,
+        getState: () => state,
+        dispose
+    }
+}